@@ -1,16 +1,24 @@
 // src/App.js
 // Main application component with routing
 
-import React from "react";
+import React, { useMemo } from "react";
 import {
   BrowserRouter as Router,
   Routes,
   Route,
   Navigate,
 } from "react-router-dom";
-import { ThemeProvider, createTheme } from "@mui/material/styles";
+import { ThemeProvider } from "@mui/material/styles";
 import { CssBaseline, Box } from "@mui/material";
 import { AuthProvider, useAuth } from "./context/AuthContext";
+import {
+  PreferencesProvider,
+  usePreferences,
+} from "./context/PreferencesContext";
+import { TaskTypesProvider } from "./context/TaskTypesContext";
+import { EarlyWarningProvider } from "./context/EarlyWarningContext";
+import { buildTheme } from "./styles/theme";
+import useThemeMode from "./hooks/useThemeMode";
 
 // Components
 import Login from "./components/Auth/Login";
@@ -20,60 +28,26 @@ import PatientList from "./components/Patients/PatientList";
 import PatientDetail from "./components/Patients/PatientDetail";
 import PatientForm from "./components/Patients/PatientForm";
 import TaskLogList from "./components/TaskLogs/TaskLogList";
+import TaskLogForm from "./components/TaskLogs/TaskLogForm";
+import MedicationRecord from "./components/Medications/MedicationRecord";
+import HandoffForm from "./components/Handoffs/HandoffForm";
+import HandoffReport from "./components/Handoffs/HandoffReport";
+import PatientPrintSummary from "./components/Patients/PatientPrintSummary";
 import Layout from "./components/Layout/Layout";
 import LoadingSpinner from "./components/Common/LoadingSpinner";
+import SessionSyncNotice from "./components/Auth/SessionSyncNotice";
+import RoleProtectedRoute from "./components/Auth/RoleProtectedRoute";
+import AdminPanel from "./components/Admin/AdminPanel";
+import Profile from "./components/Profile/Profile";
+import Settings from "./components/Settings/Settings";
 
 // System Design Concepts:
 // - Route-based code splitting (can add React.lazy later)
 // - Protected routes pattern
-// - Global theme management
+// - Global theme management (light, dark and high-contrast per user)
 // - Loading states
 // - Error boundaries (can add later)
 
-// Create Material-UI theme
-const theme = createTheme({
-  palette: {
-    primary: {
-      main: "#1976d2", // Medical blue
-      light: "#42a5f5",
-      dark: "#1565c0",
-    },
-    secondary: {
-      main: "#dc004e", // Medical red for alerts
-    },
-    background: {
-      default: "#f5f5f5",
-      paper: "#ffffff",
-    },
-  },
-  typography: {
-    fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
-    h4: {
-      fontWeight: 600,
-    },
-    h5: {
-      fontWeight: 500,
-    },
-  },
-  components: {
-    MuiButton: {
-      styleOverrides: {
-        root: {
-          textTransform: "none", // Don't uppercase button text
-          borderRadius: 8,
-        },
-      },
-    },
-    MuiPaper: {
-      styleOverrides: {
-        root: {
-          borderRadius: 12,
-        },
-      },
-    },
-  },
-});
-
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated, isLoading } = useAuth();
@@ -92,42 +66,36 @@ const ProtectedRoute = ({ children }) => {
 // Public Route Component (redirect if authenticated)
 const PublicRoute = ({ children }) => {
   const { isAuthenticated, isLoading } = useAuth();
+  const { preferences, preferencesLoaded } = usePreferences();
 
-  if (isLoading) {
+  // Wait for the user's landing page before sending them there
+  if (isLoading || (isAuthenticated && !preferencesLoaded)) {
     return <LoadingSpinner />;
   }
 
   if (isAuthenticated) {
-    return <Navigate to="/dashboard" replace />;
+    return <Navigate to={preferences.landingPage} replace />;
   }
 
   return children;
 };
 
-// Role-based Route Component
-const RoleProtectedRoute = ({ children, allowedRoles }) => {
-  const { user, hasRole } = useAuth();
-
-  if (!hasRole(allowedRoles)) {
-    return (
-      <Box sx={{ p: 3, textAlign: "center" }}>
-        <h2>Access Denied</h2>
-        <p>You don't have permission to access this page.</p>
-        <p>Your role: {user?.role}</p>
-        <p>
-          Required roles:{" "}
-          {Array.isArray(allowedRoles) ? allowedRoles.join(", ") : allowedRoles}
-        </p>
-      </Box>
-    );
+// Send "/" to the user's chosen landing page
+const LandingRedirect = () => {
+  const { isLoading } = useAuth();
+  const { preferences, preferencesLoaded } = usePreferences();
+
+  if (isLoading || !preferencesLoaded) {
+    return <LoadingSpinner />;
   }
 
-  return children;
+  return <Navigate to={preferences.landingPage} replace />;
 };
 
 function AppRoutes() {
   return (
     <Router>
+      <SessionSyncNotice />
       <Routes>
         {/* Public Routes */}
         <Route
@@ -198,6 +166,42 @@ function AppRoutes() {
           }
         />
 
+        <Route
+          path="/patients/:id/mar"
+          element={
+            <ProtectedRoute>
+              <MedicationRecord />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/patients/:id/print"
+          element={
+            <ProtectedRoute>
+              <PatientPrintSummary />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/patients/:id/handoff"
+          element={
+            <ProtectedRoute>
+              <HandoffForm />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/handoffs"
+          element={
+            <ProtectedRoute>
+              <HandoffReport />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/task-logs"
           element={
@@ -207,20 +211,56 @@ function AppRoutes() {
           }
         />
 
+        <Route
+          path="/task-logs/new"
+          element={
+            <ProtectedRoute>
+              <TaskLogForm mode="create" />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/task-logs/:id/edit"
+          element={
+            <ProtectedRoute>
+              <TaskLogForm mode="edit" />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/profile"
+          element={
+            <ProtectedRoute>
+              <Profile />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/settings"
+          element={
+            <ProtectedRoute>
+              <Settings />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Admin Only Routes */}
         <Route
           path="/admin/*"
           element={
             <ProtectedRoute>
               <RoleProtectedRoute allowedRoles={["admin"]}>
-                <div>Admin Panel - Coming Soon</div>
+                <AdminPanel />
               </RoleProtectedRoute>
             </ProtectedRoute>
           }
         />
 
         {/* Default redirects */}
-        <Route path="/" element={<Navigate to="/dashboard" replace />} />
+        <Route path="/" element={<LandingRedirect />} />
         <Route
           path="*"
           element={
@@ -235,15 +275,32 @@ function AppRoutes() {
   );
 }
 
-function App() {
+// Theme follows the signed-in user's preference (or the OS when signed out)
+function ThemedApp() {
+  const { preferences } = usePreferences();
+  const mode = useThemeMode(preferences.themeMode);
+  const theme = useMemo(() => buildTheme(mode), [mode]);
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      <AuthProvider>
-        <AppRoutes />
-      </AuthProvider>
+      <AppRoutes />
     </ThemeProvider>
   );
 }
 
+function App() {
+  return (
+    <AuthProvider>
+      <PreferencesProvider>
+        <TaskTypesProvider>
+          <EarlyWarningProvider>
+            <ThemedApp />
+          </EarlyWarningProvider>
+        </TaskTypesProvider>
+      </PreferencesProvider>
+    </AuthProvider>
+  );
+}
+
 export default App;
@@ -0,0 +1,230 @@
+// src/components/Admin/AdminOverview.js
+// Account activity overview for administrators
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  Paper,
+  Card,
+  CardContent,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import {
+  People,
+  CheckCircle,
+  Block,
+  AdminPanelSettings,
+  AccessTime,
+  HourglassEmpty,
+} from "@mui/icons-material";
+import { usersAPI, handleApiError } from "../../services/api";
+import { usePreferences } from "../../context/PreferencesContext";
+
+const AdminOverview = () => {
+  const navigate = useNavigate();
+  const { formatDateTime } = usePreferences();
+
+  const [activity, setActivity] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadActivity = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await usersAPI.getActivity();
+      setActivity(response);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          minHeight: 300,
+        }}
+      >
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>
+          Loading account activity...
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert severity="error">
+        {error}
+        <Button onClick={loadActivity} sx={{ ml: 2 }}>
+          Retry
+        </Button>
+      </Alert>
+    );
+  }
+
+  const summary = activity?.summary || {};
+  const summaryCards = [
+    {
+      label: "Total Users",
+      value: summary.total,
+      icon: <People sx={{ fontSize: 40, color: "primary.main", mr: 2 }} />,
+    },
+    {
+      label: "Active",
+      value: summary.active,
+      icon: <CheckCircle sx={{ fontSize: 40, color: "success.main", mr: 2 }} />,
+    },
+    {
+      label: "Deactivated",
+      value: summary.deactivated,
+      icon: <Block sx={{ fontSize: 40, color: "error.main", mr: 2 }} />,
+    },
+    {
+      label: "Administrators",
+      value: summary.admins,
+      icon: (
+        <AdminPanelSettings
+          sx={{ fontSize: 40, color: "secondary.main", mr: 2 }}
+        />
+      ),
+    },
+  ];
+
+  const renderUserList = (users, emptyText) =>
+    users.length === 0 ? (
+      <Typography color="text.secondary">{emptyText}</Typography>
+    ) : (
+      <List>
+        {users.map((user, index) => (
+          <React.Fragment key={user.id}>
+            <ListItem sx={{ px: 0 }}>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    <Typography variant="body2" fontWeight="medium">
+                      {user.first_name} {user.last_name}
+                    </Typography>
+                    <Chip
+                      label={user.role === "admin" ? "Admin" : "Clinician"}
+                      size="small"
+                      variant="outlined"
+                    />
+                  </Box>
+                }
+                secondary={`${user.email} · Last login: ${
+                  user.last_login_at
+                    ? formatDateTime(user.last_login_at)
+                    : "Never"
+                }`}
+              />
+            </ListItem>
+            {index < users.length - 1 && <Divider />}
+          </React.Fragment>
+        ))}
+      </List>
+    );
+
+  return (
+    <Box>
+      {/* Summary Cards */}
+      <Box
+        sx={{
+          display: "grid",
+          gridTemplateColumns: {
+            xs: "1fr",
+            sm: "1fr 1fr",
+            md: "repeat(4, 1fr)",
+          },
+          gap: 3,
+          mb: 3,
+        }}
+      >
+        {summaryCards.map((card) => (
+          <Card key={card.label}>
+            <CardContent>
+              <Box sx={{ display: "flex", alignItems: "center" }}>
+                {card.icon}
+                <Box>
+                  <Typography variant="h4" component="div">
+                    {card.value ?? 0}
+                  </Typography>
+                  <Typography color="text.secondary">{card.label}</Typography>
+                </Box>
+              </Box>
+            </CardContent>
+          </Card>
+        ))}
+      </Box>
+
+      {/* Activity Lists */}
+      <Box
+        sx={{
+          display: "grid",
+          gridTemplateColumns: { xs: "1fr", md: "1fr 1fr" },
+          gap: 3,
+        }}
+      >
+        <Paper sx={{ p: 3 }}>
+          <Typography
+            variant="h6"
+            gutterBottom
+            sx={{ display: "flex", alignItems: "center" }}
+          >
+            <AccessTime sx={{ mr: 1 }} />
+            Recent Logins
+          </Typography>
+          {renderUserList(activity?.recentLogins || [], "No recent logins.")}
+        </Paper>
+
+        <Paper sx={{ p: 3 }}>
+          <Typography
+            variant="h6"
+            gutterBottom
+            sx={{ display: "flex", alignItems: "center" }}
+          >
+            <HourglassEmpty sx={{ mr: 1 }} />
+            Dormant Accounts
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Active accounts that have not signed in recently. Consider
+            deactivating accounts that are no longer needed.
+          </Typography>
+          {renderUserList(
+            activity?.inactiveUsers || [],
+            "Every active account has signed in recently."
+          )}
+        </Paper>
+      </Box>
+
+      <Box sx={{ mt: 3 }}>
+        <Button variant="outlined" onClick={() => navigate("/admin/users")}>
+          Manage Users
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default AdminOverview;
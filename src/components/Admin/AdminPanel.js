@@ -0,0 +1,103 @@
+// src/components/Admin/AdminPanel.js
+// Admin area shell with nested routes
+
+import React from "react";
+import {
+  Routes,
+  Route,
+  Navigate,
+  useNavigate,
+  useLocation,
+} from "react-router-dom";
+import { Typography, Box, Paper, Tabs, Tab } from "@mui/material";
+import RoleProtectedRoute from "../Auth/RoleProtectedRoute";
+import AdminOverview from "./AdminOverview";
+import UserManagement from "./UserManagement";
+import InvitationManagement from "./InvitationManagement";
+import TaskTypeManagement from "./TaskTypeManagement";
+
+// System Design Concepts:
+// - Nested routing under /admin/*
+// - Each admin section is guarded on its own, not only by the parent route
+
+const ADMIN_SECTIONS = [
+  { label: "Overview", path: "/admin" },
+  { label: "Users", path: "/admin/users" },
+  { label: "Invitations", path: "/admin/invitations" },
+  { label: "Task Types", path: "/admin/task-types" },
+];
+
+const AdminPanel = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const currentTab = ADMIN_SECTIONS.reduce(
+    (match, section) =>
+      location.pathname.startsWith(section.path) ? section.path : match,
+    false
+  );
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom>
+          Admin Panel
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Manage user accounts, roles, access, and task types
+        </Typography>
+      </Box>
+
+      <Paper sx={{ mb: 3 }}>
+        <Tabs value={currentTab} onChange={(e, path) => navigate(path)}>
+          {ADMIN_SECTIONS.map((section) => (
+            <Tab
+              key={section.path}
+              label={section.label}
+              value={section.path}
+            />
+          ))}
+        </Tabs>
+      </Paper>
+
+      <Routes>
+        <Route
+          index
+          element={
+            <RoleProtectedRoute allowedRoles={["admin"]}>
+              <AdminOverview />
+            </RoleProtectedRoute>
+          }
+        />
+        <Route
+          path="users"
+          element={
+            <RoleProtectedRoute allowedRoles={["admin"]}>
+              <UserManagement />
+            </RoleProtectedRoute>
+          }
+        />
+        <Route
+          path="invitations"
+          element={
+            <RoleProtectedRoute allowedRoles={["admin"]}>
+              <InvitationManagement />
+            </RoleProtectedRoute>
+          }
+        />
+        <Route
+          path="task-types"
+          element={
+            <RoleProtectedRoute allowedRoles={["admin"]}>
+              <TaskTypeManagement />
+            </RoleProtectedRoute>
+          }
+        />
+        <Route path="*" element={<Navigate to="/admin" replace />} />
+      </Routes>
+    </Box>
+  );
+};
+
+export default AdminPanel;
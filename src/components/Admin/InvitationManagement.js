@@ -0,0 +1,424 @@
+// src/components/Admin/InvitationManagement.js
+// Issue and revoke invitation links with a pre-assigned role
+
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+} from "@mui/material";
+import {
+  Send,
+  ContentCopy,
+  Cancel,
+  Warning,
+  MailOutline,
+} from "@mui/icons-material";
+import { invitationsAPI, handleApiError } from "../../services/api";
+import { usePreferences } from "../../context/PreferencesContext";
+import {
+  INVITE_EXPIRY_OPTIONS,
+  DEFAULT_INVITE_EXPIRY_DAYS,
+  buildInviteLink,
+  getInvitationStatus,
+} from "../../utils/invitations";
+
+const ROLE_LABELS = {
+  clinician: "Clinician",
+  admin: "Administrator",
+};
+
+const STATUS_CHIPS = {
+  pending: { label: "Pending", color: "info" },
+  accepted: { label: "Accepted", color: "success" },
+  expired: { label: "Expired", color: "default" },
+  revoked: { label: "Revoked", color: "error" },
+};
+
+const EMPTY_FORM = {
+  email: "",
+  role: "clinician",
+  expiresInDays: DEFAULT_INVITE_EXPIRY_DAYS,
+};
+
+const InvitationManagement = () => {
+  const { formatDateTime, tableSize } = usePreferences();
+
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [createdInvitation, setCreatedInvitation] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const [revokeDialog, setRevokeDialog] = useState({
+    open: false,
+    invitation: null,
+  });
+  const [revoking, setRevoking] = useState(false);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await invitationsAPI.getAll();
+      setInvitations(response.invitations || []);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const email = formData.email.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setFormError("Please enter a valid email address");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setCreatedInvitation(null);
+      const response = await invitationsAPI.create({ ...formData, email });
+      setInvitations((prev) => [response.invitation, ...prev]);
+      setCreatedInvitation(response.invitation);
+      setFormData(EMPTY_FORM);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setFormError(errorInfo.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCopyLink = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(buildInviteLink(invitation.token));
+      setCopiedId(invitation.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      setError("Could not copy the link. Copy it from the message instead.");
+    }
+  };
+
+  const handleRevokeConfirm = async () => {
+    const { invitation } = revokeDialog;
+    if (!invitation) return;
+
+    try {
+      setRevoking(true);
+      await invitationsAPI.revoke(invitation.id);
+      setInvitations((prev) =>
+        prev.map((i) =>
+          i.id === invitation.id
+            ? { ...i, revoked_at: new Date().toISOString() }
+            : i
+        )
+      );
+      if (createdInvitation?.id === invitation.id) {
+        setCreatedInvitation(null);
+      }
+      setRevokeDialog({ open: false, invitation: null });
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+      setRevokeDialog({ open: false, invitation: null });
+    } finally {
+      setRevoking(false);
+    }
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* New Invitation */}
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Invite a New User
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The invitation link lets one person register with the role you choose.
+          It stops working once used, revoked, or expired.
+        </Typography>
+
+        {formError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {formError}
+          </Alert>
+        )}
+
+        {createdInvitation && (
+          <Alert
+            severity="success"
+            sx={{ mb: 2 }}
+            onClose={() => setCreatedInvitation(null)}
+            action={
+              <Button
+                color="inherit"
+                size="small"
+                startIcon={<ContentCopy />}
+                onClick={() => handleCopyLink(createdInvitation)}
+              >
+                {copiedId === createdInvitation.id ? "Copied" : "Copy Link"}
+              </Button>
+            }
+          >
+            Invitation created for {createdInvitation.email}. Share this link:
+            <Typography
+              variant="body2"
+              sx={{ mt: 1, fontFamily: "monospace", wordBreak: "break-all" }}
+            >
+              {buildInviteLink(createdInvitation.token)}
+            </Typography>
+          </Alert>
+        )}
+
+        <Box
+          component="form"
+          onSubmit={handleSubmit}
+          sx={{
+            display: "grid",
+            gridTemplateColumns: { xs: "1fr", md: "2fr 1fr 1fr auto" },
+            gap: 2,
+            alignItems: "center",
+          }}
+        >
+          <TextField
+            label="Email Address"
+            name="email"
+            type="email"
+            value={formData.email}
+            onChange={handleChange}
+            disabled={submitting}
+            required
+          />
+          <FormControl>
+            <InputLabel id="invite-role-label">Role</InputLabel>
+            <Select
+              labelId="invite-role-label"
+              name="role"
+              value={formData.role}
+              label="Role"
+              onChange={handleChange}
+              disabled={submitting}
+            >
+              {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl>
+            <InputLabel id="invite-expiry-label">Expires In</InputLabel>
+            <Select
+              labelId="invite-expiry-label"
+              name="expiresInDays"
+              value={formData.expiresInDays}
+              label="Expires In"
+              onChange={handleChange}
+              disabled={submitting}
+            >
+              {INVITE_EXPIRY_OPTIONS.map((option) => (
+                <MenuItem key={option.days} value={option.days}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting}
+            startIcon={submitting ? <CircularProgress size={16} /> : <Send />}
+          >
+            Invite
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* Invitations Table */}
+      <TableContainer component={Paper}>
+        {loading && <LinearProgress />}
+        <Table size={tableSize}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Email</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell>Invited By</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {!loading && invitations.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Box sx={{ py: 4 }}>
+                    <MailOutline
+                      sx={{ fontSize: 60, color: "text.secondary", mb: 2 }}
+                    />
+                    <Typography variant="h6" color="text.secondary">
+                      No invitations sent yet
+                    </Typography>
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ) : (
+              invitations.map((invitation) => {
+                const status = getInvitationStatus(invitation);
+                return (
+                  <TableRow key={invitation.id} hover>
+                    <TableCell>{invitation.email}</TableCell>
+                    <TableCell>{ROLE_LABELS[invitation.role]}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={STATUS_CHIPS[status].label}
+                        color={STATUS_CHIPS[status].color}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color="text.secondary">
+                        {formatDateTime(invitation.expires_at)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color="text.secondary">
+                        {invitation.invited_by_name || "-"}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="center">
+                      {status === "pending" && (
+                        <>
+                          {invitation.token && (
+                            <Tooltip
+                              title={
+                                copiedId === invitation.id
+                                  ? "Copied"
+                                  : "Copy invitation link"
+                              }
+                            >
+                              <IconButton
+                                size="small"
+                                onClick={() => handleCopyLink(invitation)}
+                                sx={{ mr: 1 }}
+                              >
+                                <ContentCopy />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          <Tooltip title="Revoke">
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() =>
+                                setRevokeDialog({ open: true, invitation })
+                              }
+                            >
+                              <Cancel />
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Revoke Confirmation Dialog */}
+      <Dialog
+        open={revokeDialog.open}
+        onClose={() =>
+          !revoking && setRevokeDialog({ open: false, invitation: null })
+        }
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <Warning sx={{ mr: 1, color: "warning.main" }} />
+          Revoke Invitation
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Revoke the invitation for{" "}
+            <strong>{revokeDialog.invitation?.email}</strong>? The link will
+            stop working immediately.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setRevokeDialog({ open: false, invitation: null })}
+            disabled={revoking}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleRevokeConfirm}
+            color="error"
+            variant="contained"
+            disabled={revoking}
+            startIcon={revoking ? <CircularProgress size={16} /> : null}
+          >
+            Revoke
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default InvitationManagement;
@@ -0,0 +1,402 @@
+// src/components/Admin/TaskTypeManagement.js
+// Add, edit and retire task types in the registry
+
+import React, { useState } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Checkbox,
+} from "@mui/material";
+import { Add, Edit, Archive, Unarchive } from "@mui/icons-material";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { handleApiError } from "../../services/api";
+import {
+  TASK_TYPE_COLORS,
+  TASK_TYPE_ICONS,
+  REQUIRED_FIELD_OPTIONS,
+} from "../../utils/taskTypes";
+import TaskTypeChip from "../TaskLogs/TaskTypeChip";
+
+const EMPTY_FORM = {
+  name: "",
+  label: "",
+  color: "default",
+  icon: "Assignment",
+  requiredFields: [],
+  isActive: true,
+};
+
+// Registry entries (snake_case) -> form/payload fields (camelCase)
+const toFormData = (taskType) => ({
+  name: taskType.name,
+  label: taskType.label,
+  color: taskType.color || "default",
+  icon: taskType.icon || "Assignment",
+  requiredFields: taskType.required_fields || [],
+  isActive: taskType.is_active,
+});
+
+const TaskTypeManagement = () => {
+  const { taskTypes, isFallback, saveTaskType } = useTaskTypes();
+  const { tableSize } = usePreferences();
+
+  const [dialog, setDialog] = useState({ open: false, isNew: true });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [validationErrors, setValidationErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const openDialog = (taskType = null) => {
+    setFormData(taskType ? toFormData(taskType) : EMPTY_FORM);
+    setValidationErrors({});
+    setDialog({ open: true, isNew: !taskType });
+  };
+
+  const closeDialog = () => {
+    if (!saving) {
+      setDialog((prev) => ({ ...prev, open: false }));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (validationErrors[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+  };
+
+  const toggleRequiredField = (field) => {
+    setFormData((prev) => ({
+      ...prev,
+      requiredFields: prev.requiredFields.includes(field)
+        ? prev.requiredFields.filter((f) => f !== field)
+        : [...prev.requiredFields, field],
+    }));
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    const name = formData.name.trim();
+
+    if (!name) {
+      errors.name = "Name is required";
+    } else if (
+      dialog.isNew &&
+      taskTypes.some((type) => type.name.toLowerCase() === name.toLowerCase())
+    ) {
+      errors.name = "A task type with this name already exists";
+    }
+
+    if (!formData.label.trim()) {
+      errors.label = "Label is required";
+    }
+
+    return errors;
+  };
+
+  const persist = async (data, isNew, message) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      await saveTaskType(data, isNew);
+      setSuccess(message);
+      return true;
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    const data = {
+      ...formData,
+      name: formData.name.trim(),
+      label: formData.label.trim(),
+    };
+    const saved = await persist(
+      data,
+      dialog.isNew,
+      `${data.label} ${dialog.isNew ? "added" : "updated"}.`
+    );
+    if (saved) {
+      setDialog((prev) => ({ ...prev, open: false }));
+    }
+  };
+
+  // Retiring hides a type from new entries but keeps existing logs intact
+  const handleToggleActive = (taskType) => {
+    const isActive = !taskType.is_active;
+    persist(
+      { ...toFormData(taskType), isActive },
+      false,
+      `${taskType.label} ${isActive ? "restored" : "retired"}.`
+    );
+  };
+
+  return (
+    <Box>
+      {isFallback && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          The task type registry could not be loaded, so the built-in defaults
+          are shown. Changes may fail until the server is reachable.
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert
+          severity="success"
+          sx={{ mb: 3 }}
+          onClose={() => setSuccess(null)}
+        >
+          {success}
+        </Alert>
+      )}
+
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => openDialog()}
+        >
+          Add Task Type
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size={tableSize}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Task Type</TableCell>
+              <TableCell>Name</TableCell>
+              <TableCell>Required Fields</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {taskTypes.map((taskType) => (
+              <TableRow key={taskType.name} hover>
+                <TableCell>
+                  <TaskTypeChip taskType={taskType.name} />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="text.secondary">
+                    {taskType.name}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {taskType.required_fields?.length > 0 ? (
+                    taskType.required_fields.map((field) => (
+                      <Chip
+                        key={field}
+                        label={
+                          REQUIRED_FIELD_OPTIONS.find((o) => o.value === field)
+                            ?.label || field
+                        }
+                        size="small"
+                        variant="outlined"
+                        sx={{ mr: 0.5 }}
+                      />
+                    ))
+                  ) : (
+                    <Typography variant="body2" color="text.secondary">
+                      Description only
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {taskType.is_active ? (
+                    <Chip label="Active" size="small" color="success" />
+                  ) : (
+                    <Chip label="Retired" size="small" />
+                  )}
+                </TableCell>
+                <TableCell align="center">
+                  <Tooltip title="Edit">
+                    <IconButton
+                      size="small"
+                      onClick={() => openDialog(taskType)}
+                      disabled={saving}
+                      sx={{ mr: 1 }}
+                    >
+                      <Edit />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={taskType.is_active ? "Retire" : "Restore"}>
+                    <span>
+                      <IconButton
+                        size="small"
+                        color={taskType.is_active ? "error" : "success"}
+                        onClick={() => handleToggleActive(taskType)}
+                        disabled={saving}
+                      >
+                        {taskType.is_active ? <Archive /> : <Unarchive />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add / Edit Dialog */}
+      <Dialog open={dialog.open} onClose={closeDialog} maxWidth="sm" fullWidth>
+        <Box component="form" onSubmit={handleSubmit}>
+          <DialogTitle>
+            {dialog.isNew ? "Add Task Type" : "Edit Task Type"}
+          </DialogTitle>
+          <DialogContent>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              error={!!validationErrors.name}
+              helperText={
+                validationErrors.name ||
+                "Stored on each task log; cannot be changed later"
+              }
+              InputProps={{ readOnly: !dialog.isNew }}
+              disabled={saving}
+            />
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Label"
+              name="label"
+              value={formData.label}
+              onChange={handleChange}
+              error={!!validationErrors.label}
+              helperText={validationErrors.label}
+              disabled={saving}
+            />
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField
+                select
+                margin="normal"
+                fullWidth
+                label="Color"
+                name="color"
+                value={formData.color}
+                onChange={handleChange}
+                disabled={saving}
+              >
+                {/* A type saved with a color no longer offered keeps it */}
+                {(TASK_TYPE_COLORS.includes(formData.color)
+                  ? TASK_TYPE_COLORS
+                  : [...TASK_TYPE_COLORS, formData.color]
+                ).map((color) => (
+                  <MenuItem key={color} value={color}>
+                    <Chip label={color} size="small" color={color} />
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                margin="normal"
+                fullWidth
+                label="Icon"
+                name="icon"
+                value={formData.icon}
+                onChange={handleChange}
+                disabled={saving}
+              >
+                {Object.entries(TASK_TYPE_ICONS).map(([iconName, Icon]) => (
+                  <MenuItem key={iconName} value={iconName}>
+                    <Icon fontSize="small" sx={{ mr: 1 }} />
+                    {iconName}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>
+              Required fields
+            </Typography>
+            {REQUIRED_FIELD_OPTIONS.map((option) => (
+              <FormControlLabel
+                key={option.value}
+                control={
+                  <Checkbox
+                    checked={formData.requiredFields.includes(option.value)}
+                    onChange={() => toggleRequiredField(option.value)}
+                    disabled={saving}
+                  />
+                }
+                label={option.label}
+              />
+            ))}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={closeDialog} disabled={saving}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={saving}
+              startIcon={saving ? <CircularProgress size={16} /> : null}
+            >
+              {dialog.isNew ? "Add" : "Save"}
+            </Button>
+          </DialogActions>
+        </Box>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TaskTypeManagement;
@@ -0,0 +1,488 @@
+// src/components/Admin/UserManagement.js
+// User table with search, role changes, deactivation, and password resets
+
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Tooltip,
+  Chip,
+  Select,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+} from "@mui/material";
+import {
+  Search,
+  Block,
+  CheckCircle,
+  LockReset,
+  Warning,
+  Person,
+  ContentCopy,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { usersAPI, handleApiError } from "../../services/api";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const ROLE_LABELS = {
+  clinician: "Clinician",
+  admin: "Administrator",
+};
+
+// Confirmation copy for each account action
+const ACTION_COPY = {
+  role: {
+    title: "Change Role",
+    confirm: "Change Role",
+    describe: (user, role) =>
+      `Change ${user.first_name} ${user.last_name} from ${
+        ROLE_LABELS[user.role]
+      } to ${ROLE_LABELS[role]}?`,
+  },
+  deactivate: {
+    title: "Deactivate Account",
+    confirm: "Deactivate",
+    describe: (user) =>
+      `Deactivate ${user.first_name} ${user.last_name}? They will be signed out and unable to log in until reactivated.`,
+  },
+  reactivate: {
+    title: "Reactivate Account",
+    confirm: "Reactivate",
+    describe: (user) =>
+      `Reactivate ${user.first_name} ${user.last_name}? They will be able to log in again.`,
+  },
+  resetPassword: {
+    title: "Reset Password",
+    confirm: "Reset Password",
+    describe: (user) =>
+      `Reset the password for ${user.first_name} ${user.last_name}? Their current password will stop working immediately.`,
+  },
+};
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const { preferences, formatDateTime, tableSize } = usePreferences();
+
+  const [users, setUsers] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(preferences.rowsPerPage);
+
+  // { type: 'role' | 'deactivate' | 'reactivate' | 'resetPassword', user, role? }
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  // { user, password } from a reset; shown once and cleared on close
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [passwordCopied, setPasswordCopied] = useState(false);
+
+  // Follow the rows-per-page preference once it loads or changes
+  useEffect(() => {
+    setRowsPerPage(preferences.rowsPerPage);
+    setPage(0);
+  }, [preferences.rowsPerPage]);
+
+  // Debounce search input before hitting the server
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(0);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [searchTerm]);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await usersAPI.getAll({
+        search: debouncedSearch || undefined,
+        page: page + 1,
+        limit: rowsPerPage,
+      });
+      const list = response.users || [];
+      setUsers(list);
+      setTotalCount(response.count ?? list.length);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const isSelf = (user) => String(user.id) === String(currentUser?.id);
+
+  const replaceUser = (updatedUser) => {
+    setUsers((prevUsers) =>
+      prevUsers.map((u) => (u.id === updatedUser.id ? updatedUser : u))
+    );
+  };
+
+  const handleActionConfirm = async () => {
+    if (!pendingAction) return;
+    const { type, user, role } = pendingAction;
+
+    try {
+      setActionLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      if (type === "role") {
+        const response = await usersAPI.updateRole(user.id, role);
+        replaceUser(response.user || { ...user, role });
+        setSuccess(
+          `${user.first_name} ${user.last_name} is now ${
+            role === "admin" ? "an" : "a"
+          } ${ROLE_LABELS[role]}.`
+        );
+      } else if (type === "deactivate") {
+        const response = await usersAPI.deactivate(user.id);
+        replaceUser(response.user || { ...user, is_active: false });
+        setSuccess(`${user.first_name} ${user.last_name} was deactivated.`);
+      } else if (type === "reactivate") {
+        const response = await usersAPI.reactivate(user.id);
+        replaceUser(response.user || { ...user, is_active: true });
+        setSuccess(`${user.first_name} ${user.last_name} was reactivated.`);
+      } else if (type === "resetPassword") {
+        const response = await usersAPI.resetPassword(user.id);
+        if (response.temporaryPassword) {
+          setPasswordCopied(false);
+          setTemporaryPassword({
+            user,
+            password: response.temporaryPassword,
+          });
+        } else {
+          setSuccess(`A password reset link was sent to ${user.email}.`);
+        }
+      }
+
+      setPendingAction(null);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+      setPendingAction(null);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleCopyPassword = async () => {
+    try {
+      await navigator.clipboard.writeText(temporaryPassword.password);
+      setPasswordCopied(true);
+    } catch (err) {
+      setError("Could not copy the password. Copy it from the dialog instead.");
+    }
+  };
+
+  const closeTemporaryPassword = () => {
+    setTemporaryPassword(null);
+    setPasswordCopied(false);
+  };
+
+  const actionCopy = pendingAction && ACTION_COPY[pendingAction.type];
+
+  return (
+    <Box>
+      {/* Alerts */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+          <Button onClick={loadUsers} sx={{ ml: 2 }}>
+            Retry
+          </Button>
+        </Alert>
+      )}
+
+      {success && (
+        <Alert
+          severity="success"
+          sx={{ mb: 3 }}
+          onClose={() => setSuccess(null)}
+        >
+          {success}
+        </Alert>
+      )}
+
+      {/* Search */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <TextField
+          fullWidth
+          placeholder="Search users by name or email..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            ),
+          }}
+        />
+      </Paper>
+
+      {/* Users Table */}
+      <TableContainer component={Paper}>
+        {loading && <LinearProgress />}
+        <Table size={tableSize}>
+          <TableHead>
+            <TableRow>
+              <TableCell>User</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Last Login</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {!loading && users.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  <Box sx={{ py: 4 }}>
+                    <Person
+                      sx={{ fontSize: 60, color: "text.secondary", mb: 2 }}
+                    />
+                    <Typography variant="h6" color="text.secondary">
+                      {debouncedSearch
+                        ? "No users found matching your search"
+                        : "No users yet"}
+                    </Typography>
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ) : (
+              users.map((user) => (
+                <TableRow key={user.id} hover>
+                  <TableCell>
+                    <Typography variant="body1" fontWeight="medium">
+                      {user.first_name} {user.last_name}
+                      {isSelf(user) && (
+                        <Chip label="You" size="small" sx={{ ml: 1 }} />
+                      )}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {user.email}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      value={user.role}
+                      disabled={isSelf(user) || user.is_active === false}
+                      onChange={(e) =>
+                        setPendingAction({
+                          type: "role",
+                          user,
+                          role: e.target.value,
+                        })
+                      }
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <MenuItem key={value} value={value}>
+                          {label}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    {user.is_active === false ? (
+                      <Chip label="Deactivated" size="small" color="error" />
+                    ) : (
+                      <Chip label="Active" size="small" color="success" />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" color="text.secondary">
+                      {user.last_login_at
+                        ? formatDateTime(user.last_login_at)
+                        : "Never"}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Tooltip title="Reset password">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() =>
+                            setPendingAction({ type: "resetPassword", user })
+                          }
+                          disabled={user.is_active === false}
+                          sx={{ mr: 1 }}
+                        >
+                          <LockReset />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    {user.is_active === false ? (
+                      <Tooltip title="Reactivate">
+                        <IconButton
+                          size="small"
+                          color="success"
+                          onClick={() =>
+                            setPendingAction({ type: "reactivate", user })
+                          }
+                        >
+                          <CheckCircle />
+                        </IconButton>
+                      </Tooltip>
+                    ) : (
+                      <Tooltip
+                        title={
+                          isSelf(user)
+                            ? "You cannot deactivate your own account"
+                            : "Deactivate"
+                        }
+                      >
+                        <span>
+                          <IconButton
+                            size="small"
+                            color="error"
+                            disabled={isSelf(user)}
+                            onClick={() =>
+                              setPendingAction({ type: "deactivate", user })
+                            }
+                          >
+                            <Block />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={totalCount}
+          page={Math.min(
+            page,
+            Math.max(Math.ceil(totalCount / rowsPerPage) - 1, 0)
+          )}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
+      </TableContainer>
+
+      {/* Action Confirmation Dialog */}
+      <Dialog
+        open={!!pendingAction}
+        onClose={() => !actionLoading && setPendingAction(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <Warning sx={{ mr: 1, color: "warning.main" }} />
+          {actionCopy?.title}
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {pendingAction &&
+              actionCopy.describe(pendingAction.user, pendingAction.role)}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setPendingAction(null)}
+            disabled={actionLoading}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleActionConfirm}
+            variant="contained"
+            color={pendingAction?.type === "deactivate" ? "error" : "primary"}
+            disabled={actionLoading}
+            startIcon={actionLoading ? <CircularProgress size={16} /> : null}
+          >
+            {actionCopy?.confirm}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Temporary Password Dialog (shown once) */}
+      <Dialog
+        open={!!temporaryPassword}
+        onClose={closeTemporaryPassword}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>Temporary Password</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Share this with {temporaryPassword?.user.first_name}{" "}
+            {temporaryPassword?.user.last_name} securely. It won't be shown
+            again, and they must change it at next login.
+          </DialogContentText>
+          <Box
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              gap: 1,
+              p: 1.5,
+              bgcolor: "action.hover",
+              borderRadius: 1,
+            }}
+          >
+            <Typography sx={{ fontFamily: "monospace", fontSize: "1.1rem" }}>
+              {temporaryPassword?.password}
+            </Typography>
+            <Button
+              size="small"
+              startIcon={<ContentCopy />}
+              onClick={handleCopyPassword}
+            >
+              {passwordCopied ? "Copied" : "Copy"}
+            </Button>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={closeTemporaryPassword}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default UserManagement;
@@ -16,6 +16,7 @@ import {
 } from "@mui/material";
 import { LocalHospital, Login as LoginIcon } from "@mui/icons-material";
 import { useAuth } from "../../context/AuthContext";
+import { INVITE_ONLY } from "../../utils/invitations";
 
 // System Design Concepts:
 // - Form validation and error handling
@@ -38,7 +39,7 @@ const Login = () => {
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
-      const redirectTo = location.state?.from?.pathname || "/dashboard";
+      const redirectTo = location.state?.from?.pathname || "/";
       navigate(redirectTo, { replace: true });
     }
   }, [isAuthenticated, navigate, location]);
@@ -234,22 +235,24 @@ const Login = () => {
             </Button>
           </Box>
 
-          {/* Register Link */}
-          <Box sx={{ mt: 2 }}>
-            <Typography variant="body2" color="text.secondary">
-              Don't have an account?{" "}
-              <Link
-                to="/register"
-                style={{
-                  color: "#1976d2",
-                  textDecoration: "none",
-                  fontWeight: 500,
-                }}
-              >
-                Register here
-              </Link>
-            </Typography>
-          </Box>
+          {/* Register Link (invite-only deployments register via emailed links) */}
+          {!INVITE_ONLY && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                Don't have an account?{" "}
+                <Link
+                  to="/register"
+                  style={{
+                    color: "#1976d2",
+                    textDecoration: "none",
+                    fontWeight: 500,
+                  }}
+                >
+                  Register here
+                </Link>
+              </Typography>
+            </Box>
+          )}
 
           {/* System Info */}
           <Box sx={{ mt: 3, textAlign: "center" }}>
@@ -0,0 +1,68 @@
+// src/components/Auth/PasswordStrengthMeter.js
+// Live strength bar and policy checklist for a new password
+
+import React from "react";
+import {
+  Box,
+  LinearProgress,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+} from "@mui/material";
+import { CheckCircle, RadioButtonUnchecked } from "@mui/icons-material";
+import {
+  checkPasswordRules,
+  getPasswordStrength,
+} from "../../utils/passwordPolicy";
+
+// context: { firstName, lastName, email } for the no-personal-info rule
+const PasswordStrengthMeter = ({ password, context }) => {
+  const strength = getPasswordStrength(password, context);
+  const rules = checkPasswordRules(password, context);
+
+  return (
+    <Box sx={{ mt: 1, mb: 1 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+        <LinearProgress
+          variant="determinate"
+          value={password ? ((strength.score + 1) / 5) * 100 : 0}
+          color={strength.color}
+          sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+          aria-label="Password strength"
+        />
+        <Typography
+          variant="caption"
+          color={password ? `${strength.color}.main` : "text.secondary"}
+          sx={{ minWidth: 64, textAlign: "right" }}
+        >
+          {password ? strength.label : "Strength"}
+        </Typography>
+      </Box>
+
+      <List dense disablePadding sx={{ mt: 1 }}>
+        {rules.map((rule) => (
+          <ListItem key={rule.id} disableGutters sx={{ py: 0 }}>
+            <ListItemIcon sx={{ minWidth: 28 }}>
+              {rule.passed ? (
+                <CheckCircle fontSize="small" color="success" />
+              ) : (
+                <RadioButtonUnchecked fontSize="small" color="disabled" />
+              )}
+            </ListItemIcon>
+            <ListItemText
+              primary={rule.label}
+              primaryTypographyProps={{
+                variant: "caption",
+                color: rule.passed ? "text.primary" : "text.secondary",
+              }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+export default PasswordStrengthMeter;
@@ -2,7 +2,7 @@
 // User registration form component
 
 import React, { useState, useEffect } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import {
   Container,
   Paper,
@@ -13,18 +13,35 @@ import {
   Alert,
   CircularProgress,
   FormControl,
+  FormHelperText,
   InputLabel,
   Select,
   MenuItem,
   Divider,
 } from "@mui/material";
-import { LocalHospital, PersonAdd } from "@mui/icons-material";
+import { LocalHospital, PersonAdd, MailOutline } from "@mui/icons-material";
 import { useAuth } from "../../context/AuthContext";
+import { authAPI, handleApiError } from "../../services/api";
+import { INVITE_ONLY, getInvitationStatus } from "../../utils/invitations";
+import { validatePassword } from "../../utils/passwordPolicy";
+import PasswordStrengthMeter from "./PasswordStrengthMeter";
+
+// System Design Concepts:
+// - Roles are never self-selected: they come from the invitation, or
+//   default to clinician on open deployments
+// - The server re-validates the invite token on submit; the lookup here
+//   only pre-fills and locks the form
 
 const Register = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get("invite");
   const { register, isLoading, error, isAuthenticated, clearError } = useAuth();
 
+  const [invitation, setInvitation] = useState(null);
+  const [inviteLoading, setInviteLoading] = useState(!!inviteToken);
+  const [inviteError, setInviteError] = useState(null);
+
   const [formData, setFormData] = useState({
     email: "",
     password: "",
@@ -39,7 +56,7 @@ const Register = () => {
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
-      navigate("/dashboard", { replace: true });
+      navigate("/", { replace: true });
     }
   }, [isAuthenticated, navigate]);
 
@@ -48,6 +65,45 @@ const Register = () => {
     clearError();
   }, [clearError]);
 
+  // Look up the invitation so its email and role can be locked in
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    const loadInvitation = async () => {
+      try {
+        setInviteLoading(true);
+        setInviteError(null);
+        const response = await authAPI.getInvitation(inviteToken);
+        const invite = response.invitation;
+
+        if (getInvitationStatus(invite) !== "pending") {
+          setInviteError(
+            "This invitation has expired or has already been used. Ask an administrator for a new link."
+          );
+          return;
+        }
+
+        setInvitation(invite);
+        setFormData((prev) => ({
+          ...prev,
+          email: invite.email || prev.email,
+          role: invite.role,
+        }));
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        setInviteError(
+          errorInfo.status === 404 || errorInfo.status === 410
+            ? "This invitation link is invalid or has expired. Ask an administrator for a new link."
+            : errorInfo.message
+        );
+      } finally {
+        setInviteLoading(false);
+      }
+    };
+
+    loadInvitation();
+  }, [inviteToken]);
+
   // Handle input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -83,20 +139,15 @@ const Register = () => {
       errors.email = "Please enter a valid email address";
     }
 
-    if (!formData.password) {
-      errors.password = "Password is required";
-    } else if (formData.password.length < 6) {
-      errors.password = "Password must be at least 6 characters";
+    const passwordError = validatePassword(formData.password, formData);
+    if (passwordError) {
+      errors.password = passwordError;
     }
 
     if (formData.password !== formData.confirmPassword) {
       errors.confirmPassword = "Passwords do not match";
     }
 
-    if (!formData.role) {
-      errors.role = "Role is required";
-    }
-
     return errors;
   };
 
@@ -113,7 +164,9 @@ const Register = () => {
 
     try {
       const { confirmPassword, ...registrationData } = formData;
-      await register(registrationData);
+      await register(
+        invitation ? { ...registrationData, inviteToken } : registrationData
+      );
       // Navigation handled by useEffect above
     } catch (err) {
       // Error is handled by the auth context
@@ -155,6 +208,25 @@ const Register = () => {
             Create Account
           </Typography>
 
+          {invitation && (
+            <Alert
+              severity="info"
+              icon={<MailOutline />}
+              sx={{ width: "100%", mb: 2 }}
+            >
+              {`You've been invited to join as ${
+                invitation.role === "admin" ? "an Administrator" : "a Clinician"
+              }. This invitation expires ${new Date(
+                invitation.expires_at
+              ).toLocaleString("en-US", {
+                month: "short",
+                day: "numeric",
+                hour: "2-digit",
+                minute: "2-digit",
+              })}.`}
+            </Alert>
+          )}
+
           {/* Error Alert */}
           {error && (
             <Alert severity="error" sx={{ width: "100%", mb: 2 }}>
@@ -163,133 +235,152 @@ const Register = () => {
           )}
 
           {/* Registration Form */}
-          <Box component="form" onSubmit={handleSubmit} sx={{ width: "100%" }}>
-            {/* Name Fields */}
-            <Box sx={{ display: "flex", gap: 2 }}>
+          {inviteLoading ? (
+            <Box sx={{ display: "flex", alignItems: "center", py: 4 }}>
+              <CircularProgress size={24} />
+              <Typography sx={{ ml: 2 }}>Checking invitation...</Typography>
+            </Box>
+          ) : inviteError ? (
+            <Alert severity="error" sx={{ width: "100%" }}>
+              {inviteError}
+            </Alert>
+          ) : INVITE_ONLY && !inviteToken ? (
+            <Alert severity="info" sx={{ width: "100%" }}>
+              Registration is by invitation only. Ask an administrator to send
+              you an invitation link.
+            </Alert>
+          ) : (
+            <Box
+              component="form"
+              onSubmit={handleSubmit}
+              sx={{ width: "100%" }}
+            >
+              {/* Name Fields */}
+              <Box sx={{ display: "flex", gap: 2 }}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="firstName"
+                  label="First Name"
+                  name="firstName"
+                  autoComplete="given-name"
+                  autoFocus
+                  value={formData.firstName}
+                  onChange={handleChange}
+                  error={!!validationErrors.firstName}
+                  helperText={validationErrors.firstName}
+                  disabled={isLoading}
+                />
+
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="lastName"
+                  label="Last Name"
+                  name="lastName"
+                  autoComplete="family-name"
+                  value={formData.lastName}
+                  onChange={handleChange}
+                  error={!!validationErrors.lastName}
+                  helperText={validationErrors.lastName}
+                  disabled={isLoading}
+                />
+              </Box>
+
+              {/* Email */}
               <TextField
                 margin="normal"
                 required
                 fullWidth
-                id="firstName"
-                label="First Name"
-                name="firstName"
-                autoComplete="given-name"
-                autoFocus
-                value={formData.firstName}
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                value={formData.email}
                 onChange={handleChange}
-                error={!!validationErrors.firstName}
-                helperText={validationErrors.firstName}
+                error={!!validationErrors.email}
+                helperText={
+                  validationErrors.email ||
+                  (invitation?.email && "The invited email address")
+                }
+                InputProps={{ readOnly: !!invitation?.email }}
                 disabled={isLoading}
               />
 
+              {/* Role (assigned, never self-selected) */}
+              <FormControl fullWidth margin="normal">
+                <InputLabel id="role-label">Role</InputLabel>
+                <Select
+                  labelId="role-label"
+                  id="role"
+                  name="role"
+                  value={formData.role}
+                  label="Role"
+                  disabled
+                >
+                  <MenuItem value="clinician">Clinician</MenuItem>
+                  <MenuItem value="admin">Administrator</MenuItem>
+                </Select>
+                <FormHelperText>
+                  {invitation
+                    ? "Assigned by your invitation"
+                    : "New accounts start as clinicians. An administrator can change your role."}
+                </FormHelperText>
+              </FormControl>
+
+              {/* Password Fields */}
               <TextField
                 margin="normal"
                 required
                 fullWidth
-                id="lastName"
-                label="Last Name"
-                name="lastName"
-                autoComplete="family-name"
-                value={formData.lastName}
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                value={formData.password}
                 onChange={handleChange}
-                error={!!validationErrors.lastName}
-                helperText={validationErrors.lastName}
+                error={!!validationErrors.password}
+                helperText={validationErrors.password}
                 disabled={isLoading}
               />
-            </Box>
-
-            {/* Email */}
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              value={formData.email}
-              onChange={handleChange}
-              error={!!validationErrors.email}
-              helperText={validationErrors.email}
-              disabled={isLoading}
-            />
+              <PasswordStrengthMeter
+                password={formData.password}
+                context={formData}
+              />
 
-            {/* Role Selection */}
-            <FormControl
-              fullWidth
-              margin="normal"
-              error={!!validationErrors.role}
-            >
-              <InputLabel id="role-label">Role</InputLabel>
-              <Select
-                labelId="role-label"
-                id="role"
-                name="role"
-                value={formData.role}
-                label="Role"
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmPassword"
+                label="Confirm Password"
+                type="password"
+                id="confirmPassword"
+                autoComplete="new-password"
+                value={formData.confirmPassword}
                 onChange={handleChange}
+                error={!!validationErrors.confirmPassword}
+                helperText={validationErrors.confirmPassword}
                 disabled={isLoading}
-              >
-                <MenuItem value="clinician">Clinician</MenuItem>
-                <MenuItem value="admin">Administrator</MenuItem>
-              </Select>
-              {validationErrors.role && (
-                <Typography
-                  variant="caption"
-                  color="error"
-                  sx={{ mt: 0.5, ml: 2 }}
-                >
-                  {validationErrors.role}
-                </Typography>
-              )}
-            </FormControl>
-
-            {/* Password Fields */}
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="new-password"
-              value={formData.password}
-              onChange={handleChange}
-              error={!!validationErrors.password}
-              helperText={validationErrors.password}
-              disabled={isLoading}
-            />
-
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="confirmPassword"
-              label="Confirm Password"
-              type="password"
-              id="confirmPassword"
-              autoComplete="new-password"
-              value={formData.confirmPassword}
-              onChange={handleChange}
-              error={!!validationErrors.confirmPassword}
-              helperText={validationErrors.confirmPassword}
-              disabled={isLoading}
-            />
+              />
 
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2, py: 1.5 }}
-              disabled={isLoading}
-              startIcon={
-                isLoading ? <CircularProgress size={20} /> : <PersonAdd />
-              }
-            >
-              {isLoading ? "Creating Account..." : "Create Account"}
-            </Button>
-          </Box>
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={isLoading}
+                startIcon={
+                  isLoading ? <CircularProgress size={20} /> : <PersonAdd />
+                }
+              >
+                {isLoading ? "Creating Account..." : "Create Account"}
+              </Button>
+            </Box>
+          )}
 
           {/* Login Link */}
           <Divider sx={{ width: "100%", my: 2 }} />
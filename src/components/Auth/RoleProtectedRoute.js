@@ -0,0 +1,28 @@
+// src/components/Auth/RoleProtectedRoute.js
+// Renders children only for users holding one of the allowed roles
+
+import React from "react";
+import { Box } from "@mui/material";
+import { useAuth } from "../../context/AuthContext";
+
+const RoleProtectedRoute = ({ children, allowedRoles }) => {
+  const { user, hasRole } = useAuth();
+
+  if (!hasRole(allowedRoles)) {
+    return (
+      <Box sx={{ p: 3, textAlign: "center" }}>
+        <h2>Access Denied</h2>
+        <p>You don't have permission to access this page.</p>
+        <p>Your role: {user?.role}</p>
+        <p>
+          Required roles:{" "}
+          {Array.isArray(allowedRoles) ? allowedRoles.join(", ") : allowedRoles}
+        </p>
+      </Box>
+    );
+  }
+
+  return children;
+};
+
+export default RoleProtectedRoute;
@@ -0,0 +1,333 @@
+// src/components/Auth/SessionLock.js
+// Idle warning and lock screen overlay for shared workstations
+
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Avatar,
+  CircularProgress,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  LinearProgress,
+} from "@mui/material";
+import { Lock, LockOpen, SwapHoriz, Timer } from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { handleApiError } from "../../services/api";
+
+// System Design Concepts:
+// - Page content stays mounted underneath the overlay, so unlocking
+//   resumes exactly where the user left off
+// - Switching user discards the previous session entirely
+
+const SessionLock = () => {
+  const navigate = useNavigate();
+  const {
+    user,
+    isLocked,
+    idleSecondsRemaining,
+    idleWarningSeconds,
+    lockSession,
+    stayActive,
+    unlock,
+    switchUser,
+  } = useAuth();
+
+  const [mode, setMode] = useState("password"); // 'password' | 'pin' | 'switch'
+  const [formData, setFormData] = useState({
+    password: "",
+    pin: "",
+    email: "",
+    switchPassword: "",
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    setError(null);
+  };
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+  };
+
+  const resetForm = () => {
+    setFormData({ password: "", pin: "", email: "", switchPassword: "" });
+    setMode("password");
+    setError(null);
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+
+    const credentials =
+      mode === "pin" ? { pin: formData.pin } : { password: formData.password };
+    if (!credentials.pin && !credentials.password) {
+      setError(mode === "pin" ? "PIN is required" : "Password is required");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await unlock(credentials);
+      resetForm();
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(
+        errorInfo.status === 401
+          ? `Incorrect ${mode === "pin" ? "PIN" : "password"}`
+          : errorInfo.message
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSwitchUser = async (e) => {
+    e.preventDefault();
+
+    if (!formData.email.trim() || !formData.switchPassword) {
+      setError("Email and password are required");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await switchUser({
+        email: formData.email.trim(),
+        password: formData.switchPassword,
+      });
+      // The previous user's page is not theirs to see
+      navigate("/", { replace: true });
+    } catch (err) {
+      // Previous session is already gone; the login page shows the error
+      navigate("/login", { replace: true });
+    }
+  };
+
+  const showWarning = !isLocked && idleSecondsRemaining !== null;
+
+  return (
+    <>
+      {/* Idle Warning Dialog */}
+      <Dialog open={showWarning} onClose={stayActive} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <Timer sx={{ mr: 1, color: "warning.main" }} />
+          Are you still there?
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            For patient privacy, this session will lock in{" "}
+            <strong>{idleSecondsRemaining} seconds</strong> due to inactivity.
+          </DialogContentText>
+          <LinearProgress
+            variant="determinate"
+            color="warning"
+            value={((idleSecondsRemaining || 0) / idleWarningSeconds) * 100}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={lockSession} startIcon={<Lock />}>
+            Lock Now
+          </Button>
+          <Button variant="contained" onClick={stayActive}>
+            Stay Signed In
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Lock Screen Overlay */}
+      {isLocked && (
+        <Box
+          role="dialog"
+          aria-modal="true"
+          aria-label="Session locked"
+          sx={{
+            position: "fixed",
+            inset: 0,
+            zIndex: (theme) => theme.zIndex.modal + 1,
+            bgcolor: "background.default",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            p: 2,
+          }}
+        >
+          <Paper
+            elevation={3}
+            sx={{
+              p: 4,
+              width: "100%",
+              maxWidth: 400,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+            }}
+          >
+            <Avatar
+              sx={{ width: 64, height: 64, bgcolor: "secondary.main", mb: 2 }}
+            >
+              {user?.firstName?.[0]}
+              {user?.lastName?.[0]}
+            </Avatar>
+            <Typography variant="h5" gutterBottom>
+              Session Locked
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ width: "100%", mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            {mode === "switch" ? (
+              <Box
+                component="form"
+                onSubmit={handleSwitchUser}
+                sx={{ width: "100%" }}
+              >
+                <Typography variant="body2" color="text.secondary">
+                  Signing in as a different user will log out {user?.firstName}{" "}
+                  {user?.lastName}. Unsaved work will be lost.
+                </Typography>
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  autoFocus
+                  label="Email Address"
+                  name="email"
+                  autoComplete="username"
+                  value={formData.email}
+                  onChange={handleChange}
+                  disabled={loading}
+                />
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  label="Password"
+                  name="switchPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  value={formData.switchPassword}
+                  onChange={handleChange}
+                  disabled={loading}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  sx={{ mt: 2 }}
+                  disabled={loading}
+                  startIcon={
+                    loading ? <CircularProgress size={20} /> : <SwapHoriz />
+                  }
+                >
+                  Sign In as Different User
+                </Button>
+                <Button
+                  fullWidth
+                  sx={{ mt: 1 }}
+                  onClick={() => changeMode("password")}
+                  disabled={loading}
+                >
+                  Back
+                </Button>
+              </Box>
+            ) : (
+              <Box
+                component="form"
+                onSubmit={handleUnlock}
+                sx={{ width: "100%" }}
+              >
+                <Typography
+                  variant="body2"
+                  color="text.secondary"
+                  align="center"
+                >
+                  {user?.firstName} {user?.lastName}, enter your{" "}
+                  {mode === "pin" ? "PIN" : "password"} to resume.
+                </Typography>
+                {mode === "pin" ? (
+                  <TextField
+                    margin="normal"
+                    fullWidth
+                    autoFocus
+                    label="PIN"
+                    name="pin"
+                    type="password"
+                    inputProps={{ inputMode: "numeric" }}
+                    value={formData.pin}
+                    onChange={handleChange}
+                    disabled={loading}
+                  />
+                ) : (
+                  <TextField
+                    margin="normal"
+                    fullWidth
+                    autoFocus
+                    label="Password"
+                    name="password"
+                    type="password"
+                    autoComplete="current-password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    disabled={loading}
+                  />
+                )}
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  sx={{ mt: 2 }}
+                  disabled={loading}
+                  startIcon={
+                    loading ? <CircularProgress size={20} /> : <LockOpen />
+                  }
+                >
+                  {loading ? "Unlocking..." : "Unlock"}
+                </Button>
+                <Button
+                  fullWidth
+                  sx={{ mt: 1 }}
+                  onClick={() =>
+                    changeMode(mode === "pin" ? "password" : "pin")
+                  }
+                  disabled={loading}
+                >
+                  {mode === "pin" ? "Use password instead" : "Use PIN instead"}
+                </Button>
+                <Divider sx={{ my: 2 }} />
+                <Button
+                  fullWidth
+                  startIcon={<SwapHoriz />}
+                  onClick={() => changeMode("switch")}
+                  disabled={loading}
+                >
+                  Not {user?.firstName}? Sign in as a different user
+                </Button>
+              </Box>
+            )}
+          </Paper>
+        </Box>
+      )}
+    </>
+  );
+};
+
+export default SessionLock;
@@ -0,0 +1,81 @@
+// src/components/Auth/SessionSyncNotice.js
+// Warns when another browser tab signs out or signs in as someone else
+
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Snackbar,
+} from "@mui/material";
+import { Warning } from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+
+const formatName = (user) => `${user?.firstName} ${user?.lastName}`;
+
+const SessionSyncNotice = () => {
+  const navigate = useNavigate();
+  const { sessionNotice, dismissSessionNotice } = useAuth();
+
+  const handleGoToDashboard = () => {
+    dismissSessionNotice();
+    navigate("/dashboard", { replace: true });
+  };
+
+  return (
+    <>
+      {/* Signed out in another tab */}
+      <Snackbar
+        open={sessionNotice?.type === "signed-out"}
+        autoHideDuration={8000}
+        onClose={dismissSessionNotice}
+        anchorOrigin={{ vertical: "top", horizontal: "center" }}
+      >
+        <Alert
+          severity="info"
+          onClose={dismissSessionNotice}
+          sx={{ width: "100%" }}
+        >
+          {formatName(sessionNotice?.previousUser)} was signed out in another
+          tab.
+        </Alert>
+      </Snackbar>
+
+      {/* Different user signed in another tab */}
+      <Dialog
+        open={sessionNotice?.type === "identity-changed"}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <Warning sx={{ mr: 1, color: "warning.main" }} />
+          Signed-In User Changed
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            <strong>{formatName(sessionNotice?.user)}</strong> signed in from
+            another tab. This page was opened by{" "}
+            <strong>{formatName(sessionNotice?.previousUser)}</strong>.
+          </DialogContentText>
+          <DialogContentText sx={{ mt: 2, color: "error.main" }}>
+            ⚠️ Anything you save from this page will now be recorded under{" "}
+            {formatName(sessionNotice?.user)}.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={dismissSessionNotice}>Stay on This Page</Button>
+          <Button variant="contained" onClick={handleGoToDashboard}>
+            Go to Dashboard
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default SessionSyncNotice;
@@ -0,0 +1,244 @@
+// src/components/Common/ExportDialog.js
+// Export the current list as CSV or XLSX, after a PHI confirmation that is
+// recorded in the audit log
+
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  FormLabel,
+  FormGroup,
+  FormControlLabel,
+  RadioGroup,
+  Radio,
+  Checkbox,
+} from "@mui/material";
+import { FileDownload } from "@mui/icons-material";
+import { auditAPI, handleApiError } from "../../services/api";
+import { EXPORT_FORMATS, downloadExport } from "../../utils/exportData";
+
+const defaultColumnKeys = (columns) =>
+  columns.filter((column) => column.default !== false).map((c) => c.key);
+
+/**
+ * resource: audit log name for what is exported (e.g. "task_logs")
+ * columns: [{ key, label, value(row), width?, default? }]
+ * filters: the filters behind the current view, recorded with the export
+ * fetchRows: async () => every row matching the current view
+ */
+const ExportDialog = ({
+  open,
+  onClose,
+  title,
+  resource,
+  columns,
+  filters,
+  fetchRows,
+  filename,
+  sheetName,
+}) => {
+  const [format, setFormat] = useState("csv");
+  const [selectedKeys, setSelectedKeys] = useState(() =>
+    defaultColumnKeys(columns)
+  );
+  const [confirmed, setConfirmed] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setConfirmed(false);
+      setError(null);
+      setSuccess(null);
+    }
+  }, [open]);
+
+  const toggleColumn = (key) => {
+    setSelectedKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  };
+
+  const allSelected = selectedKeys.length === columns.length;
+
+  const handleExport = async () => {
+    // Keep the table's column order regardless of the order they were ticked
+    const exportColumns = columns.filter((column) =>
+      selectedKeys.includes(column.key)
+    );
+
+    try {
+      setExporting(true);
+      setError(null);
+      setSuccess(null);
+
+      const rows = await fetchRows();
+
+      await auditAPI.logExport({
+        resource,
+        format,
+        columns: exportColumns.map((column) => column.key),
+        filters,
+        rowCount: rows.length,
+      });
+
+      await downloadExport({
+        format,
+        columns: exportColumns,
+        rows,
+        filename,
+        sheetName,
+      });
+      setSuccess(
+        `Exported ${rows.length} ${rows.length === 1 ? "row" : "rows"}.`
+      );
+      setConfirmed(false);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!exporting) {
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {success}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Exports every row matching the current filters and sort order, not
+          just the page on screen.
+        </Typography>
+
+        <FormControl sx={{ mb: 2 }}>
+          <FormLabel>Format</FormLabel>
+          <RadioGroup
+            row
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+          >
+            {EXPORT_FORMATS.map((option) => (
+              <FormControlLabel
+                key={option.value}
+                value={option.value}
+                control={<Radio />}
+                label={option.label}
+                disabled={exporting}
+              />
+            ))}
+          </RadioGroup>
+        </FormControl>
+
+        <FormControl component="fieldset" sx={{ mb: 2, display: "block" }}>
+          <Box
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+            }}
+          >
+            <FormLabel component="legend">Columns</FormLabel>
+            <Button
+              size="small"
+              onClick={() =>
+                setSelectedKeys(
+                  allSelected ? [] : columns.map((column) => column.key)
+                )
+              }
+              disabled={exporting}
+            >
+              {allSelected ? "Clear All" : "Select All"}
+            </Button>
+          </Box>
+          <FormGroup
+            sx={{
+              display: "grid",
+              gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" },
+            }}
+          >
+            {columns.map((column) => (
+              <FormControlLabel
+                key={column.key}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={selectedKeys.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                }
+                label={column.label}
+                disabled={exporting}
+              />
+            ))}
+          </FormGroup>
+        </FormControl>
+
+        <Alert severity="warning">
+          <Typography variant="body2" fontWeight="bold" gutterBottom>
+            PHI included
+          </Typography>
+          <Typography variant="body2">
+            This file contains protected health information. Store and share it
+            only as your organization's privacy policy allows. The export,
+            including its filters, columns and row count, is recorded in the
+            audit log under your name.
+          </Typography>
+          <FormControlLabel
+            sx={{ mt: 1 }}
+            control={
+              <Checkbox
+                checked={confirmed}
+                onChange={(e) => setConfirmed(e.target.checked)}
+                disabled={exporting}
+              />
+            }
+            label="I understand and need this data for my work"
+          />
+        </Alert>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={exporting}>
+          {success ? "Close" : "Cancel"}
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleExport}
+          disabled={!confirmed || selectedKeys.length === 0 || exporting}
+          startIcon={
+            exporting ? <CircularProgress size={16} /> : <FileDownload />
+          }
+        >
+          {exporting ? "Exporting..." : "Export"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExportDialog;
@@ -1,7 +1,7 @@
 // src/components/Dashboard/Dashboard.js
 // Main dashboard with overview statistics and quick actions
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import {
   Typography,
@@ -28,18 +28,53 @@ import {
   LocalHospital,
   TrendingUp,
   AccessTime,
-  CheckCircle,
+  CloudUpload,
+  NotificationImportant,
+  Medication,
+  Alarm,
 } from "@mui/icons-material";
 import { useAuth } from "../../context/AuthContext";
-import { patientsAPI, taskLogsAPI } from "../../services/api";
+import { usePreferences } from "../../context/PreferencesContext";
+import { useEarlyWarning } from "../../context/EarlyWarningContext";
+import TaskTypeChip from "../TaskLogs/TaskTypeChip";
+import TaskTypeIcon from "../TaskLogs/TaskTypeIcon";
+import News2Chip from "../EarlyWarning/News2Chip";
+import { patientsAPI, taskLogsAPI, statsAPI } from "../../services/api";
 import { handleApiError } from "../../services/api";
+import { getLocalDateKey, formatTimeSince } from "../../utils/dateUtils";
+import {
+  NEWS2_ESCALATION_THRESHOLD,
+  NEWS2_LOOKBACK_HOURS,
+} from "../../utils/news2";
+import useOutbox, { toPendingTaskLog } from "../../hooks/useOutbox";
+import useOverdueDoses from "../../hooks/useOverdueDoses";
+import { formatOrder } from "../../utils/mar";
+import useScheduledTasks from "../../hooks/useScheduledTasks";
+import { getScheduledTaskStatus } from "../../utils/scheduledTasks";
+import ScheduledTaskList from "../ScheduledTasks/ScheduledTaskList";
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user, isAdmin } = useAuth();
+  const { formatDate, formatTime } = usePreferences();
+  const { escalations, lastUpdated } = useEarlyWarning();
+  const { overdueDoses, error: overdueError } = useOverdueDoses();
+  const {
+    scheduledTasks,
+    now: scheduleNow,
+    error: scheduleError,
+  } = useScheduledTasks();
+
+  // Due or overdue tasks assigned to this user, plus unassigned ones
+  const myDueTasks = scheduledTasks.filter(
+    (task) =>
+      (!task.assigned_to || String(task.assigned_to) === String(user?.id)) &&
+      getScheduledTaskStatus(task, scheduleNow) !== "upcoming"
+  );
   const [stats, setStats] = useState({
     totalPatients: 0,
     todayTasks: 0,
+    todayByType: [],
     recentTasks: [],
     recentPatients: [],
   });
@@ -47,42 +82,73 @@ const Dashboard = () => {
   const [error, setError] = useState(null);
 
   // Load dashboard data
-  useEffect(() => {
-    const loadDashboardData = async () => {
-      try {
-        setLoading(true);
-        setError(null);
+  const loadDashboardData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
 
-        // Load patients
-        const patientsResponse = await patientsAPI.getAll({ limit: 5 });
+      // Load patients
+      const patientsResponse = await patientsAPI.getAll({ limit: 5 });
 
-        // Load recent task logs
-        const taskLogsResponse = await taskLogsAPI.getAll({ limit: 10 });
+      // Load recent task logs
+      const taskLogsResponse = await taskLogsAPI.getAll({ limit: 10 });
 
-        // Calculate today's tasks
-        const today = new Date().toISOString().split("T")[0];
-        const todayTasks =
-          taskLogsResponse.taskLogs?.filter((task) =>
-            task.completed_at.startsWith(today)
-          ).length || 0;
+      // Load today's counts from the stats endpoint
+      const today = getLocalDateKey(new Date());
+      let todayTasks;
+      let todayByType = [];
 
-        setStats({
-          totalPatients: patientsResponse.count || 0,
-          todayTasks: todayTasks,
-          recentTasks: taskLogsResponse.taskLogs?.slice(0, 5) || [],
-          recentPatients: patientsResponse.patients || [],
+      try {
+        const statsResponse = await statsAPI.getTaskLogStats({
+          from: today,
+          to: today,
         });
-      } catch (err) {
-        const errorInfo = handleApiError(err);
-        setError(errorInfo.message);
-      } finally {
-        setLoading(false);
+        todayTasks =
+          statsResponse.byDay?.find((day) => day.date === today)?.count || 0;
+        todayByType = statsResponse.byType || [];
+      } catch (statsErr) {
+        if (statsErr.response?.status !== 404) {
+          throw statsErr;
+        }
+
+        // Backend has no stats endpoint: count today's tasks from the
+        // recent logs (undercounts on busy days)
+        todayTasks =
+          taskLogsResponse.taskLogs?.filter(
+            (task) => getLocalDateKey(task.completed_at) === today
+          ).length || 0;
       }
-    };
 
-    loadDashboardData();
+      setStats({
+        totalPatients: patientsResponse.count || 0,
+        todayTasks: todayTasks,
+        todayByType: todayByType,
+        recentTasks: taskLogsResponse.taskLogs?.slice(0, 5) || [],
+        recentPatients: patientsResponse.patients || [],
+      });
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
+  useEffect(() => {
+    loadDashboardData();
+  }, [loadDashboardData]);
+
+  // Offline task logs waiting to sync are listed with the recent ones
+  const { pendingEntries, problemEntries } = useOutbox({
+    onSynced: loadDashboardData,
+  });
+  const recentTaskItems = [
+    ...pendingEntries
+      .filter((entry) => entry.action === "create")
+      .map(toPendingTaskLog),
+    ...stats.recentTasks,
+  ].slice(0, 5);
+
   // Quick action handlers
   const handleAddPatient = () => {
     navigate("/patients/new");
@@ -92,31 +158,6 @@ const Dashboard = () => {
     navigate("/task-logs/new");
   };
 
-  const formatTime = (dateString) => {
-    return new Date(dateString).toLocaleTimeString("en-US", {
-      hour: "2-digit",
-      minute: "2-digit",
-    });
-  };
-
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-    });
-  };
-
-  const getTaskTypeColor = (taskType) => {
-    const colors = {
-      Medication: "error",
-      Vitals: "info",
-      Assessment: "warning",
-      Treatment: "success",
-      Documentation: "default",
-    };
-    return colors[taskType] || "default";
-  };
-
   if (loading) {
     return (
       <Box
@@ -154,6 +195,35 @@ const Dashboard = () => {
         </Alert>
       )}
 
+      {/* Offline Sync Status */}
+      {pendingEntries.length > 0 && (
+        <Alert severity="info" icon={<CloudUpload />} sx={{ mb: 3 }}>
+          {pendingEntries.length} task{" "}
+          {pendingEntries.length === 1 ? "entry is" : "entries are"} saved on
+          this device and will sync when the connection returns.
+        </Alert>
+      )}
+      {problemEntries.length > 0 && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 3 }}
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => navigate("/task-logs")}
+            >
+              Review
+            </Button>
+          }
+        >
+          {problemEntries.length} offline{" "}
+          {problemEntries.length === 1 ? "entry" : "entries"} could not be
+          synced and {problemEntries.length === 1 ? "needs" : "need"} your
+          attention.
+        </Alert>
+      )}
+
       {/* Stats Cards */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} sm={6} md={3}>
@@ -186,6 +256,20 @@ const Dashboard = () => {
                   <Typography color="text.secondary">Today's Tasks</Typography>
                 </Box>
               </Box>
+              {stats.todayByType.length > 0 && (
+                <Box
+                  sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mt: 1 }}
+                >
+                  {stats.todayByType.map((entry) => (
+                    <TaskTypeChip
+                      key={entry.task_type}
+                      taskType={entry.task_type}
+                      count={entry.count}
+                      variant="outlined"
+                    />
+                  ))}
+                </Box>
+              )}
             </CardContent>
           </Card>
         </Grid>
@@ -227,6 +311,131 @@ const Dashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Patients Needing Escalation */}
+      <Paper sx={{ p: 3, mb: 4 }}>
+        <Typography
+          variant="h6"
+          gutterBottom
+          sx={{ display: "flex", alignItems: "center" }}
+        >
+          <NotificationImportant
+            sx={{
+              mr: 1,
+              color: escalations.length > 0 ? "error.main" : "action.active",
+            }}
+          />
+          Patients Needing Escalation
+        </Typography>
+        {escalations.length === 0 ? (
+          <Typography color="text.secondary">
+            No patients have a NEWS2 score of {NEWS2_ESCALATION_THRESHOLD} or
+            more in the last {NEWS2_LOOKBACK_HOURS} hours.
+          </Typography>
+        ) : (
+          <List>
+            {escalations.map((entry, index) => (
+              <React.Fragment key={entry.patientId}>
+                <ListItem
+                  sx={{ px: 0, cursor: "pointer" }}
+                  onClick={() => navigate(`/patients/${entry.patientId}`)}
+                >
+                  <ListItemIcon>
+                    <News2Chip result={entry} />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={entry.patientName || `Patient ${entry.patientId}`}
+                    secondary={`Last vitals ${formatTimeSince(
+                      entry.completedAt,
+                      lastUpdated
+                    )} ago (${formatTime(entry.completedAt)})`}
+                    sx={{ ml: 2 }}
+                  />
+                </ListItem>
+                {index < escalations.length - 1 && <Divider />}
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+      </Paper>
+
+      {/* My Due Tasks */}
+      <Paper sx={{ p: 3, mb: 4 }}>
+        <Typography
+          variant="h6"
+          gutterBottom
+          sx={{ display: "flex", alignItems: "center" }}
+        >
+          <Alarm
+            sx={{
+              mr: 1,
+              color: myDueTasks.some(
+                (task) =>
+                  getScheduledTaskStatus(task, scheduleNow) === "overdue"
+              )
+                ? "error.main"
+                : "action.active",
+            }}
+          />
+          My Due Tasks
+        </Typography>
+        {scheduleError ? (
+          <Typography color="text.secondary">{scheduleError}</Typography>
+        ) : (
+          <ScheduledTaskList
+            scheduledTasks={myDueTasks}
+            now={scheduleNow}
+            showPatient
+            emptyMessage="Nothing due right now."
+          />
+        )}
+      </Paper>
+
+      {/* Overdue Medications */}
+      <Paper sx={{ p: 3, mb: 4 }}>
+        <Typography
+          variant="h6"
+          gutterBottom
+          sx={{ display: "flex", alignItems: "center" }}
+        >
+          <Medication
+            sx={{
+              mr: 1,
+              color: overdueDoses.length > 0 ? "error.main" : "action.active",
+            }}
+          />
+          Overdue Medications
+        </Typography>
+        {overdueError ? (
+          <Typography color="text.secondary">{overdueError}</Typography>
+        ) : overdueDoses.length === 0 ? (
+          <Typography color="text.secondary">
+            No overdue scheduled doses.
+          </Typography>
+        ) : (
+          <List>
+            {overdueDoses.map(({ order, scheduledFor }, index) => (
+              <React.Fragment key={`${order.id}-${scheduledFor.getTime()}`}>
+                <ListItem
+                  sx={{ px: 0, cursor: "pointer" }}
+                  onClick={() => navigate(`/patients/${order.patient_id}/mar`)}
+                >
+                  <ListItemText
+                    primary={`${order.patient_first_name || ""} ${
+                      order.patient_last_name || ""
+                    } — ${formatOrder(order)}`}
+                    secondary={`Due ${formatDate(scheduledFor)} at ${formatTime(
+                      scheduledFor
+                    )} (${formatTimeSince(scheduledFor)} ago)`}
+                  />
+                  <Chip label="Overdue" size="small" color="error" />
+                </ListItem>
+                {index < overdueDoses.length - 1 && <Divider />}
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+      </Paper>
+
       {/* Quick Actions */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12}>
@@ -275,17 +484,17 @@ const Dashboard = () => {
               <AccessTime sx={{ mr: 1 }} />
               Recent Task Logs
             </Typography>
-            {stats.recentTasks.length === 0 ? (
+            {recentTaskItems.length === 0 ? (
               <Typography color="text.secondary">
                 No recent task logs found.
               </Typography>
             ) : (
               <List>
-                {stats.recentTasks.map((task, index) => (
+                {recentTaskItems.map((task, index) => (
                   <React.Fragment key={task.id}>
                     <ListItem sx={{ px: 0 }}>
                       <ListItemIcon>
-                        <CheckCircle color={getTaskTypeColor(task.task_type)} />
+                        <TaskTypeIcon taskType={task.task_type} />
                       </ListItemIcon>
                       <ListItemText
                         primary={
@@ -299,11 +508,16 @@ const Dashboard = () => {
                             <Typography variant="body2">
                               {task.patient_first_name} {task.patient_last_name}
                             </Typography>
-                            <Chip
-                              label={task.task_type}
-                              size="small"
-                              color={getTaskTypeColor(task.task_type)}
-                            />
+                            <TaskTypeChip taskType={task.task_type} />
+                            {task.outboxEntry && (
+                              <Chip
+                                icon={<CloudUpload />}
+                                label="Pending sync"
+                                size="small"
+                                color="warning"
+                                variant="outlined"
+                              />
+                            )}
                           </Box>
                         }
                         secondary={
@@ -322,7 +536,7 @@ const Dashboard = () => {
                         }
                       />
                     </ListItem>
-                    {index < stats.recentTasks.length - 1 && <Divider />}
+                    {index < recentTaskItems.length - 1 && <Divider />}
                   </React.Fragment>
                 ))}
               </List>
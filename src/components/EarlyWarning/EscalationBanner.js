@@ -0,0 +1,43 @@
+// src/components/EarlyWarning/EscalationBanner.js
+// Persistent banner for patients at or above the NEWS2 escalation threshold
+
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { Alert, AlertTitle, Box, Link } from "@mui/material";
+import { useEarlyWarning } from "../../context/EarlyWarningContext";
+import { NEWS2_ESCALATION_THRESHOLD } from "../../utils/news2";
+import { formatTimeSince } from "../../utils/dateUtils";
+
+const EscalationBanner = () => {
+  const navigate = useNavigate();
+  const { escalations, lastUpdated } = useEarlyWarning();
+
+  if (escalations.length === 0) return null;
+
+  // No close button: the banner stays until the scores come down
+  return (
+    <Alert severity="error" variant="filled" sx={{ mb: 3 }}>
+      <AlertTitle>
+        {escalations.length}{" "}
+        {escalations.length === 1 ? "patient needs" : "patients need"}{" "}
+        escalation (NEWS2 {NEWS2_ESCALATION_THRESHOLD} or more)
+      </AlertTitle>
+      {escalations.map((entry) => (
+        <Box key={entry.patientId}>
+          <Link
+            component="button"
+            color="inherit"
+            fontWeight="bold"
+            onClick={() => navigate(`/patients/${entry.patientId}`)}
+          >
+            {entry.patientName || `Patient ${entry.patientId}`}
+          </Link>
+          {" — "}NEWS2 {entry.score} ({entry.risk.label.toLowerCase()} risk),
+          last vitals {formatTimeSince(entry.completedAt, lastUpdated)} ago
+        </Box>
+      ))}
+    </Alert>
+  );
+};
+
+export default EscalationBanner;
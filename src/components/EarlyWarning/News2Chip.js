@@ -0,0 +1,40 @@
+// src/components/EarlyWarning/News2Chip.js
+// NEWS2 score chip colored by clinical risk
+
+import React from "react";
+import { Chip, Tooltip, Typography } from "@mui/material";
+import { VITALS, OBSERVATIONS } from "../../utils/vitals";
+
+const PARAMETER_LABELS = Object.fromEntries(
+  [...VITALS, ...OBSERVATIONS].map((item) => [item.key, item.label])
+);
+
+// result: output of calculateNews2 (null when no recent vitals)
+const News2Chip = ({ result, size = "small", ...chipProps }) => {
+  if (!result) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        —
+      </Typography>
+    );
+  }
+
+  const tooltip = result.complete
+    ? `${result.risk.label} risk`
+    : `${result.risk.label} risk (partial score; not recorded: ${result.missing
+        .map((key) => PARAMETER_LABELS[key])
+        .join(", ")})`;
+
+  return (
+    <Tooltip title={tooltip}>
+      <Chip
+        label={`NEWS2 ${result.score}${result.complete ? "" : "*"}`}
+        size={size}
+        color={result.risk.color}
+        {...chipProps}
+      />
+    </Tooltip>
+  );
+};
+
+export default News2Chip;
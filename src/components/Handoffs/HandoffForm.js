@@ -0,0 +1,377 @@
+// src/components/Handoffs/HandoffForm.js
+// Per-patient SBAR handoff: pre-filled from the record, signed by the
+// outgoing clinician and acknowledged by the incoming one
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import {
+  ArrowBack,
+  Save,
+  Refresh,
+  HistoryEdu,
+  TaskAlt,
+  Assessment,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import {
+  patientsAPI,
+  taskLogsAPI,
+  medicationOrdersAPI,
+  scheduledTasksAPI,
+  handoffsAPI,
+  handleApiError,
+} from "../../services/api";
+import {
+  SBAR_SECTIONS,
+  EMPTY_SBAR,
+  getShiftFromParam,
+  buildSbarDraft,
+} from "../../utils/handoff";
+import HandoffSignoff from "./HandoffSignoff";
+
+const toSbar = (handoff) =>
+  Object.fromEntries(SBAR_SECTIONS.map(({ key }) => [key, handoff[key] || ""]));
+
+const HandoffForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const { formatDate, formatTime, formatDateTime } = usePreferences();
+
+  // Defaults to the shift in progress; the unit report links to earlier ones
+  const shiftParam = searchParams.get("shiftStart");
+  const [shift] = useState(() => getShiftFromParam(shiftParam));
+
+  const [patient, setPatient] = useState(null);
+  const [record, setRecord] = useState(null);
+  const [handoff, setHandoff] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_SBAR);
+  const [validationErrors, setValidationErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const buildDraft = useCallback(
+    (data) =>
+      buildSbarDraft({
+        ...data,
+        shiftStart: shift.start,
+        formatDate,
+        formatTime,
+      }),
+    [shift, formatDate, formatTime]
+  );
+
+  // Load the patient record and any handoff already started for this shift
+  useEffect(() => {
+    const loadHandoff = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [
+          patientResponse,
+          taskLogsResponse,
+          ordersResponse,
+          scheduledResponse,
+          handoffsResponse,
+        ] = await Promise.all([
+          patientsAPI.getById(id),
+          taskLogsAPI.getByPatient(id),
+          medicationOrdersAPI.getAll({ patientId: id, active: true }),
+          scheduledTasksAPI.getAll({ patientId: id, active: true }),
+          handoffsAPI.getAll({
+            patientId: id,
+            shiftStart: shift.start.toISOString(),
+          }),
+        ]);
+
+        const data = {
+          patient: patientResponse.patient,
+          taskLogs: taskLogsResponse.taskLogs || [],
+          medicationOrders: ordersResponse.medicationOrders || [],
+          scheduledTasks: scheduledResponse.scheduledTasks || [],
+        };
+        const existing = (handoffsResponse.handoffs || [])[0] || null;
+
+        setPatient(data.patient);
+        setRecord(data);
+        setHandoff(existing);
+        setFormData(existing ? toSbar(existing) : buildDraft(data));
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        setError(errorInfo.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHandoff();
+  }, [id, shift, buildDraft]);
+
+  const status = handoff?.status || "draft";
+  const isAuthor = !handoff || String(handoff.author_id) === String(user?.id);
+  const canEdit = status === "draft" && isAuthor;
+  const canAcknowledge = status === "signed" && !isAuthor;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (validationErrors[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleRefresh = () => {
+    setFormData(buildDraft({ ...record, now: new Date() }));
+    setValidationErrors({});
+    setSuccess(null);
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    SBAR_SECTIONS.forEach(({ key, label }) => {
+      if (!formData[key].trim()) {
+        errors[key] = `${label} is required`;
+      }
+    });
+    return errors;
+  };
+
+  // Saves the draft; returns the saved handoff
+  const saveDraft = async () => {
+    const handoffData = {
+      patientId: Number(id),
+      shiftStart: shift.start.toISOString(),
+      ...Object.fromEntries(
+        SBAR_SECTIONS.map(({ key }) => [key, formData[key].trim()])
+      ),
+    };
+    const response = handoff
+      ? await handoffsAPI.update(handoff.id, handoffData)
+      : await handoffsAPI.create(handoffData);
+    setHandoff(response.handoff);
+    return response.handoff;
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      await action();
+      setSuccess(successMessage);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => runAction(saveDraft, "Draft saved.");
+
+  const handleSign = () => {
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    runAction(async () => {
+      const saved = await saveDraft();
+      const response = await handoffsAPI.sign(saved.id);
+      setHandoff(response.handoff);
+    }, "Handoff signed. The incoming clinician can now acknowledge it.");
+  };
+
+  const handleAcknowledge = () =>
+    runAction(async () => {
+      const response = await handoffsAPI.acknowledge(handoff.id);
+      setHandoff(response.handoff);
+    }, "Handoff acknowledged.");
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          minHeight: 400,
+        }}
+      >
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>
+          Loading handoff...
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Button
+        startIcon={<ArrowBack />}
+        onClick={() => navigate(`/patients/${id}`)}
+        sx={{ mb: 2 }}
+      >
+        Back to Patient
+      </Button>
+
+      {/* Header */}
+      <Box
+        sx={{
+          mb: 3,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "flex-start",
+          flexWrap: "wrap",
+          gap: 2,
+        }}
+      >
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Shift Handoff
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            {patient ? `${patient.first_name} ${patient.last_name} · ` : ""}
+            {shift.shift.label} shift, {formatDateTime(shift.start)} –{" "}
+            {formatTime(shift.end)}
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          startIcon={<Assessment />}
+          onClick={() =>
+            navigate(`/handoffs?shiftStart=${shift.start.toISOString()}`)
+          }
+        >
+          Unit Report
+        </Button>
+      </Box>
+
+      {/* Alerts */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }}>
+          {success}
+        </Alert>
+      )}
+
+      {handoff && status === "draft" && !isAuthor && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          {handoff.author_first_name} {handoff.author_last_name} is preparing
+          this handoff. It can be acknowledged once it is signed.
+        </Alert>
+      )}
+
+      {patient && (
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ mb: 2 }}>
+            <HandoffSignoff handoff={handoff} />
+          </Box>
+
+          {SBAR_SECTIONS.map((section) => (
+            <TextField
+              key={section.key}
+              margin="normal"
+              fullWidth
+              multiline
+              minRows={3}
+              label={section.label}
+              name={section.key}
+              value={formData[section.key]}
+              onChange={handleChange}
+              error={!!validationErrors[section.key]}
+              helperText={validationErrors[section.key] || section.helperText}
+              InputProps={{ readOnly: !canEdit }}
+              disabled={saving}
+            />
+          ))}
+
+          <Box
+            sx={{
+              mt: 3,
+              display: "flex",
+              justifyContent: "flex-end",
+              gap: 2,
+              flexWrap: "wrap",
+            }}
+          >
+            {canEdit && (
+              <>
+                <Button
+                  startIcon={<Refresh />}
+                  onClick={handleRefresh}
+                  disabled={saving}
+                >
+                  Refill From Record
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<Save />}
+                  onClick={handleSave}
+                  disabled={saving}
+                >
+                  Save Draft
+                </Button>
+                <Button
+                  variant="contained"
+                  startIcon={
+                    saving ? <CircularProgress size={16} /> : <HistoryEdu />
+                  }
+                  onClick={handleSign}
+                  disabled={saving}
+                >
+                  Sign Handoff
+                </Button>
+              </>
+            )}
+            {canAcknowledge && (
+              <Button
+                variant="contained"
+                color="success"
+                startIcon={
+                  saving ? <CircularProgress size={16} /> : <TaskAlt />
+                }
+                onClick={handleAcknowledge}
+                disabled={saving}
+              >
+                Acknowledge Handoff
+              </Button>
+            )}
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default HandoffForm;
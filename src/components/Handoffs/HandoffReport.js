@@ -0,0 +1,290 @@
+// src/components/Handoffs/HandoffReport.js
+// Printable unit-level handoff report: every patient's SBAR for one shift
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  IconButton,
+  Tooltip,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Print,
+  Edit,
+  TaskAlt,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { patientsAPI, handoffsAPI, handleApiError } from "../../services/api";
+import {
+  SBAR_SECTIONS,
+  getShiftAt,
+  getShiftFromParam,
+  getPreviousShift,
+  getNextShift,
+} from "../../utils/handoff";
+import { fetchAllPages } from "../../utils/pagination";
+import HandoffSignoff from "./HandoffSignoff";
+
+const HandoffReport = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user } = useAuth();
+  const { formatDateTime, formatTime } = usePreferences();
+
+  const shiftParam = searchParams.get("shiftStart");
+  const shift = getShiftFromParam(shiftParam);
+  const shiftStartKey = shift.start.toISOString();
+  const isCurrentShift =
+    getShiftAt(new Date()).start.getTime() === shift.start.getTime();
+
+  const [patients, setPatients] = useState([]);
+  const [handoffs, setHandoffs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [acknowledgingId, setAcknowledgingId] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      // The report lists every patient on the unit, across all pages
+      const [allPatients, handoffsResponse] = await Promise.all([
+        fetchAllPages(async (page, limit) => {
+          const response = await patientsAPI.getAll({
+            sort: "room",
+            order: "asc",
+            page,
+            limit,
+          });
+          return { rows: response.patients || [], count: response.count };
+        }),
+        handoffsAPI.getAll({ shiftStart: shiftStartKey }),
+      ]);
+      setPatients(allPatients);
+      setHandoffs(handoffsResponse.handoffs || []);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [shiftStartKey]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const goToShift = (target) => {
+    setSearchParams({ shiftStart: target.start.toISOString() });
+  };
+
+  const handleAcknowledge = async (handoff) => {
+    try {
+      setAcknowledgingId(handoff.id);
+      setError(null);
+      const response = await handoffsAPI.acknowledge(handoff.id);
+      setHandoffs((prev) =>
+        prev.map((h) => (h.id === handoff.id ? response.handoff : h))
+      );
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setAcknowledgingId(null);
+    }
+  };
+
+  const handoffByPatient = Object.fromEntries(
+    handoffs.map((handoff) => [String(handoff.patient_id), handoff])
+  );
+  const signedCount = handoffs.filter((h) => h.status !== "draft").length;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box
+        sx={{
+          mb: 3,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "flex-start",
+          flexWrap: "wrap",
+          gap: 2,
+        }}
+      >
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Handoff Report
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            {shift.shift.label} shift, {formatDateTime(shift.start)} –{" "}
+            {formatTime(shift.end)} · {signedCount} of {patients.length}{" "}
+            patients signed off
+          </Typography>
+        </Box>
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            gap: 1,
+            displayPrint: "none",
+          }}
+        >
+          <Tooltip title="Previous shift">
+            <IconButton onClick={() => goToShift(getPreviousShift(shift))}>
+              <ChevronLeft />
+            </IconButton>
+          </Tooltip>
+          <Button
+            variant="outlined"
+            size="small"
+            disabled={isCurrentShift}
+            onClick={() => setSearchParams({})}
+          >
+            Current Shift
+          </Button>
+          <Tooltip title="Next shift">
+            <span>
+              <IconButton
+                disabled={isCurrentShift}
+                onClick={() => goToShift(getNextShift(shift))}
+              >
+                <ChevronRight />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Button
+            variant="contained"
+            startIcon={<Print />}
+            onClick={() => window.print()}
+            disabled={loading}
+          >
+            Print
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, displayPrint: "none" }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 6 }}>
+          <CircularProgress />
+        </Box>
+      ) : patients.length === 0 ? (
+        <Typography color="text.secondary">No patients on the unit.</Typography>
+      ) : (
+        patients.map((patient) => {
+          const handoff = handoffByPatient[String(patient.id)];
+          const canAcknowledge =
+            handoff?.status === "signed" &&
+            String(handoff.author_id) !== String(user?.id);
+
+          return (
+            <Paper
+              key={patient.id}
+              sx={{
+                p: 3,
+                mb: 2,
+                breakInside: "avoid",
+                "@media print": { boxShadow: "none", border: 1 },
+              }}
+            >
+              <Box
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "flex-start",
+                  flexWrap: "wrap",
+                  gap: 1,
+                  mb: 1,
+                }}
+              >
+                <Box>
+                  <Typography variant="h6">
+                    {patient.first_name} {patient.last_name}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Room {patient.room_number || "not assigned"} · MRN{" "}
+                    {patient.medical_record_number}
+                  </Typography>
+                </Box>
+                <Box sx={{ display: "flex", gap: 1, displayPrint: "none" }}>
+                  {(handoff || isCurrentShift) && (
+                    <Button
+                      size="small"
+                      startIcon={<Edit />}
+                      onClick={() =>
+                        navigate(
+                          `/patients/${patient.id}/handoff?shiftStart=${shiftStartKey}`
+                        )
+                      }
+                    >
+                      {handoff ? "Open" : "Start Handoff"}
+                    </Button>
+                  )}
+                  {canAcknowledge && (
+                    <Button
+                      size="small"
+                      variant="contained"
+                      color="success"
+                      startIcon={
+                        acknowledgingId === handoff.id ? (
+                          <CircularProgress size={16} />
+                        ) : (
+                          <TaskAlt />
+                        )
+                      }
+                      onClick={() => handleAcknowledge(handoff)}
+                      disabled={acknowledgingId === handoff.id}
+                    >
+                      Acknowledge
+                    </Button>
+                  )}
+                </Box>
+              </Box>
+
+              {handoff ? (
+                <>
+                  <Box sx={{ mb: 2 }}>
+                    <HandoffSignoff handoff={handoff} />
+                  </Box>
+                  {SBAR_SECTIONS.map((section) => (
+                    <Box key={section.key} sx={{ mb: 1.5 }}>
+                      <Typography variant="subtitle2">
+                        {section.label}
+                      </Typography>
+                      <Typography
+                        variant="body2"
+                        sx={{ whiteSpace: "pre-wrap" }}
+                      >
+                        {handoff[section.key] || "—"}
+                      </Typography>
+                    </Box>
+                  ))}
+                </>
+              ) : (
+                <Typography color="text.secondary">
+                  No handoff recorded for this shift.
+                </Typography>
+              )}
+            </Paper>
+          );
+        })
+      )}
+    </Box>
+  );
+};
+
+export default HandoffReport;
@@ -0,0 +1,35 @@
+// src/components/Handoffs/HandoffSignoff.js
+// Handoff status with who signed and acknowledged it, and when
+
+import React from "react";
+import { Box, Chip, Typography } from "@mui/material";
+import { usePreferences } from "../../context/PreferencesContext";
+import { HANDOFF_STATUSES } from "../../utils/handoff";
+
+const HandoffSignoff = ({ handoff }) => {
+  const { formatDateTime } = usePreferences();
+  const status = HANDOFF_STATUSES[handoff?.status || "draft"];
+
+  return (
+    <Box
+      sx={{ display: "flex", alignItems: "center", gap: 1, flexWrap: "wrap" }}
+    >
+      <Chip label={status.label} size="small" color={status.color} />
+      {handoff?.signed_at && (
+        <Typography variant="body2" color="text.secondary">
+          Signed by {handoff.author_first_name} {handoff.author_last_name},{" "}
+          {formatDateTime(handoff.signed_at)}
+        </Typography>
+      )}
+      {handoff?.acknowledged_at && (
+        <Typography variant="body2" color="text.secondary">
+          · Acknowledged by {handoff.acknowledged_by_first_name}{" "}
+          {handoff.acknowledged_by_last_name},{" "}
+          {formatDateTime(handoff.acknowledged_at)}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default HandoffSignoff;
@@ -17,6 +17,10 @@ import {
   MenuItem,
   Divider,
   Badge,
+  Tooltip,
+  Chip,
+  Snackbar,
+  Alert,
 } from "@mui/material";
 import {
   Menu as MenuIcon,
@@ -27,17 +31,43 @@ import {
   AccountCircle,
   Logout,
   Settings,
+  Lock,
+  CloudOff,
+  CloudUpload,
+  LightMode,
+  DarkMode,
+  Contrast,
+  BrightnessAuto,
+  Check,
+  SwapHoriz,
 } from "@mui/icons-material";
 import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { THEME_MODES } from "../../styles/theme";
+import SessionLock from "../Auth/SessionLock";
+import EscalationBanner from "../EarlyWarning/EscalationBanner";
+import useOutbox from "../../hooks/useOutbox";
 
 const drawerWidth = 240;
 
+const THEME_ICONS = {
+  system: <BrightnessAuto fontSize="small" />,
+  light: <LightMode fontSize="small" />,
+  dark: <DarkMode fontSize="small" />,
+  "high-contrast": <Contrast fontSize="small" />,
+};
+
 const Layout = ({ children }) => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, lockSession } = useAuth();
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorEl, setAnchorEl] = useState(null);
+  const [themeAnchorEl, setThemeAnchorEl] = useState(null);
+  const [themeError, setThemeError] = useState(null);
+  const { preferences, updatePreferences } = usePreferences();
+  const { isOnline, pendingEntries, problemEntries } = useOutbox();
+  const outboxCount = pendingEntries.length + problemEntries.length;
 
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
@@ -51,6 +81,33 @@ const Layout = ({ children }) => {
     setAnchorEl(null);
   };
 
+  const handleThemeSelect = async (themeMode) => {
+    setThemeAnchorEl(null);
+    if (themeMode === preferences.themeMode) return;
+
+    try {
+      await updatePreferences({ themeMode });
+    } catch (error) {
+      console.error("Failed to save theme:", error);
+      setThemeError("Couldn't save your theme. Please try again.");
+    }
+  };
+
+  const handleProfile = () => {
+    handleProfileMenuClose();
+    navigate("/profile");
+  };
+
+  const handleSettings = () => {
+    handleProfileMenuClose();
+    navigate("/settings");
+  };
+
+  const handleLockScreen = () => {
+    handleProfileMenuClose();
+    lockSession();
+  };
+
   const handleLogout = () => {
     logout();
     handleProfileMenuClose();
@@ -61,11 +118,16 @@ const Layout = ({ children }) => {
     { text: "Dashboard", icon: <Dashboard />, path: "/dashboard" },
     { text: "Patients", icon: <People />, path: "/patients" },
     { text: "Task Logs", icon: <Assignment />, path: "/task-logs" },
+    { text: "Handoff", icon: <SwapHoriz />, path: "/handoffs" },
     ...(isAdmin()
       ? [{ text: "Admin Panel", icon: <Settings />, path: "/admin" }]
       : []),
   ];
 
+  // Highlight a section for its nested pages too (e.g. /admin/users)
+  const isSelected = (path) =>
+    location.pathname === path || location.pathname.startsWith(`${path}/`);
+
   const drawer = (
     <div>
       <Toolbar>
@@ -83,7 +145,7 @@ const Layout = ({ children }) => {
             button
             key={item.text}
             onClick={() => navigate(item.path)}
-            selected={location.pathname === item.path}
+            selected={isSelected(item.path)}
             sx={{
               "&.Mui-selected": {
                 backgroundColor: "primary.light",
@@ -96,8 +158,7 @@ const Layout = ({ children }) => {
           >
             <ListItemIcon
               sx={{
-                color:
-                  location.pathname === item.path ? "inherit" : "action.active",
+                color: isSelected(item.path) ? "inherit" : "action.active",
               }}
             >
               {item.icon}
@@ -125,6 +186,7 @@ const Layout = ({ children }) => {
         sx={{
           width: { sm: `calc(100% - ${drawerWidth}px)` },
           ml: { sm: `${drawerWidth}px` },
+          displayPrint: "none",
         }}
       >
         <Toolbar>
@@ -154,6 +216,49 @@ const Layout = ({ children }) => {
             <Typography variant="body2">Hospital System</Typography>
           </Box>
 
+          {/* Connection & Sync Status */}
+          {!isOnline && (
+            <Chip
+              icon={<CloudOff />}
+              label="Offline"
+              size="small"
+              color="warning"
+              sx={{ mr: 1 }}
+            />
+          )}
+          {outboxCount > 0 && (
+            <Tooltip
+              title={`${outboxCount} task ${
+                outboxCount === 1 ? "entry" : "entries"
+              } waiting to sync`}
+            >
+              <IconButton
+                color="inherit"
+                aria-label="entries waiting to sync"
+                onClick={() => navigate("/task-logs")}
+              >
+                <Badge
+                  badgeContent={outboxCount}
+                  color={problemEntries.length > 0 ? "error" : "warning"}
+                >
+                  <CloudUpload />
+                </Badge>
+              </IconButton>
+            </Tooltip>
+          )}
+
+          {/* Theme Toggle */}
+          <Tooltip title="Theme">
+            <IconButton
+              color="inherit"
+              aria-label="change theme"
+              aria-haspopup="true"
+              onClick={(event) => setThemeAnchorEl(event.currentTarget)}
+            >
+              {THEME_ICONS[preferences.themeMode] || THEME_ICONS.system}
+            </IconButton>
+          </Tooltip>
+
           {/* User Menu */}
           <IconButton
             size="large"
@@ -185,18 +290,24 @@ const Layout = ({ children }) => {
         open={Boolean(anchorEl)}
         onClose={handleProfileMenuClose}
       >
-        <MenuItem onClick={handleProfileMenuClose}>
+        <MenuItem onClick={handleProfile}>
           <ListItemIcon>
             <AccountCircle fontSize="small" />
           </ListItemIcon>
           Profile
         </MenuItem>
-        <MenuItem onClick={handleProfileMenuClose}>
+        <MenuItem onClick={handleSettings}>
           <ListItemIcon>
             <Settings fontSize="small" />
           </ListItemIcon>
           Settings
         </MenuItem>
+        <MenuItem onClick={handleLockScreen}>
+          <ListItemIcon>
+            <Lock fontSize="small" />
+          </ListItemIcon>
+          Lock Screen
+        </MenuItem>
         <Divider />
         <MenuItem onClick={handleLogout}>
           <ListItemIcon>
@@ -206,9 +317,36 @@ const Layout = ({ children }) => {
         </MenuItem>
       </Menu>
 
+      {/* Theme Menu */}
+      <Menu
+        anchorEl={themeAnchorEl}
+        open={Boolean(themeAnchorEl)}
+        onClose={() => setThemeAnchorEl(null)}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+        transformOrigin={{ vertical: "top", horizontal: "right" }}
+      >
+        {THEME_MODES.map((option) => (
+          <MenuItem
+            key={option.value}
+            selected={option.value === preferences.themeMode}
+            onClick={() => handleThemeSelect(option.value)}
+          >
+            <ListItemIcon>{THEME_ICONS[option.value]}</ListItemIcon>
+            <ListItemText>{option.label}</ListItemText>
+            {option.value === preferences.themeMode && (
+              <Check fontSize="small" sx={{ ml: 2 }} />
+            )}
+          </MenuItem>
+        ))}
+      </Menu>
+
       <Box
         component="nav"
-        sx={{ width: { sm: drawerWidth }, flexShrink: { sm: 0 } }}
+        sx={{
+          width: { sm: drawerWidth },
+          flexShrink: { sm: 0 },
+          displayPrint: "none",
+        }}
       >
         <Drawer
           variant="temporary"
@@ -248,11 +386,28 @@ const Layout = ({ children }) => {
           flexGrow: 1,
           p: 3,
           width: { sm: `calc(100% - ${drawerWidth}px)` },
+          // Printed pages (e.g. the handoff report) get the full width
+          "@media print": { width: "100%", p: 0 },
         }}
       >
-        <Toolbar />
+        <Box sx={{ displayPrint: "none" }}>
+          <Toolbar />
+          <EscalationBanner />
+        </Box>
         {children}
       </Box>
+
+      <SessionLock />
+
+      <Snackbar
+        open={!!themeError}
+        autoHideDuration={6000}
+        onClose={() => setThemeError(null)}
+      >
+        <Alert severity="error" onClose={() => setThemeError(null)}>
+          {themeError}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
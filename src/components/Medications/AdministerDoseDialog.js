@@ -0,0 +1,343 @@
+// src/components/Medications/AdministerDoseDialog.js
+// Record a dose as given, held or refused; saved as a Medication task log
+
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  Typography,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  ToggleButton,
+  ToggleButtonGroup,
+} from "@mui/material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+import { taskLogsAPI, handleApiError } from "../../services/api";
+import {
+  MEDICATION_TASK_TYPE,
+  MEDICATION_ROUTES,
+  ADMINISTRATION_STATUSES,
+  formatOrder,
+  describeAdministration,
+} from "../../utils/mar";
+import { toDateTimeInputValue } from "../../utils/dateUtils";
+
+// Injection routes need a site (e.g. left deltoid)
+const SITE_ROUTES = ["IM", "SC", "IV"];
+
+const initialFormData = (order) => ({
+  status: "given",
+  dose: order?.dose || "",
+  route: order?.route || "",
+  site: "",
+  reason: "",
+  administeredAt: toDateTimeInputValue(new Date()),
+  notes: "",
+});
+
+// scheduledFor: the MAR slot being recorded, or null for a PRN dose
+const AdministerDoseDialog = ({
+  open,
+  order,
+  scheduledFor,
+  patient,
+  onClose,
+  onRecorded,
+}) => {
+  const { user } = useAuth();
+  const { formatDateTime } = usePreferences();
+  const { getTaskType } = useTaskTypes();
+  const notesRequired =
+    getTaskType(MEDICATION_TASK_TYPE).required_fields.includes("notes");
+
+  const [formData, setFormData] = useState(() => initialFormData(order));
+  const [validationErrors, setValidationErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(initialFormData(order));
+      setValidationErrors({});
+      setError(null);
+    }
+  }, [open, order]);
+
+  const isGiven = formData.status === "given";
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (validationErrors[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (isGiven) {
+      if (!formData.dose.trim()) {
+        errors.dose = "Dose is required";
+      }
+      if (!formData.route) {
+        errors.route = "Route is required";
+      }
+      if (SITE_ROUTES.includes(formData.route) && !formData.site.trim()) {
+        errors.site = `Site is required for ${formData.route} doses`;
+      }
+    } else if (!formData.reason.trim()) {
+      errors.reason = "Reason is required";
+    }
+
+    if (notesRequired && !formData.notes.trim()) {
+      errors.notes = `Required for ${
+        getTaskType(MEDICATION_TASK_TYPE).label
+      } tasks`;
+    }
+
+    const administeredAt = new Date(formData.administeredAt);
+    if (isNaN(administeredAt.getTime())) {
+      errors.administeredAt = "Please enter a valid date and time";
+    } else if (administeredAt > new Date()) {
+      errors.administeredAt = "Time cannot be in the future";
+    }
+
+    return errors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    const medication = {
+      orderId: order.id,
+      scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+      status: formData.status,
+      dose: isGiven ? formData.dose.trim() : null,
+      route: isGiven ? formData.route : null,
+      site: isGiven ? formData.site.trim() || null : null,
+      reason: isGiven ? null : formData.reason.trim(),
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await taskLogsAPI.create(
+        {
+          patientId: String(patient.id),
+          taskType: MEDICATION_TASK_TYPE,
+          description: describeAdministration(order, medication),
+          notes: formData.notes.trim(),
+          completedAt: new Date(formData.administeredAt).toISOString(),
+          medication,
+        },
+        {
+          patient_id: patient.id,
+          patient_first_name: patient.first_name,
+          patient_last_name: patient.last_name,
+          clinician_id: user?.id,
+          clinician_first_name: user?.firstName,
+          clinician_last_name: user?.lastName,
+        }
+      );
+      onRecorded(response);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!saving) {
+      onClose();
+    }
+  };
+
+  if (!order) return null;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>Record Dose</DialogTitle>
+        <DialogContent>
+          <Typography variant="subtitle1" fontWeight="medium">
+            {formatOrder(order)}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {scheduledFor
+              ? `Scheduled for ${formatDateTime(scheduledFor)}`
+              : "PRN (as needed) dose"}
+            {order.instructions && ` · ${order.instructions}`}
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <ToggleButtonGroup
+            exclusive
+            fullWidth
+            size="small"
+            value={formData.status}
+            onChange={(e, value) =>
+              value && handleChange({ target: { name: "status", value } })
+            }
+            disabled={saving}
+            aria-label="Administration status"
+          >
+            {ADMINISTRATION_STATUSES.map((status) => (
+              <ToggleButton
+                key={status.value}
+                value={status.value}
+                color={status.color}
+              >
+                {status.label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+
+          {isGiven ? (
+            <>
+              <Box sx={{ display: "flex", gap: 2 }}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  label="Dose"
+                  name="dose"
+                  value={formData.dose}
+                  onChange={handleChange}
+                  error={!!validationErrors.dose}
+                  helperText={validationErrors.dose}
+                  disabled={saving}
+                />
+                <TextField
+                  select
+                  margin="normal"
+                  required
+                  fullWidth
+                  label="Route"
+                  name="route"
+                  value={formData.route}
+                  onChange={handleChange}
+                  error={!!validationErrors.route}
+                  helperText={validationErrors.route}
+                  disabled={saving}
+                >
+                  {MEDICATION_ROUTES.map((route) => (
+                    <MenuItem key={route.value} value={route.value}>
+                      {route.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Box>
+              <TextField
+                margin="normal"
+                fullWidth
+                required={SITE_ROUTES.includes(formData.route)}
+                label="Site"
+                name="site"
+                placeholder="e.g. left deltoid"
+                value={formData.site}
+                onChange={handleChange}
+                error={!!validationErrors.site}
+                helperText={
+                  validationErrors.site ||
+                  (SITE_ROUTES.includes(formData.route) ? null : "Optional")
+                }
+                disabled={saving}
+              />
+            </>
+          ) : (
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label={
+                formData.status === "held"
+                  ? "Reason for hold"
+                  : "Reason for refusal"
+              }
+              name="reason"
+              value={formData.reason}
+              onChange={handleChange}
+              error={!!validationErrors.reason}
+              helperText={validationErrors.reason}
+              disabled={saving}
+            />
+          )}
+
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label={isGiven ? "Given At" : "Recorded At"}
+            name="administeredAt"
+            type="datetime-local"
+            value={formData.administeredAt}
+            onChange={handleChange}
+            error={!!validationErrors.administeredAt}
+            helperText={validationErrors.administeredAt}
+            InputLabelProps={{ shrink: true }}
+            disabled={saving}
+          />
+          <TextField
+            margin="normal"
+            fullWidth
+            multiline
+            minRows={2}
+            required={notesRequired}
+            label="Notes"
+            name="notes"
+            value={formData.notes}
+            onChange={handleChange}
+            error={!!validationErrors.notes}
+            helperText={
+              validationErrors.notes || (notesRequired ? null : "Optional")
+            }
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
+};
+
+export default AdministerDoseDialog;
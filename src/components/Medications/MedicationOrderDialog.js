@@ -0,0 +1,229 @@
+// src/components/Medications/MedicationOrderDialog.js
+// Dialog for adding a scheduled or PRN medication order to a patient
+
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from "@mui/material";
+import { medicationOrdersAPI, handleApiError } from "../../services/api";
+import { MEDICATION_ROUTES, MEDICATION_FREQUENCIES } from "../../utils/mar";
+import { toDateTimeInputValue } from "../../utils/dateUtils";
+
+const emptyOrder = () => ({
+  drug: "",
+  dose: "",
+  route: "PO",
+  frequency: "BID",
+  startAt: toDateTimeInputValue(new Date()),
+  instructions: "",
+});
+
+const MedicationOrderDialog = ({ open, patientId, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(emptyOrder);
+  const [validationErrors, setValidationErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(emptyOrder());
+      setValidationErrors({});
+      setError(null);
+    }
+  }, [open]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (validationErrors[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    if (!formData.drug.trim()) {
+      errors.drug = "Drug is required";
+    }
+    if (!formData.dose.trim()) {
+      errors.dose = "Dose is required";
+    }
+    if (!formData.startAt || isNaN(new Date(formData.startAt).getTime())) {
+      errors.startAt = "Please enter a valid start time";
+    }
+    return errors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await medicationOrdersAPI.create({
+        ...formData,
+        patientId: Number(patientId),
+        drug: formData.drug.trim(),
+        dose: formData.dose.trim(),
+        instructions: formData.instructions.trim(),
+        startAt: new Date(formData.startAt).toISOString(),
+      });
+      onSaved(response.medicationOrder);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!saving) {
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>Add Medication Order</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            autoFocus
+            label="Drug"
+            name="drug"
+            value={formData.drug}
+            onChange={handleChange}
+            error={!!validationErrors.drug}
+            helperText={validationErrors.drug}
+            disabled={saving}
+          />
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Dose"
+              name="dose"
+              placeholder="e.g. 25 mg"
+              value={formData.dose}
+              onChange={handleChange}
+              error={!!validationErrors.dose}
+              helperText={validationErrors.dose}
+              disabled={saving}
+            />
+            <TextField
+              select
+              margin="normal"
+              fullWidth
+              label="Route"
+              name="route"
+              value={formData.route}
+              onChange={handleChange}
+              disabled={saving}
+            >
+              {MEDICATION_ROUTES.map((route) => (
+                <MenuItem key={route.value} value={route.value}>
+                  {route.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              select
+              margin="normal"
+              fullWidth
+              label="Frequency"
+              name="frequency"
+              value={formData.frequency}
+              onChange={handleChange}
+              helperText={
+                MEDICATION_FREQUENCIES.find(
+                  (f) => f.value === formData.frequency
+                )?.times.join(", ") || "Given on request"
+              }
+              disabled={saving}
+            >
+              {MEDICATION_FREQUENCIES.map((frequency) => (
+                <MenuItem key={frequency.value} value={frequency.value}>
+                  {frequency.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Start"
+              name="startAt"
+              type="datetime-local"
+              value={formData.startAt}
+              onChange={handleChange}
+              error={!!validationErrors.startAt}
+              helperText={validationErrors.startAt}
+              InputLabelProps={{ shrink: true }}
+              disabled={saving}
+            />
+          </Box>
+          <TextField
+            margin="normal"
+            fullWidth
+            multiline
+            minRows={2}
+            label="Instructions"
+            name="instructions"
+            value={formData.instructions}
+            onChange={handleChange}
+            helperText="Optional, e.g. hold if systolic BP below 100"
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Add Order
+          </Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
+};
+
+export default MedicationOrderDialog;
@@ -0,0 +1,572 @@
+// src/components/Medications/MedicationRecord.js
+// Per-patient medication administration record (MAR) with shift grid
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+} from "@mui/material";
+import {
+  ArrowBack,
+  Add,
+  ChevronLeft,
+  ChevronRight,
+  Block,
+  Medication,
+  CloudUpload,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import {
+  patientsAPI,
+  taskLogsAPI,
+  medicationOrdersAPI,
+  handleApiError,
+} from "../../services/api";
+import useOutbox, { toPendingTaskLog } from "../../hooks/useOutbox";
+import {
+  SHIFTS,
+  PENDING_SLOT_STATUSES,
+  MEDICATION_TASK_TYPE,
+  getShiftBounds,
+  getScheduledSlots,
+  indexAdministrations,
+  findAdministration,
+  getSlotStatus,
+  getFrequency,
+  getRouteLabel,
+  getAdministrationStatus,
+  formatOrder,
+} from "../../utils/mar";
+import MedicationOrderDialog from "./MedicationOrderDialog";
+import AdministerDoseDialog from "./AdministerDoseDialog";
+
+const CLOCK_TICK_MS = 60 * 1000;
+
+// Start of the MAR day (day shift start) that contains `date`
+const getMarDay = (date) => {
+  const day = new Date(date);
+  if (day.getHours() < SHIFTS[0].startHour) {
+    day.setDate(day.getDate() - 1);
+  }
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const MedicationRecord = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+  const { formatDate, formatTime, formatDateTime, tableSize } =
+    usePreferences();
+
+  const [patient, setPatient] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [taskLogs, setTaskLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [marDay, setMarDay] = useState(() => getMarDay(new Date()));
+  const [now, setNow] = useState(() => new Date());
+
+  const [orderDialogOpen, setOrderDialogOpen] = useState(false);
+  const [doseDialog, setDoseDialog] = useState({
+    open: false,
+    order: null,
+    scheduledFor: null,
+  });
+  const [orderToDiscontinue, setOrderToDiscontinue] = useState(null);
+  const [discontinueLoading, setDiscontinueLoading] = useState(false);
+
+  // Load patient, orders and administration history
+  const loadRecord = useCallback(async () => {
+    try {
+      setError(null);
+      const [patientResponse, ordersResponse, taskLogsResponse] =
+        await Promise.all([
+          patientsAPI.getById(id),
+          medicationOrdersAPI.getAll({ patientId: id }),
+          taskLogsAPI.getByPatient(id),
+        ]);
+
+      setPatient(patientResponse.patient);
+      setOrders(ordersResponse.medicationOrders || []);
+      setTaskLogs(
+        (taskLogsResponse.taskLogs || []).filter(
+          (task) => task.task_type === MEDICATION_TASK_TYPE
+        )
+      );
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadRecord();
+  }, [loadRecord]);
+
+  // Keep due/overdue status current while the page is open
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(new Date()), CLOCK_TICK_MS);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  // Doses recorded offline count as recorded until they sync
+  const { pendingEntries } = useOutbox({ onSynced: loadRecord });
+  const administrations = [
+    ...taskLogs,
+    ...pendingEntries
+      .filter(
+        (entry) =>
+          entry.action === "create" &&
+          String(entry.data.patientId) === String(id) &&
+          entry.data.medication
+      )
+      .map(toPendingTaskLog),
+  ];
+  const administrationIndex = indexAdministrations(administrations);
+
+  const dayStart = getShiftBounds(marDay, SHIFTS[0]).start;
+  const dayEnd = getShiftBounds(marDay, SHIFTS[SHIFTS.length - 1]).end;
+
+  // Active orders, plus discontinued ones that were running on this MAR day
+  const visibleOrders = orders.filter(
+    (order) =>
+      (order.is_active ||
+        (order.end_at && new Date(order.end_at) > dayStart)) &&
+      (!order.start_at || new Date(order.start_at) < dayEnd)
+  );
+
+  const openDoseDialog = (order, scheduledFor = null) => {
+    setDoseDialog({ open: true, order, scheduledFor });
+  };
+
+  const closeDoseDialog = () => {
+    setDoseDialog((prev) => ({ ...prev, open: false }));
+  };
+
+  const handleDoseRecorded = (response) => {
+    closeDoseDialog();
+    setSuccess(
+      response.queued
+        ? "You are offline. The dose was saved on this device and will sync when the connection returns."
+        : "Dose recorded."
+    );
+    if (!response.queued) {
+      loadRecord();
+    }
+  };
+
+  const handleOrderSaved = (order) => {
+    setOrderDialogOpen(false);
+    setSuccess(`${formatOrder(order)} added.`);
+    loadRecord();
+  };
+
+  const handleDiscontinueConfirm = async () => {
+    try {
+      setDiscontinueLoading(true);
+      await medicationOrdersAPI.update(orderToDiscontinue.id, {
+        isActive: false,
+        endAt: new Date().toISOString(),
+      });
+      setSuccess(`${formatOrder(orderToDiscontinue)} discontinued.`);
+      setOrderToDiscontinue(null);
+      loadRecord();
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+      setOrderToDiscontinue(null);
+    } finally {
+      setDiscontinueLoading(false);
+    }
+  };
+
+  // Recorded administration details for tooltips
+  const describeRecord = (task) => {
+    const { medication } = task;
+    const details =
+      medication.status === "given"
+        ? [
+            medication.dose,
+            getRouteLabel(medication.route),
+            medication.site,
+          ].filter(Boolean)
+        : [medication.reason];
+    const by = `${task.clinician_first_name || ""} ${
+      task.clinician_last_name || ""
+    }`.trim();
+
+    return `${getAdministrationStatus(medication.status).label} ${formatTime(
+      task.completed_at
+    )}${by ? ` by ${by}` : ""} · ${details.join(", ")}${
+      task.outboxEntry ? " (pending sync)" : ""
+    }`;
+  };
+
+  const renderSlot = (order, scheduledFor) => {
+    const record = findAdministration(
+      administrationIndex,
+      order.id,
+      scheduledFor
+    );
+    const status = getSlotStatus(scheduledFor, record, now);
+    const label = formatTime(scheduledFor);
+
+    if (record) {
+      const recorded = getAdministrationStatus(status);
+      return (
+        <Tooltip key={scheduledFor.getTime()} title={describeRecord(record)}>
+          <Chip
+            size="small"
+            label={`${label} ${recorded.label}`}
+            color={recorded.color}
+            icon={record.outboxEntry ? <CloudUpload /> : undefined}
+          />
+        </Tooltip>
+      );
+    }
+
+    const pending = PENDING_SLOT_STATUSES[status];
+    return (
+      <Tooltip
+        key={scheduledFor.getTime()}
+        title={`${pending.label}: ${formatDateTime(scheduledFor)}. Click to record.`}
+      >
+        <Chip
+          size="small"
+          label={`${label} ${pending.label}`}
+          color={pending.color}
+          variant={status === "scheduled" ? "outlined" : "filled"}
+          onClick={() => openDoseDialog(order, scheduledFor)}
+        />
+      </Tooltip>
+    );
+  };
+
+  // PRN doses have no slot; list those recorded during the shift
+  const renderPrnDoses = (order, start, end) =>
+    administrations
+      .filter(
+        (task) =>
+          task.medication?.orderId === order.id &&
+          !task.medication.scheduledFor &&
+          new Date(task.completed_at) >= start &&
+          new Date(task.completed_at) < end
+      )
+      .map((task) => {
+        const recorded = getAdministrationStatus(task.medication.status);
+        return (
+          <Tooltip key={task.id} title={describeRecord(task)}>
+            <Chip
+              size="small"
+              label={`${formatTime(task.completed_at)} ${recorded.label}`}
+              color={recorded.color}
+            />
+          </Tooltip>
+        );
+      });
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          minHeight: 400,
+        }}
+      >
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>
+          Loading medication record...
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Button
+        startIcon={<ArrowBack />}
+        onClick={() => navigate(`/patients/${id}`)}
+        sx={{ mb: 2 }}
+      >
+        Back to Patient
+      </Button>
+
+      {/* Header */}
+      <Box
+        sx={{
+          mb: 3,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          flexWrap: "wrap",
+          gap: 2,
+        }}
+      >
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Medication Record
+          </Typography>
+          {patient && (
+            <Typography variant="body1" color="text.secondary">
+              {patient.first_name} {patient.last_name} · MRN{" "}
+              {patient.medical_record_number}
+            </Typography>
+          )}
+        </Box>
+        {isAdmin() && (
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={() => setOrderDialogOpen(true)}
+            disabled={!patient}
+          >
+            Add Order
+          </Button>
+        )}
+      </Box>
+
+      {/* Alerts */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+          <Button onClick={loadRecord} sx={{ ml: 2 }}>
+            Retry
+          </Button>
+        </Alert>
+      )}
+
+      {success && (
+        <Alert
+          severity="success"
+          sx={{ mb: 3 }}
+          onClose={() => setSuccess(null)}
+        >
+          {success}
+        </Alert>
+      )}
+
+      {/* Day navigation */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+        <IconButton
+          onClick={() => setMarDay((day) => addDays(day, -1))}
+          aria-label="Previous day"
+        >
+          <ChevronLeft />
+        </IconButton>
+        <Typography variant="h6">{formatDate(marDay)}</Typography>
+        <IconButton
+          onClick={() => setMarDay((day) => addDays(day, 1))}
+          aria-label="Next day"
+        >
+          <ChevronRight />
+        </IconButton>
+        <Button size="small" onClick={() => setMarDay(getMarDay(new Date()))}>
+          Today
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table size={tableSize}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Order</TableCell>
+              {SHIFTS.map((shift) => {
+                const { start, end } = getShiftBounds(marDay, shift);
+                return (
+                  <TableCell key={shift.key}>
+                    {shift.label}
+                    <Typography
+                      variant="caption"
+                      color="text.secondary"
+                      display="block"
+                    >
+                      {formatTime(start)}–{formatTime(end)}
+                    </Typography>
+                  </TableCell>
+                );
+              })}
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {visibleOrders.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={SHIFTS.length + 2} align="center">
+                  <Box sx={{ py: 4 }}>
+                    <Medication
+                      sx={{ fontSize: 60, color: "text.secondary", mb: 2 }}
+                    />
+                    <Typography variant="h6" color="text.secondary">
+                      No medication orders for this day
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {isAdmin()
+                        ? 'Click "Add Order" to schedule a medication'
+                        : "Contact an administrator to add medication orders"}
+                    </Typography>
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ) : (
+              visibleOrders.map((order) => {
+                const frequency = getFrequency(order.frequency);
+                const isPrn = frequency.times.length === 0;
+
+                return (
+                  <TableRow key={order.id}>
+                    <TableCell>
+                      <Typography variant="body1" fontWeight="medium">
+                        {formatOrder(order)}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {frequency.label}
+                      </Typography>
+                      {order.instructions && (
+                        <Typography variant="caption" color="text.secondary">
+                          {order.instructions}
+                        </Typography>
+                      )}
+                      {!order.is_active && (
+                        <Chip
+                          label="Discontinued"
+                          size="small"
+                          sx={{ ml: 1 }}
+                        />
+                      )}
+                    </TableCell>
+                    {SHIFTS.map((shift) => {
+                      const { start, end } = getShiftBounds(marDay, shift);
+                      return (
+                        <TableCell key={shift.key}>
+                          <Box
+                            sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}
+                          >
+                            {isPrn
+                              ? renderPrnDoses(order, start, end)
+                              : getScheduledSlots(order, start, end).map(
+                                  (slot) => renderSlot(order, slot)
+                                )}
+                          </Box>
+                        </TableCell>
+                      );
+                    })}
+                    <TableCell align="center">
+                      {isPrn && order.is_active && (
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          onClick={() => openDoseDialog(order)}
+                          sx={{ mr: 1 }}
+                        >
+                          Give PRN
+                        </Button>
+                      )}
+                      {isAdmin() && order.is_active && (
+                        <Tooltip title="Discontinue">
+                          <IconButton
+                            size="small"
+                            color="error"
+                            onClick={() => setOrderToDiscontinue(order)}
+                          >
+                            <Block />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <MedicationOrderDialog
+        open={orderDialogOpen}
+        patientId={id}
+        onClose={() => setOrderDialogOpen(false)}
+        onSaved={handleOrderSaved}
+      />
+
+      <AdministerDoseDialog
+        open={doseDialog.open}
+        order={doseDialog.order}
+        scheduledFor={doseDialog.scheduledFor}
+        patient={patient}
+        onClose={closeDoseDialog}
+        onRecorded={handleDoseRecorded}
+      />
+
+      {/* Discontinue Confirmation Dialog */}
+      <Dialog
+        open={!!orderToDiscontinue}
+        onClose={() => !discontinueLoading && setOrderToDiscontinue(null)}
+      >
+        <DialogTitle>Discontinue Order</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Stop{" "}
+            <strong>
+              {orderToDiscontinue && formatOrder(orderToDiscontinue)}
+            </strong>
+            ? Remaining doses will no longer be scheduled. Doses already
+            recorded stay on the record.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setOrderToDiscontinue(null)}
+            disabled={discontinueLoading}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDiscontinueConfirm}
+            color="error"
+            variant="contained"
+            disabled={discontinueLoading}
+            startIcon={
+              discontinueLoading ? <CircularProgress size={16} /> : <Block />
+            }
+          >
+            Discontinue
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default MedicationRecord;
@@ -0,0 +1,87 @@
+// src/components/Patients/PatientAutocomplete.js
+// Searchable patient picker backed by the patients API
+
+import React, { useState, useEffect } from "react";
+import { Autocomplete, TextField } from "@mui/material";
+import { patientsAPI, handleApiError } from "../../services/api";
+
+const getPatientLabel = (patient) =>
+  `${patient.first_name} ${patient.last_name} (MRN: ${patient.medical_record_number})`;
+
+const PatientAutocomplete = ({
+  value,
+  onChange,
+  onError,
+  disabled = false,
+  label = "Patient",
+  ...textFieldProps
+}) => {
+  const [options, setOptions] = useState([]);
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Search patients as the user types (debounced)
+  useEffect(() => {
+    let active = true;
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await patientsAPI.getAll({
+          search: search || undefined,
+          limit: 20,
+        });
+        if (active) {
+          setOptions(response.patients || []);
+        }
+      } catch (err) {
+        if (active && onError) {
+          onError(handleApiError(err).message);
+        }
+      } finally {
+        if (active) {
+          setLoading(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timeoutId);
+    };
+  }, [search, onError]);
+
+  // Keep the selected patient available even when it is not in the results
+  const allOptions =
+    value && !options.some((p) => p.id === value.id)
+      ? [value, ...options]
+      : options;
+
+  return (
+    <Autocomplete
+      options={allOptions}
+      value={value}
+      onChange={(event, patient) => onChange(patient)}
+      onInputChange={(event, inputValue, reason) => {
+        if (reason === "input") {
+          setSearch(inputValue);
+        }
+      }}
+      filterOptions={(opts) => opts}
+      getOptionLabel={getPatientLabel}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      loading={loading}
+      disabled={disabled}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label={label}
+          placeholder="Search by name, MRN, or room number..."
+          {...textFieldProps}
+        />
+      )}
+    />
+  );
+};
+
+export default PatientAutocomplete;
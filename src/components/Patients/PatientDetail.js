@@ -1,12 +1,174 @@
 // src/components/Patients/PatientDetail.js
-import React from "react";
-import { Typography, Box, Paper, Button } from "@mui/material";
+// Patient profile with demographics, task timeline, and role-aware actions
+
+import React, { useState, useEffect, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { ArrowBack } from "@mui/icons-material";
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+} from "@mui/material";
+import {
+  ArrowBack,
+  Edit,
+  Delete,
+  NoteAdd,
+  Room,
+  Warning,
+  AccessTime,
+  MonitorHeart,
+  Medication,
+  SwapHoriz,
+  Print,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { useEarlyWarning } from "../../context/EarlyWarningContext";
+import TaskTypeChip from "../TaskLogs/TaskTypeChip";
+import VitalsSummary from "../TaskLogs/VitalsSummary";
+import News2Chip from "../EarlyWarning/News2Chip";
+import VitalsTrends from "./VitalsTrends";
+import PatientScheduledTasks from "../ScheduledTasks/PatientScheduledTasks";
+import { patientsAPI, taskLogsAPI, handleApiError } from "../../services/api";
+import {
+  calculateAge,
+  getLocalDateKey,
+  formatTimeSince,
+} from "../../utils/dateUtils";
+import {
+  latestNews2ByPatient,
+  needsEscalation,
+  NEWS2_ESCALATION_THRESHOLD,
+  NEWS2_LOOKBACK_HOURS,
+} from "../../utils/news2";
 
 const PatientDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+  const { formatDate, formatTime, formatDateTime } = usePreferences();
+  const { lastUpdated } = useEarlyWarning();
+
+  const [patient, setPatient] = useState(null);
+  const [taskLogs, setTaskLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+
+  // Load patient and task history
+  const loadPatient = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [patientResponse, taskLogsResponse] = await Promise.all([
+        patientsAPI.getById(id),
+        taskLogsAPI.getByPatient(id),
+      ]);
+
+      setPatient(patientResponse.patient);
+      setTaskLogs(taskLogsResponse.taskLogs || []);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadPatient();
+  }, [loadPatient]);
+
+  const handleLogTask = () => {
+    navigate(`/task-logs/new?patientId=${id}`);
+  };
+
+  const handleEditPatient = () => {
+    navigate(`/patients/${id}/edit`);
+  };
+
+  const handleDeleteConfirm = async () => {
+    try {
+      setDeleteLoading(true);
+      await patientsAPI.delete(id);
+      setDeleteDialogOpen(false);
+      navigate("/patients");
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+      setDeleteDialogOpen(false);
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const formatDayHeading = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  };
+
+  // Scored from this patient's full history, so older vitals still show
+  const latestScore = Object.values(latestNews2ByPatient(taskLogs))[0] || null;
+  const latestVitals = latestScore
+    ? taskLogs.find((task) => task.id === latestScore.taskLogId)
+    : null;
+  const isScoreStale =
+    !!latestScore &&
+    lastUpdated - new Date(latestScore.completedAt) >
+      NEWS2_LOOKBACK_HOURS * 60 * 60 * 1000;
+
+  // Newest first, grouped by local calendar day
+  const timeline = [...taskLogs]
+    .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at))
+    .reduce((groups, task) => {
+      const key = getLocalDateKey(task.completed_at);
+      const lastGroup = groups[groups.length - 1];
+
+      if (lastGroup && lastGroup.key === key) {
+        lastGroup.tasks.push(task);
+      } else {
+        groups.push({ key, date: task.completed_at, tasks: [task] });
+      }
+
+      return groups;
+    }, []);
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          minHeight: 400,
+        }}
+      >
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>
+          Loading patient...
+        </Typography>
+      </Box>
+    );
+  }
 
   return (
     <Box>
@@ -18,19 +180,348 @@ const PatientDetail = () => {
         Back to Patients
       </Button>
 
-      <Paper sx={{ p: 3 }}>
-        <Typography variant="h4" gutterBottom>
-          Patient Details
-        </Typography>
-        <Typography variant="body1" color="text.secondary">
-          Patient ID: {id}
-        </Typography>
-        <Typography variant="body2" sx={{ mt: 2 }}>
-          Full patient details view coming soon...
-          <br />
-          This will show patient information, medical history, and task logs.
-        </Typography>
-      </Paper>
+      {/* Error Alert */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+          <Button onClick={loadPatient} sx={{ ml: 2 }}>
+            Retry
+          </Button>
+        </Alert>
+      )}
+
+      {patient && (
+        <>
+          {/* Header */}
+          <Box
+            sx={{
+              mb: 3,
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              flexWrap: "wrap",
+              gap: 2,
+            }}
+          >
+            <Box>
+              <Typography variant="h4" gutterBottom>
+                {patient.first_name} {patient.last_name}
+              </Typography>
+              <Box sx={{ display: "flex", gap: 1 }}>
+                <Chip
+                  label={`MRN: ${patient.medical_record_number}`}
+                  size="small"
+                  variant="outlined"
+                />
+                {patient.room_number && (
+                  <Chip
+                    icon={<Room />}
+                    label={patient.room_number}
+                    size="small"
+                    color="info"
+                  />
+                )}
+              </Box>
+            </Box>
+
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <Button
+                variant="contained"
+                startIcon={<NoteAdd />}
+                onClick={handleLogTask}
+              >
+                Log Task for This Patient
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<Medication />}
+                onClick={() => navigate(`/patients/${id}/mar`)}
+              >
+                Medication Record
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<SwapHoriz />}
+                onClick={() => navigate(`/patients/${id}/handoff`)}
+              >
+                Handoff
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<Print />}
+                onClick={() => navigate(`/patients/${id}/print`)}
+              >
+                Print Summary
+              </Button>
+              {isAdmin() && (
+                <>
+                  <Button
+                    variant="outlined"
+                    startIcon={<Edit />}
+                    onClick={handleEditPatient}
+                  >
+                    Edit
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    startIcon={<Delete />}
+                    onClick={() => setDeleteDialogOpen(true)}
+                  >
+                    Delete
+                  </Button>
+                </>
+              )}
+            </Box>
+          </Box>
+
+          {/* Demographics */}
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Patient Information
+            </Typography>
+            <Box
+              sx={{
+                display: "grid",
+                gridTemplateColumns: {
+                  xs: "1fr 1fr",
+                  md: "repeat(4, 1fr)",
+                },
+                gap: 2,
+                mt: 2,
+              }}
+            >
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Date of Birth
+                </Typography>
+                <Typography variant="body1">
+                  {formatDate(patient.date_of_birth)}
+                </Typography>
+              </Box>
+
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Age
+                </Typography>
+                <Typography variant="body1">
+                  {calculateAge(patient.date_of_birth)} years
+                </Typography>
+              </Box>
+
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Room Number
+                </Typography>
+                <Typography variant="body1">
+                  {patient.room_number || "Not assigned"}
+                </Typography>
+              </Box>
+
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Added On
+                </Typography>
+                <Typography variant="body1">
+                  {formatDate(patient.created_at)}
+                </Typography>
+              </Box>
+            </Box>
+
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                Allergies
+              </Typography>
+              <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+                {patient.allergies || "None recorded"}
+              </Typography>
+            </Box>
+          </Paper>
+
+          {/* Early Warning Score */}
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography
+              variant="h6"
+              gutterBottom
+              sx={{ display: "flex", alignItems: "center" }}
+            >
+              <MonitorHeart sx={{ mr: 1 }} />
+              Early Warning Score
+            </Typography>
+            {latestScore ? (
+              <>
+                {needsEscalation(latestScore) && (
+                  <Alert severity="error" sx={{ mb: 2 }}>
+                    NEWS2 of {latestScore.score} is at or above the escalation
+                    threshold of {NEWS2_ESCALATION_THRESHOLD}. Last vitals{" "}
+                    {formatTimeSince(latestScore.completedAt, lastUpdated)} ago.
+                  </Alert>
+                )}
+                {isScoreStale && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    These vitals are more than {NEWS2_LOOKBACK_HOURS} hours old.
+                    Record a new set for a current score.
+                  </Alert>
+                )}
+                <Box
+                  sx={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 2,
+                    flexWrap: "wrap",
+                  }}
+                >
+                  <News2Chip result={latestScore} size="medium" />
+                  <Typography variant="body2">
+                    {latestScore.risk.label} risk
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Last vitals {formatDateTime(latestScore.completedAt)} (
+                    {formatTimeSince(latestScore.completedAt, lastUpdated)} ago)
+                  </Typography>
+                </Box>
+                <VitalsSummary vitals={latestVitals?.vitals} />
+                {!latestScore.complete && (
+                  <Typography
+                    variant="caption"
+                    color="text.secondary"
+                    display="block"
+                    sx={{ mt: 1 }}
+                  >
+                    * Partial score: not every NEWS2 parameter was recorded.
+                  </Typography>
+                )}
+              </>
+            ) : (
+              <Typography color="text.secondary">
+                No structured vitals recorded yet.
+              </Typography>
+            )}
+          </Paper>
+
+          {/* Scheduled Tasks */}
+          <PatientScheduledTasks patientId={patient.id} />
+
+          {/* Vitals Trends */}
+          {latestScore && (
+            <VitalsTrends patient={patient} taskLogs={taskLogs} />
+          )}
+
+          {/* Task Timeline */}
+          <Paper sx={{ p: 3 }}>
+            <Typography
+              variant="h6"
+              gutterBottom
+              sx={{ display: "flex", alignItems: "center" }}
+            >
+              <AccessTime sx={{ mr: 1 }} />
+              Task History
+            </Typography>
+
+            {timeline.length === 0 ? (
+              <Typography color="text.secondary">
+                No tasks have been logged for this patient yet.
+              </Typography>
+            ) : (
+              timeline.map((group) => (
+                <Box key={group.key} sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    {formatDayHeading(group.date)}
+                  </Typography>
+                  <Divider />
+                  <List dense>
+                    {group.tasks.map((task) => (
+                      <ListItem key={task.id} sx={{ px: 0 }}>
+                        <ListItemText
+                          primary={
+                            <Box
+                              sx={{
+                                display: "flex",
+                                alignItems: "center",
+                                gap: 1,
+                              }}
+                            >
+                              <Typography variant="body2" fontWeight="medium">
+                                {formatTime(task.completed_at)}
+                              </Typography>
+                              <TaskTypeChip taskType={task.task_type} />
+                              <Typography variant="body2">
+                                {task.description}
+                              </Typography>
+                            </Box>
+                          }
+                          secondary={
+                            <>
+                              {task.notes && (
+                                <Typography
+                                  component="span"
+                                  variant="caption"
+                                  display="block"
+                                >
+                                  Notes: {task.notes}
+                                </Typography>
+                              )}
+                              <Typography component="span" variant="caption">
+                                By {task.clinician_first_name}{" "}
+                                {task.clinician_last_name}
+                              </Typography>
+                            </>
+                          }
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Box>
+              ))
+            )}
+          </Paper>
+        </>
+      )}
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog
+        open={deleteDialogOpen}
+        onClose={() => setDeleteDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <Warning sx={{ mr: 1, color: "error.main" }} />
+          Delete Patient
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Are you sure you want to delete patient{" "}
+            <strong>
+              {patient?.first_name} {patient?.last_name}
+            </strong>{" "}
+            (MRN: {patient?.medical_record_number})?
+          </DialogContentText>
+          <DialogContentText sx={{ mt: 2, color: "error.main" }}>
+            ⚠️ This action cannot be undone. All associated task logs will also
+            be deleted.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setDeleteDialogOpen(false)}
+            disabled={deleteLoading}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDeleteConfirm}
+            color="error"
+            variant="contained"
+            disabled={deleteLoading}
+            startIcon={
+              deleteLoading ? <CircularProgress size={16} /> : <Delete />
+            }
+          >
+            {deleteLoading ? "Deleting..." : "Delete Patient"}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -39,6 +39,7 @@ const PatientForm = ({ mode = "create" }) => {
     medicalRecordNumber: "",
     roomNumber: "",
     dateOfBirth: "",
+    allergies: "",
   });
 
   const [loading, setLoading] = useState(false);
@@ -68,6 +69,7 @@ const PatientForm = ({ mode = "create" }) => {
         dateOfBirth: patient.date_of_birth
           ? patient.date_of_birth.split("T")[0]
           : "",
+        allergies: patient.allergies || "",
       });
     } catch (err) {
       const errorInfo = handleApiError(err);
@@ -159,6 +161,7 @@ const PatientForm = ({ mode = "create" }) => {
           medicalRecordNumber: "",
           roomNumber: "",
           dateOfBirth: "",
+          allergies: "",
         });
 
         // Navigate to patient list after brief delay
@@ -388,6 +391,20 @@ const PatientForm = ({ mode = "create" }) => {
                         }}
                       />
                     </Grid>
+
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        multiline
+                        minRows={2}
+                        label="Allergies"
+                        name="allergies"
+                        value={formData.allergies}
+                        onChange={handleChange}
+                        helperText="Optional - drug, food or other allergies and reactions"
+                        disabled={loading}
+                      />
+                    </Grid>
                   </Grid>
                 </CardContent>
               </Card>
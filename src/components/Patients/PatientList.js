@@ -1,7 +1,7 @@
 // src/components/Patients/PatientList.js
 // Patient management interface with search, filtering, and CRUD operations
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import {
   Typography,
@@ -26,6 +26,9 @@ import {
   DialogActions,
   DialogContentText,
   Fab,
+  TableSortLabel,
+  TablePagination,
+  LinearProgress,
 } from "@mui/material";
 import {
   Search,
@@ -37,53 +40,214 @@ import {
   Room,
   LocalHospital,
   Warning,
+  FileDownload,
 } from "@mui/icons-material";
 import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { useEarlyWarning } from "../../context/EarlyWarningContext";
 import { patientsAPI, handleApiError } from "../../services/api";
+import { calculateAge, getLocalDateKey } from "../../utils/dateUtils";
+import News2Chip from "../EarlyWarning/News2Chip";
+import useScheduledTasks from "../../hooks/useScheduledTasks";
+import { countOverdueByPatient } from "../../utils/scheduledTasks";
+import { toExportDate, toExportDateTime } from "../../utils/exportData";
+import { fetchAllPages } from "../../utils/pagination";
+import ExportDialog from "../Common/ExportDialog";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Table columns; those with an id can be sorted server-side
+const TABLE_COLUMNS = [
+  { id: "name", label: "Patient" },
+  { id: "mrn", label: "MRN" },
+  { id: "room", label: "Room" },
+  { id: "age", label: "Age" },
+  { id: "created_at", label: "Date Added" },
+];
+
+// Sort keys for the in-memory fallback, matching the server's sort fields
+const localSortValues = {
+  name: (p) => `${p.last_name} ${p.first_name}`.toLowerCase(),
+  mrn: (p) => p.medical_record_number?.toLowerCase() || "",
+  room: (p) => p.room_number?.toLowerCase() || "",
+  // Older patients have earlier birth dates, so negate to sort by age
+  age: (p) => (p.date_of_birth ? -new Date(p.date_of_birth).getTime() : 0),
+  created_at: (p) => new Date(p.created_at).getTime() || 0,
+};
+
+const matchesSearch = (patient, searchTerm) => {
+  const term = searchTerm.toLowerCase();
+  return [
+    patient.first_name,
+    patient.last_name,
+    patient.medical_record_number,
+    patient.room_number,
+  ].some((value) => value?.toLowerCase().includes(term));
+};
+
+const sortLocally = (patients, sort, order) =>
+  [...patients].sort((a, b) => {
+    const getValue = localSortValues[sort];
+    const aValue = getValue(a);
+    const bValue = getValue(b);
+    const result = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+    return order === "asc" ? result : -result;
+  });
+
+// Columns offered for export; unticked by default where default is false
+const EXPORT_COLUMNS = [
+  { key: "id", label: "Patient ID", value: (p) => p.id, width: 10 },
+  { key: "last_name", label: "Last Name", value: (p) => p.last_name },
+  { key: "first_name", label: "First Name", value: (p) => p.first_name },
+  { key: "mrn", label: "MRN", value: (p) => p.medical_record_number },
+  {
+    key: "date_of_birth",
+    label: "Date of Birth",
+    value: (p) => toExportDate(p.date_of_birth),
+  },
+  {
+    key: "age",
+    label: "Age",
+    value: (p) => (p.date_of_birth ? calculateAge(p.date_of_birth) : ""),
+    width: 8,
+  },
+  { key: "room", label: "Room", value: (p) => p.room_number, width: 10 },
+  {
+    key: "allergies",
+    label: "Allergies",
+    value: (p) => p.allergies,
+    width: 40,
+  },
+  {
+    key: "created_at",
+    label: "Date Added",
+    value: (p) => toExportDateTime(p.created_at),
+    default: false,
+  },
+];
 
 const PatientList = () => {
   const navigate = useNavigate();
   const { isAdmin } = useAuth();
+  const { preferences, formatDate, tableSize } = usePreferences();
+  const { getPatientScore } = useEarlyWarning();
+  const { scheduledTasks, now: scheduleNow } = useScheduledTasks();
+  const overdueByPatient = countOverdueByPatient(scheduledTasks, scheduleNow);
 
   const [patients, setPatients] = useState([]);
+  const [totalCount, setTotalCount] = useState(null);
+  const [initialLoading, setInitialLoading] = useState(true);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(preferences.rowsPerPage);
+  const [sort, setSort] = useState("name");
+  const [order, setOrder] = useState("asc");
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [patientToDelete, setPatientToDelete] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
 
-  // Load patients
+  // Follow the rows-per-page preference once it loads or changes
   useEffect(() => {
-    loadPatients();
-  }, []);
+    setRowsPerPage(preferences.rowsPerPage);
+    setPage(0);
+  }, [preferences.rowsPerPage]);
 
-  const loadPatients = async () => {
+  // Debounce search input before hitting the server
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(0);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [searchTerm]);
+
+  // Load patients
+  const loadPatients = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await patientsAPI.getAll();
+      const response = await patientsAPI.getAll({
+        search: debouncedSearch || undefined,
+        page: page + 1,
+        limit: rowsPerPage,
+        sort,
+        order,
+      });
       setPatients(response.patients || []);
+      // Older backends return every patient without a count
+      setTotalCount(typeof response.count === "number" ? response.count : null);
     } catch (err) {
       const errorInfo = handleApiError(err);
       setError(errorInfo.message);
     } finally {
       setLoading(false);
+      setInitialLoading(false);
     }
+  }, [debouncedSearch, page, rowsPerPage, sort, order]);
+
+  useEffect(() => {
+    loadPatients();
+  }, [loadPatients]);
+
+  const isServerPaginated = totalCount !== null;
+
+  // Fallback: filter, sort, and paginate in memory when the backend
+  // does not report a count
+  const filteredPatients = isServerPaginated
+    ? patients
+    : patients.filter((patient) => matchesSearch(patient, searchTerm));
+
+  const matchingCount = isServerPaginated
+    ? totalCount
+    : filteredPatients.length;
+
+  const visiblePatients = isServerPaginated
+    ? patients
+    : sortLocally(filteredPatients, sort, order).slice(
+        page * rowsPerPage,
+        (page + 1) * rowsPerPage
+      );
+
+  // Every patient matching the current search and sort, for export
+  const fetchExportRows = async () => {
+    const rows = await fetchAllPages(async (exportPage, exportLimit) => {
+      const response = await patientsAPI.getAll({
+        search: debouncedSearch || undefined,
+        page: exportPage,
+        limit: exportLimit,
+        sort,
+        order,
+      });
+      return { rows: response.patients || [], count: response.count };
+    });
+
+    return isServerPaginated
+      ? rows
+      : sortLocally(
+          rows.filter((patient) => matchesSearch(patient, debouncedSearch)),
+          sort,
+          order
+        );
   };
 
-  // Filter patients based on search term
-  const filteredPatients = patients.filter(
-    (patient) =>
-      patient.first_name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      patient.last_name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      patient.medical_record_number
-        ?.toLowerCase()
-        .includes(searchTerm.toLowerCase()) ||
-      patient.room_number?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const handleSort = (column) => {
+    const isCurrent = sort === column;
+    setOrder(isCurrent && order === "asc" ? "desc" : "asc");
+    setSort(column);
+    setPage(0);
+  };
+
+  const handleRowsPerPageChange = (event) => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
 
   // Handle patient selection
   const handlePatientClick = (patient) => {
@@ -122,13 +286,11 @@ const PatientList = () => {
       setDeleteLoading(true);
       await patientsAPI.delete(patientToDelete.id);
 
-      // Remove patient from local state
-      setPatients((prevPatients) =>
-        prevPatients.filter((p) => p.id !== patientToDelete.id)
-      );
-
       setDeleteDialogOpen(false);
       setPatientToDelete(null);
+
+      // Reload so the current page is refilled from the server
+      await loadPatients();
     } catch (err) {
       const errorInfo = handleApiError(err);
       setError(errorInfo.message);
@@ -142,35 +304,7 @@ const PatientList = () => {
     setPatientToDelete(null);
   };
 
-  // Format date for display
-  const formatDate = (dateString) => {
-    if (!dateString) return "N/A";
-    return new Date(dateString).toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    });
-  };
-
-  // Calculate age from date of birth
-  const calculateAge = (dateOfBirth) => {
-    if (!dateOfBirth) return "N/A";
-    const today = new Date();
-    const birthDate = new Date(dateOfBirth);
-    let age = today.getFullYear() - birthDate.getFullYear();
-    const monthDiff = today.getMonth() - birthDate.getMonth();
-
-    if (
-      monthDiff < 0 ||
-      (monthDiff === 0 && today.getDate() < birthDate.getDate())
-    ) {
-      age--;
-    }
-
-    return age;
-  };
-
-  if (loading) {
+  if (initialLoading) {
     return (
       <Box
         sx={{
@@ -208,16 +342,25 @@ const PatientList = () => {
           </Typography>
         </Box>
 
-        {isAdmin() && (
+        <Box sx={{ display: "flex", gap: 2, ml: 2 }}>
           <Button
-            variant="contained"
-            startIcon={<Add />}
-            onClick={handleAddPatient}
-            sx={{ ml: 2 }}
+            variant="outlined"
+            startIcon={<FileDownload />}
+            onClick={() => setExportDialogOpen(true)}
+            disabled={matchingCount === 0}
           >
-            Add Patient
+            Export
           </Button>
-        )}
+          {isAdmin() && (
+            <Button
+              variant="contained"
+              startIcon={<Add />}
+              onClick={handleAddPatient}
+            >
+              Add Patient
+            </Button>
+          )}
+        </Box>
       </Box>
 
       {/* Error Alert */}
@@ -249,21 +392,33 @@ const PatientList = () => {
 
       {/* Patients Table */}
       <TableContainer component={Paper}>
-        <Table>
+        {loading && <LinearProgress />}
+        <Table size={tableSize}>
           <TableHead>
             <TableRow>
-              <TableCell>Patient</TableCell>
-              <TableCell>MRN</TableCell>
-              <TableCell>Room</TableCell>
-              <TableCell>Age</TableCell>
-              <TableCell>Date Added</TableCell>
+              {TABLE_COLUMNS.map((column) => (
+                <TableCell
+                  key={column.id}
+                  sortDirection={sort === column.id ? order : false}
+                >
+                  <TableSortLabel
+                    active={sort === column.id}
+                    direction={sort === column.id ? order : "asc"}
+                    onClick={() => handleSort(column.id)}
+                  >
+                    {column.label}
+                  </TableSortLabel>
+                </TableCell>
+              ))}
+              {/* Derived from recent vitals, so not sortable server-side */}
+              <TableCell>NEWS2</TableCell>
               <TableCell align="center">Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
-            {filteredPatients.length === 0 ? (
+            {visiblePatients.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={6} align="center">
+                <TableCell colSpan={7} align="center">
                   <Box sx={{ py: 4 }}>
                     <Person
                       sx={{ fontSize: 60, color: "text.secondary", mb: 2 }}
@@ -282,7 +437,7 @@ const PatientList = () => {
                 </TableCell>
               </TableRow>
             ) : (
-              filteredPatients.map((patient) => (
+              visiblePatients.map((patient) => (
                 <TableRow
                   key={patient.id}
                   hover
@@ -291,9 +446,20 @@ const PatientList = () => {
                 >
                   <TableCell>
                     <Box>
-                      <Typography variant="body1" fontWeight="medium">
-                        {patient.first_name} {patient.last_name}
-                      </Typography>
+                      <Box
+                        sx={{ display: "flex", alignItems: "center", gap: 1 }}
+                      >
+                        <Typography variant="body1" fontWeight="medium">
+                          {patient.first_name} {patient.last_name}
+                        </Typography>
+                        {overdueByPatient[patient.id] > 0 && (
+                          <Chip
+                            label={`${overdueByPatient[patient.id]} overdue`}
+                            size="small"
+                            color="error"
+                          />
+                        )}
+                      </Box>
                       {patient.date_of_birth && (
                         <Typography variant="body2" color="text.secondary">
                           Born: {formatDate(patient.date_of_birth)}
@@ -332,6 +498,9 @@ const PatientList = () => {
                       {formatDate(patient.created_at)}
                     </Typography>
                   </TableCell>
+                  <TableCell>
+                    <News2Chip result={getPatientScore(patient.id)} />
+                  </TableCell>
                   <TableCell align="center">
                     <IconButton
                       size="small"
@@ -370,6 +539,18 @@ const PatientList = () => {
             )}
           </TableBody>
         </Table>
+        <TablePagination
+          component="div"
+          count={matchingCount}
+          page={Math.min(
+            page,
+            Math.max(Math.ceil(matchingCount / rowsPerPage) - 1, 0)
+          )}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={handleRowsPerPageChange}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
       </TableContainer>
 
       {/* Patient Details Dialog */}
@@ -540,25 +721,30 @@ const PatientList = () => {
         }}
       >
         <Typography variant="body2" color="text.secondary">
-          Showing {filteredPatients.length} of {patients.length} patients
+          Showing {visiblePatients.length} of {matchingCount} patients
         </Typography>
 
         <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
           <Chip
             icon={<Person />}
-            label={`${patients.length} Total Patients`}
+            label={`${matchingCount} ${searchTerm ? "Matching" : "Total"} Patients`}
             variant="outlined"
             size="small"
           />
-          {searchTerm && (
-            <Chip
-              label={`${filteredPatients.length} Found`}
-              color="primary"
-              size="small"
-            />
-          )}
         </Box>
       </Box>
+
+      <ExportDialog
+        open={exportDialogOpen}
+        onClose={() => setExportDialogOpen(false)}
+        title="Export Patients"
+        resource="patients"
+        columns={EXPORT_COLUMNS}
+        filters={{ search: debouncedSearch || undefined, sort, order }}
+        fetchRows={fetchExportRows}
+        filename={`patients-${getLocalDateKey(new Date())}`}
+        sheetName="Patients"
+      />
     </Box>
   );
 };
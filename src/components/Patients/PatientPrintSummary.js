@@ -0,0 +1,422 @@
+// src/components/Patients/PatientPrintSummary.js
+// Print-optimized patient care summary with client-side PDF download
+
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { flushSync } from "react-dom";
+import { useParams, useNavigate } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { ArrowBack, Print, PictureAsPdf } from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+import { patientsAPI, taskLogsAPI, handleApiError } from "../../services/api";
+import {
+  calculateAge,
+  getLocalDateKey,
+  toDayBoundaryISO,
+} from "../../utils/dateUtils";
+import { summarizeVitals } from "../../utils/vitals";
+import { fetchAllPages } from "../../utils/pagination";
+
+const DEFAULT_RANGE_DAYS = 7;
+
+const SUMMARY_TITLE = "Patient Care Summary";
+const TASK_COLUMNS = ["Time", "Task", "Details", "Clinician"];
+
+// jsPDF is large, so the PDF builder is its own chunk
+const loadPdfBuilder = () => import("../../utils/patientSummaryPdf");
+
+// Page numbers for browser printing (Chromium only; Firefox and Safari
+// ignore @page margin boxes); the PDF numbers its own pages
+const PRINT_PAGE_CSS = `
+@page {
+  size: A4;
+  margin: 14mm 12mm;
+  @bottom-right {
+    content: "Page " counter(page) " of " counter(pages);
+    font: 9pt sans-serif;
+  }
+}
+`;
+
+const describeTask = (task) => {
+  const vitalsSummary = task.vitals ? summarizeVitals(task.vitals) : "";
+  return [
+    task.description,
+    vitalsSummary && vitalsSummary !== task.description ? vitalsSummary : "",
+    task.notes ? `Notes: ${task.notes}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+const PatientPrintSummary = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { formatDate, formatDateTime } = usePreferences();
+  const { getTaskType } = useTaskTypes();
+
+  const [range, setRange] = useState(() => {
+    const from = new Date();
+    from.setDate(from.getDate() - DEFAULT_RANGE_DAYS);
+    return { from: getLocalDateKey(from), to: getLocalDateKey(new Date()) };
+  });
+  const [patient, setPatient] = useState(null);
+  const [taskLogs, setTaskLogs] = useState([]);
+  const [printedAt, setPrintedAt] = useState(() => new Date());
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const pdfBuilderRef = useRef(null);
+
+  const rangeValid = range.from && range.to && range.from <= range.to;
+
+  const loadSummary = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      // Every entry in the range, however many pages it takes
+      const [patientResponse, logs] = await Promise.all([
+        patientsAPI.getById(id),
+        fetchAllPages(async (page, limit) => {
+          const response = await taskLogsAPI.getAll({
+            patientId: id,
+            from: toDayBoundaryISO(range.from),
+            to: toDayBoundaryISO(range.to, true),
+            sort: "completed_at",
+            order: "asc",
+            page,
+            limit,
+          });
+          return { rows: response.taskLogs || [], count: response.count };
+        }),
+      ]);
+      setPatient(patientResponse.patient);
+      setTaskLogs(logs);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, range]);
+
+  useEffect(() => {
+    if (rangeValid) {
+      loadSummary();
+    }
+  }, [loadSummary, rangeValid]);
+
+  // Fetch the PDF code with the page, so the download still works if the
+  // connection drops afterwards; a failed fetch is retried on click
+  useEffect(() => {
+    const pdfBuilder = loadPdfBuilder();
+    pdfBuilder.catch(() => {});
+    pdfBuilderRef.current = pdfBuilder;
+  }, []);
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    setRange((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Everything printed, in display form; shared by the page and the PDF
+  const buildSummary = (at) => ({
+    title: SUMMARY_TITLE,
+    patientName: `${patient.first_name} ${patient.last_name}`,
+    mrn: patient.medical_record_number,
+    rangeLabel: `${formatDate(toDayBoundaryISO(range.from))} – ${formatDate(
+      toDayBoundaryISO(range.to, true)
+    )}`,
+    details: [
+      [
+        "Date of Birth",
+        patient.date_of_birth
+          ? `${formatDate(patient.date_of_birth)} (${calculateAge(
+              patient.date_of_birth
+            )} years)`
+          : "Not recorded",
+      ],
+      ["Room", patient.room_number || "Not assigned"],
+      ["Admitted", formatDate(patient.created_at)],
+      ["Allergies", patient.allergies || "None recorded"],
+    ],
+    taskColumns: TASK_COLUMNS,
+    taskRows: taskLogs.map((task) => [
+      formatDateTime(task.completed_at),
+      getTaskType(task.task_type)?.label || task.task_type,
+      describeTask(task),
+      `${task.clinician_first_name || ""} ${
+        task.clinician_last_name || ""
+      }`.trim(),
+    ]),
+    printedBy: `${user?.firstName || ""} ${user?.lastName || ""}`.trim(),
+    printedAt: formatDateTime(at),
+  });
+
+  const handlePrint = () => {
+    // Stamp the page before the print dialog snapshots it
+    flushSync(() => setPrintedAt(new Date()));
+    window.print();
+  };
+
+  const handleDownloadPdf = async () => {
+    try {
+      setExporting(true);
+      const { buildPatientSummaryPdf } =
+        await pdfBuilderRef.current.catch(loadPdfBuilder);
+      const at = new Date();
+      setPrintedAt(at);
+      const doc = buildPatientSummaryPdf(buildSummary(at));
+      doc.save(
+        `care-summary-${patient.medical_record_number}-${range.from}-to-${range.to}.pdf`
+      );
+    } catch (err) {
+      console.error("PDF export failed:", err);
+      setError("Couldn't create the PDF. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const summary = patient ? buildSummary(printedAt) : null;
+
+  return (
+    <Box>
+      <style>{PRINT_PAGE_CSS}</style>
+
+      {/* Controls (screen only) */}
+      <Box sx={{ displayPrint: "none" }}>
+        <Button
+          startIcon={<ArrowBack />}
+          onClick={() => navigate(`/patients/${id}`)}
+          sx={{ mb: 2 }}
+        >
+          Back to Patient
+        </Button>
+
+        <Paper
+          sx={{
+            p: 2,
+            mb: 3,
+            display: "flex",
+            alignItems: "center",
+            gap: 2,
+            flexWrap: "wrap",
+          }}
+        >
+          <TextField
+            label="From"
+            name="from"
+            type="date"
+            size="small"
+            value={range.from}
+            onChange={handleRangeChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            name="to"
+            type="date"
+            size="small"
+            value={range.to}
+            onChange={handleRangeChange}
+            error={!rangeValid}
+            helperText={!rangeValid ? "Must be on or after From" : undefined}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Box sx={{ flexGrow: 1 }} />
+          <Button
+            variant="outlined"
+            startIcon={
+              exporting ? <CircularProgress size={16} /> : <PictureAsPdf />
+            }
+            onClick={handleDownloadPdf}
+            disabled={!summary || loading || exporting || !rangeValid}
+          >
+            Download PDF
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<Print />}
+            onClick={handlePrint}
+            disabled={!summary || loading || !rangeValid}
+          >
+            Print
+          </Button>
+        </Paper>
+
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          component="p"
+          sx={{ mt: -2, mb: 3 }}
+        >
+          Printing from Firefox or Safari leaves out page numbers; download the
+          PDF to get them.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {error}
+          </Alert>
+        )}
+      </Box>
+
+      {loading && !summary ? (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 6 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        summary && (
+          <Paper
+            sx={{
+              p: 3,
+              "@media print": { p: 0, boxShadow: "none" },
+            }}
+          >
+            {/* thead/tfoot repeat on every printed page */}
+            <Box
+              component="table"
+              sx={{ width: "100%", borderCollapse: "collapse" }}
+            >
+              <Box component="thead" sx={{ display: "table-header-group" }}>
+                <tr>
+                  <td>
+                    <Box
+                      sx={{
+                        display: "flex",
+                        justifyContent: "space-between",
+                        alignItems: "baseline",
+                        borderBottom: 1,
+                        borderColor: "divider",
+                        pb: 1,
+                        mb: 2,
+                      }}
+                    >
+                      <Box>
+                        <Typography variant="h6">
+                          {summary.patientName}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {summary.title} · {summary.rangeLabel}
+                        </Typography>
+                      </Box>
+                      <Typography variant="h6">MRN {summary.mrn}</Typography>
+                    </Box>
+                  </td>
+                </tr>
+              </Box>
+              <Box component="tfoot" sx={{ display: "table-footer-group" }}>
+                <tr>
+                  <td>
+                    <Typography
+                      variant="caption"
+                      color="text.secondary"
+                      component="div"
+                      sx={{
+                        borderTop: 1,
+                        borderColor: "divider",
+                        pt: 1,
+                        mt: 2,
+                      }}
+                    >
+                      Printed by {summary.printedBy} on {summary.printedAt}
+                    </Typography>
+                  </td>
+                </tr>
+              </Box>
+              <tbody>
+                <tr>
+                  <td>
+                    {/* Demographics */}
+                    <Box
+                      sx={{
+                        display: "grid",
+                        gridTemplateColumns: "max-content 1fr",
+                        columnGap: 3,
+                        rowGap: 0.5,
+                        mb: 3,
+                      }}
+                    >
+                      {summary.details.map(([label, value]) => (
+                        <React.Fragment key={label}>
+                          <Typography variant="body2" fontWeight="bold">
+                            {label}
+                          </Typography>
+                          <Typography
+                            variant="body2"
+                            sx={{ whiteSpace: "pre-wrap" }}
+                          >
+                            {value}
+                          </Typography>
+                        </React.Fragment>
+                      ))}
+                    </Box>
+
+                    {/* Task Log */}
+                    <Typography variant="subtitle1" fontWeight="bold">
+                      Task Log
+                    </Typography>
+                    {summary.taskRows.length === 0 ? (
+                      <Typography variant="body2" color="text.secondary">
+                        No tasks logged in this period.
+                      </Typography>
+                    ) : (
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            {summary.taskColumns.map((column) => (
+                              <TableCell key={column}>{column}</TableCell>
+                            ))}
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {summary.taskRows.map((row, index) => (
+                            <TableRow
+                              key={taskLogs[index].id}
+                              sx={{ breakInside: "avoid" }}
+                            >
+                              {row.map((cell, cellIndex) => (
+                                <TableCell
+                                  key={summary.taskColumns[cellIndex]}
+                                  sx={{
+                                    whiteSpace:
+                                      cellIndex === 2 ? "pre-wrap" : "nowrap",
+                                    verticalAlign: "top",
+                                  }}
+                                >
+                                  {cell}
+                                </TableCell>
+                              ))}
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    )}
+                  </td>
+                </tr>
+              </tbody>
+            </Box>
+          </Paper>
+        )
+      )}
+    </Box>
+  );
+};
+
+export default PatientPrintSummary;
@@ -0,0 +1,312 @@
+// src/components/Patients/VitalsTrends.js
+// Vital sign trend charts with normal-range bands and PNG export
+
+import React, { useRef, useState } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  IconButton,
+  Tooltip as MuiTooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+} from "@mui/material";
+import { useTheme } from "@mui/material/styles";
+import { ShowChart, Download } from "@mui/icons-material";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceArea,
+} from "recharts";
+import { usePreferences } from "../../context/PreferencesContext";
+import {
+  VITALS,
+  VITALS_TASK_TYPE,
+  toCelsius,
+  getVitalStatus,
+} from "../../utils/vitals";
+import { exportSvgAsPng } from "../../utils/exportChart";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "admission" starts at the patient record's creation (patients are added on admission)
+const TIME_WINDOWS = [
+  { value: "24h", label: "24h", ms: 24 * HOUR_MS },
+  { value: "72h", label: "72h", ms: 72 * HOUR_MS },
+  { value: "7d", label: "7d", ms: 7 * 24 * HOUR_MS },
+  { value: "admission", label: "Admission" },
+];
+
+// Temperatures are plotted in °C so readings in either unit share one axis
+const plotValue = (key, vitals) =>
+  key === "temperature"
+    ? Math.round(toCelsius(vitals.temperature, vitals.temperatureUnit) * 10) /
+      10
+    : Number(vitals[key]);
+
+const buildSeries = (taskLogs, key, from) =>
+  taskLogs
+    .filter(
+      (task) =>
+        task.task_type === VITALS_TASK_TYPE &&
+        task.vitals &&
+        task.vitals[key] !== undefined &&
+        task.vitals[key] !== null &&
+        new Date(task.completed_at) >= from
+    )
+    .map((task) => ({
+      time: new Date(task.completed_at).getTime(),
+      value: plotValue(key, task.vitals),
+      isAbnormal: ["low", "high"].includes(getVitalStatus(key, task.vitals)),
+      clinician:
+        `${task.clinician_first_name || ""} ${task.clinician_last_name || ""}`.trim(),
+    }))
+    .sort((a, b) => a.time - b.time);
+
+const VitalChart = ({ vital, data, from, to, onExport }) => {
+  const theme = useTheme();
+  const { formatDate, formatTime, formatDateTime } = usePreferences();
+  const chartRef = useRef(null);
+  const unit = vital.key === "temperature" ? "°C" : vital.unit;
+
+  // Keep the whole normal band in view even when every reading is inside it
+  const values = data.map((point) => point.value);
+  const yMin = Math.min(vital.normal.min, ...values);
+  const yMax = Math.max(vital.normal.max, ...values);
+  const padding = (yMax - yMin) * 0.1 || 1;
+
+  const spansDays = to - from > 24 * HOUR_MS;
+  const formatTick = (time) =>
+    spansDays ? formatDate(new Date(time)) : formatTime(new Date(time));
+
+  const renderDot = ({ cx, cy, payload }) => (
+    <circle
+      key={payload.time}
+      cx={cx}
+      cy={cy}
+      r={4}
+      fill={
+        payload.isAbnormal ? theme.palette.error.main : theme.palette.info.main
+      }
+      stroke={theme.palette.background.paper}
+      strokeWidth={1}
+    />
+  );
+
+  const renderTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const point = payload[0].payload;
+    return (
+      <Paper sx={{ p: 1 }}>
+        <Typography
+          variant="body2"
+          fontWeight="bold"
+          color={point.isAbnormal ? "error.main" : "text.primary"}
+        >
+          {point.value} {unit}
+        </Typography>
+        <Typography variant="caption" display="block">
+          {formatDateTime(new Date(point.time))}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Logged by {point.clinician || "Unknown"}
+        </Typography>
+      </Paper>
+    );
+  };
+
+  const handleExport = () => {
+    const svg = chartRef.current?.querySelector("svg.recharts-surface");
+    if (svg) {
+      onExport(svg, vital, theme.palette.background.paper);
+    }
+  };
+
+  return (
+    <Box>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+        }}
+      >
+        <Typography variant="subtitle2">
+          {vital.label} ({unit})
+        </Typography>
+        <MuiTooltip title="Download as PNG">
+          <span>
+            <IconButton
+              size="small"
+              onClick={handleExport}
+              disabled={data.length === 0}
+              aria-label={`Download ${vital.label} chart as PNG`}
+            >
+              <Download fontSize="small" />
+            </IconButton>
+          </span>
+        </MuiTooltip>
+      </Box>
+
+      {data.length === 0 ? (
+        <Box
+          sx={{
+            height: 200,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+        >
+          <Typography variant="body2" color="text.secondary">
+            No readings in this window
+          </Typography>
+        </Box>
+      ) : (
+        <Box ref={chartRef} sx={{ height: 200 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart
+              data={data}
+              margin={{ top: 8, right: 16, bottom: 0, left: 0 }}
+            >
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke={theme.palette.divider}
+              />
+              <ReferenceArea
+                y1={vital.normal.min}
+                y2={vital.normal.max}
+                fill={theme.palette.success.main}
+                fillOpacity={0.12}
+                ifOverflow="extendDomain"
+              />
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={[from.getTime(), to.getTime()]}
+                tickFormatter={formatTick}
+                tick={{ fontSize: 11, fill: theme.palette.text.secondary }}
+                stroke={theme.palette.divider}
+              />
+              <YAxis
+                domain={[Math.floor(yMin - padding), Math.ceil(yMax + padding)]}
+                width={40}
+                tick={{ fontSize: 11, fill: theme.palette.text.secondary }}
+                stroke={theme.palette.divider}
+              />
+              <Tooltip content={renderTooltip} />
+              <Line
+                type="monotone"
+                dataKey="value"
+                stroke={theme.palette.info.main}
+                strokeWidth={2}
+                dot={renderDot}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+const VitalsTrends = ({ patient, taskLogs }) => {
+  const [timeWindow, setTimeWindow] = useState("24h");
+  const [exportError, setExportError] = useState(null);
+
+  const to = new Date();
+  const selectedWindow = TIME_WINDOWS.find((w) => w.value === timeWindow);
+  const from =
+    timeWindow === "admission"
+      ? new Date(patient.created_at)
+      : new Date(to.getTime() - selectedWindow.ms);
+
+  const handleExport = async (svg, vital, background) => {
+    try {
+      setExportError(null);
+      const name = `${patient.last_name}-${patient.first_name}`.toLowerCase();
+      await exportSvgAsPng(svg, `${name}-${vital.key}-${timeWindow}.png`, {
+        background,
+      });
+    } catch (err) {
+      console.error("Chart export failed:", err);
+      setExportError(err.message);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          flexWrap: "wrap",
+          gap: 2,
+          mb: 2,
+        }}
+      >
+        <Typography variant="h6" sx={{ display: "flex", alignItems: "center" }}>
+          <ShowChart sx={{ mr: 1 }} />
+          Vitals Trends
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={timeWindow}
+          onChange={(e, value) => value && setTimeWindow(value)}
+          aria-label="Time window"
+        >
+          {TIME_WINDOWS.map((w) => (
+            <ToggleButton key={w.value} value={w.value}>
+              {w.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      {exportError && (
+        <Alert
+          severity="error"
+          sx={{ mb: 2 }}
+          onClose={() => setExportError(null)}
+        >
+          {exportError}
+        </Alert>
+      )}
+
+      <Typography variant="caption" color="text.secondary">
+        Shaded bands show the normal range; red points are out of range.
+      </Typography>
+
+      <Box
+        sx={{
+          display: "grid",
+          gridTemplateColumns: { xs: "1fr", md: "1fr 1fr" },
+          gap: 3,
+          mt: 2,
+        }}
+      >
+        {VITALS.map((vital) => (
+          <VitalChart
+            key={vital.key}
+            vital={vital}
+            data={buildSeries(taskLogs, vital.key, from)}
+            from={from}
+            to={to}
+            onExport={handleExport}
+          />
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default VitalsTrends;
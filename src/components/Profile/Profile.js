@@ -0,0 +1,385 @@
+// src/components/Profile/Profile.js
+// Own account details and password change
+
+import React, { useState } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Alert,
+  Avatar,
+  Chip,
+  CircularProgress,
+} from "@mui/material";
+import { Save, LockReset } from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { handleApiError } from "../../services/api";
+import { validatePassword } from "../../utils/passwordPolicy";
+import PasswordStrengthMeter from "../Auth/PasswordStrengthMeter";
+
+const EMPTY_PASSWORDS = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+const Profile = () => {
+  const { user, updateProfile, changePassword } = useAuth();
+
+  const [profileData, setProfileData] = useState({
+    firstName: user?.firstName || "",
+    lastName: user?.lastName || "",
+    email: user?.email || "",
+    contactNumber: user?.contactNumber || "",
+  });
+  const [profileErrors, setProfileErrors] = useState({});
+  const [profileSaving, setProfileSaving] = useState(false);
+  const [profileStatus, setProfileStatus] = useState(null); // { severity, message }
+
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [passwordErrors, setPasswordErrors] = useState({});
+  const [passwordSaving, setPasswordSaving] = useState(false);
+  const [passwordStatus, setPasswordStatus] = useState(null);
+
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target;
+    setProfileData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (profileErrors[name]) {
+      setProfileErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (passwordErrors[name]) {
+      setPasswordErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+  };
+
+  const validateProfile = () => {
+    const errors = {};
+
+    if (!profileData.firstName.trim()) {
+      errors.firstName = "First name is required";
+    }
+
+    if (!profileData.lastName.trim()) {
+      errors.lastName = "Last name is required";
+    }
+
+    if (!profileData.email.trim()) {
+      errors.email = "Email is required";
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profileData.email)) {
+      errors.email = "Please enter a valid email address";
+    }
+
+    if (
+      profileData.contactNumber.trim() &&
+      !/^\+?[\d\s()-]{7,20}$/.test(profileData.contactNumber.trim())
+    ) {
+      errors.contactNumber = "Please enter a valid phone number";
+    }
+
+    return errors;
+  };
+
+  const validatePasswords = () => {
+    const errors = {};
+
+    if (!passwords.currentPassword) {
+      errors.currentPassword = "Current password is required";
+    }
+
+    const passwordError = validatePassword(passwords.newPassword, user);
+    if (passwordError) {
+      errors.newPassword = passwordError;
+    } else if (passwords.newPassword === passwords.currentPassword) {
+      errors.newPassword = "New password must differ from the current one";
+    }
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      errors.confirmPassword = "Passwords do not match";
+    }
+
+    return errors;
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateProfile();
+    if (Object.keys(errors).length > 0) {
+      setProfileErrors(errors);
+      return;
+    }
+
+    try {
+      setProfileSaving(true);
+      setProfileStatus(null);
+      await updateProfile({
+        firstName: profileData.firstName.trim(),
+        lastName: profileData.lastName.trim(),
+        email: profileData.email.trim(),
+        contactNumber: profileData.contactNumber.trim() || null,
+      });
+      setProfileStatus({ severity: "success", message: "Profile updated." });
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setProfileStatus({ severity: "error", message: errorInfo.message });
+    } finally {
+      setProfileSaving(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validatePasswords();
+    if (Object.keys(errors).length > 0) {
+      setPasswordErrors(errors);
+      return;
+    }
+
+    try {
+      setPasswordSaving(true);
+      setPasswordStatus(null);
+      await changePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      setPasswords(EMPTY_PASSWORDS);
+      setPasswordStatus({
+        severity: "success",
+        message: "Password changed.",
+      });
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      if (errorInfo.status === 401) {
+        setPasswordErrors({
+          currentPassword: "Current password is incorrect",
+        });
+      } else {
+        setPasswordStatus({ severity: "error", message: errorInfo.message });
+      }
+    } finally {
+      setPasswordSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: "flex", alignItems: "center", mb: 3 }}>
+        <Avatar
+          sx={{
+            width: 56,
+            height: 56,
+            bgcolor: "secondary.main",
+            mr: 2,
+          }}
+        >
+          {user?.firstName?.[0]}
+          {user?.lastName?.[0]}
+        </Avatar>
+        <Box>
+          <Typography variant="h4">
+            {user?.firstName} {user?.lastName}
+          </Typography>
+          <Chip
+            label={user?.role === "admin" ? "Administrator" : "Clinician"}
+            size="small"
+            sx={{ mt: 0.5 }}
+          />
+        </Box>
+      </Box>
+
+      <Box
+        sx={{
+          display: "grid",
+          gridTemplateColumns: { xs: "1fr", md: "1fr 1fr" },
+          gap: 3,
+          alignItems: "start",
+        }}
+      >
+        {/* Account Details */}
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Account Details
+          </Typography>
+
+          {profileStatus && (
+            <Alert
+              severity={profileStatus.severity}
+              sx={{ mb: 2 }}
+              onClose={() => setProfileStatus(null)}
+            >
+              {profileStatus.message}
+            </Alert>
+          )}
+
+          <Box component="form" onSubmit={handleProfileSubmit}>
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                label="First Name"
+                name="firstName"
+                autoComplete="given-name"
+                value={profileData.firstName}
+                onChange={handleProfileChange}
+                error={!!profileErrors.firstName}
+                helperText={profileErrors.firstName}
+                disabled={profileSaving}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                label="Last Name"
+                name="lastName"
+                autoComplete="family-name"
+                value={profileData.lastName}
+                onChange={handleProfileChange}
+                error={!!profileErrors.lastName}
+                helperText={profileErrors.lastName}
+                disabled={profileSaving}
+              />
+            </Box>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Email Address"
+              name="email"
+              autoComplete="email"
+              value={profileData.email}
+              onChange={handleProfileChange}
+              error={!!profileErrors.email}
+              helperText={profileErrors.email}
+              disabled={profileSaving}
+            />
+            <TextField
+              margin="normal"
+              fullWidth
+              label="Contact Number"
+              name="contactNumber"
+              type="tel"
+              autoComplete="tel"
+              value={profileData.contactNumber}
+              onChange={handleProfileChange}
+              error={!!profileErrors.contactNumber}
+              helperText={profileErrors.contactNumber}
+              disabled={profileSaving}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              sx={{ mt: 2 }}
+              disabled={profileSaving}
+              startIcon={
+                profileSaving ? <CircularProgress size={20} /> : <Save />
+              }
+            >
+              {profileSaving ? "Saving..." : "Save Changes"}
+            </Button>
+          </Box>
+        </Paper>
+
+        {/* Change Password */}
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Change Password
+          </Typography>
+
+          {passwordStatus && (
+            <Alert
+              severity={passwordStatus.severity}
+              sx={{ mb: 2 }}
+              onClose={() => setPasswordStatus(null)}
+            >
+              {passwordStatus.message}
+            </Alert>
+          )}
+
+          <Box component="form" onSubmit={handlePasswordSubmit}>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Current Password"
+              name="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              value={passwords.currentPassword}
+              onChange={handlePasswordChange}
+              error={!!passwordErrors.currentPassword}
+              helperText={passwordErrors.currentPassword}
+              disabled={passwordSaving}
+            />
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="New Password"
+              name="newPassword"
+              type="password"
+              autoComplete="new-password"
+              value={passwords.newPassword}
+              onChange={handlePasswordChange}
+              error={!!passwordErrors.newPassword}
+              helperText={passwordErrors.newPassword}
+              disabled={passwordSaving}
+            />
+            <PasswordStrengthMeter
+              password={passwords.newPassword}
+              context={user}
+            />
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Confirm New Password"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              value={passwords.confirmPassword}
+              onChange={handlePasswordChange}
+              error={!!passwordErrors.confirmPassword}
+              helperText={passwordErrors.confirmPassword}
+              disabled={passwordSaving}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              sx={{ mt: 2 }}
+              disabled={passwordSaving}
+              startIcon={
+                passwordSaving ? <CircularProgress size={20} /> : <LockReset />
+              }
+            >
+              {passwordSaving ? "Changing..." : "Change Password"}
+            </Button>
+          </Box>
+        </Paper>
+      </Box>
+    </Box>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,139 @@
+// src/components/ScheduledTasks/PatientScheduledTasks.js
+// Scheduled tasks panel for the patient page: schedule, complete and cancel
+
+import React, { useState } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+} from "@mui/material";
+import { Alarm, AddAlarm, EventBusy } from "@mui/icons-material";
+import { scheduledTasksAPI, handleApiError } from "../../services/api";
+import useScheduledTasks from "../../hooks/useScheduledTasks";
+import ScheduledTaskList from "./ScheduledTaskList";
+import ScheduleTaskDialog from "./ScheduleTaskDialog";
+
+const PatientScheduledTasks = ({ patientId }) => {
+  const { scheduledTasks, now, loading, error, reload } = useScheduledTasks({
+    patientId,
+  });
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [taskToCancel, setTaskToCancel] = useState(null);
+  const [cancelLoading, setCancelLoading] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    reload();
+  };
+
+  const handleCancelConfirm = async () => {
+    try {
+      setCancelLoading(true);
+      setActionError(null);
+      await scheduledTasksAPI.update(taskToCancel.id, { isActive: false });
+      setTaskToCancel(null);
+      reload();
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setActionError(errorInfo.message);
+      setTaskToCancel(null);
+    } finally {
+      setCancelLoading(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          mb: 1,
+        }}
+      >
+        <Typography variant="h6" sx={{ display: "flex", alignItems: "center" }}>
+          <Alarm sx={{ mr: 1 }} />
+          Scheduled Tasks
+        </Typography>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<AddAlarm />}
+          onClick={() => setDialogOpen(true)}
+        >
+          Schedule Task
+        </Button>
+      </Box>
+
+      {(error || actionError) && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {actionError || error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <ScheduledTaskList
+          scheduledTasks={scheduledTasks}
+          now={now}
+          onCancel={setTaskToCancel}
+          emptyMessage="No tasks are scheduled for this patient."
+        />
+      )}
+
+      <ScheduleTaskDialog
+        open={dialogOpen}
+        patientId={patientId}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+
+      {/* Cancel Confirmation Dialog */}
+      <Dialog
+        open={!!taskToCancel}
+        onClose={() => !cancelLoading && setTaskToCancel(null)}
+      >
+        <DialogTitle>Cancel Scheduled Task</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Stop scheduling <strong>{taskToCancel?.description}</strong>? It
+            will no longer show as due. Entries already logged are kept.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setTaskToCancel(null)}
+            disabled={cancelLoading}
+          >
+            Keep
+          </Button>
+          <Button
+            onClick={handleCancelConfirm}
+            color="error"
+            variant="contained"
+            disabled={cancelLoading}
+            startIcon={
+              cancelLoading ? <CircularProgress size={16} /> : <EventBusy />
+            }
+          >
+            Cancel Schedule
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default PatientScheduledTasks;
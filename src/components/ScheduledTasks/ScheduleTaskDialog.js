@@ -0,0 +1,254 @@
+// src/components/ScheduledTasks/ScheduleTaskDialog.js
+// Dialog for planning a one-off or recurring task for a patient
+
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Checkbox,
+} from "@mui/material";
+import { useAuth } from "../../context/AuthContext";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+import { scheduledTasksAPI, handleApiError } from "../../services/api";
+import { RECURRENCE_OPTIONS } from "../../utils/scheduledTasks";
+import { toDateTimeInputValue } from "../../utils/dateUtils";
+
+const emptySchedule = () => ({
+  taskType: "",
+  description: "",
+  startAt: toDateTimeInputValue(new Date()),
+  intervalHours: "",
+  endAt: "",
+  assignToMe: true,
+});
+
+const ScheduleTaskDialog = ({ open, patientId, onClose, onSaved }) => {
+  const { user } = useAuth();
+  const { activeTaskTypes } = useTaskTypes();
+
+  const [formData, setFormData] = useState(emptySchedule);
+  const [validationErrors, setValidationErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(emptySchedule());
+      setValidationErrors({});
+      setError(null);
+    }
+  }, [open]);
+
+  const isRecurring = formData.intervalHours !== "";
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+    if (validationErrors[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.taskType) {
+      errors.taskType = "Task type is required";
+    }
+    if (!formData.description.trim()) {
+      errors.description = "Description is required";
+    }
+
+    const startAt = new Date(formData.startAt);
+    if (!formData.startAt || isNaN(startAt.getTime())) {
+      errors.startAt = "Please enter a valid date and time";
+    }
+
+    if (isRecurring && formData.endAt) {
+      const endAt = new Date(formData.endAt);
+      if (isNaN(endAt.getTime())) {
+        errors.endAt = "Please enter a valid date and time";
+      } else if (endAt <= startAt) {
+        errors.endAt = "End must be after the first due time";
+      }
+    }
+
+    return errors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await scheduledTasksAPI.create({
+        patientId: Number(patientId),
+        taskType: formData.taskType,
+        description: formData.description.trim(),
+        startAt: new Date(formData.startAt).toISOString(),
+        intervalHours: isRecurring ? Number(formData.intervalHours) : null,
+        endAt:
+          isRecurring && formData.endAt
+            ? new Date(formData.endAt).toISOString()
+            : null,
+        assignedTo: formData.assignToMe ? user?.id : null,
+      });
+      onSaved(response.scheduledTask);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!saving) {
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>Schedule Task</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            select
+            margin="normal"
+            required
+            fullWidth
+            label="Task Type"
+            name="taskType"
+            value={formData.taskType}
+            onChange={handleChange}
+            error={!!validationErrors.taskType}
+            helperText={validationErrors.taskType}
+            disabled={saving}
+          >
+            {activeTaskTypes.map((type) => (
+              <MenuItem key={type.name} value={type.name}>
+                {type.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="Description"
+            name="description"
+            placeholder="e.g. Reposition patient"
+            value={formData.description}
+            onChange={handleChange}
+            error={!!validationErrors.description}
+            helperText={validationErrors.description}
+            disabled={saving}
+          />
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label={isRecurring ? "First Due" : "Due"}
+              name="startAt"
+              type="datetime-local"
+              value={formData.startAt}
+              onChange={handleChange}
+              error={!!validationErrors.startAt}
+              helperText={validationErrors.startAt}
+              InputLabelProps={{ shrink: true }}
+              disabled={saving}
+            />
+            <TextField
+              select
+              margin="normal"
+              fullWidth
+              label="Repeat"
+              name="intervalHours"
+              value={formData.intervalHours}
+              onChange={handleChange}
+              disabled={saving}
+            >
+              {RECURRENCE_OPTIONS.map((option) => (
+                <MenuItem key={option.label} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          {isRecurring && (
+            <TextField
+              margin="normal"
+              fullWidth
+              label="Repeat Until"
+              name="endAt"
+              type="datetime-local"
+              value={formData.endAt}
+              onChange={handleChange}
+              error={!!validationErrors.endAt}
+              helperText={
+                validationErrors.endAt || "Optional; repeats until cancelled"
+              }
+              InputLabelProps={{ shrink: true }}
+              disabled={saving}
+            />
+          )}
+          <FormControlLabel
+            control={
+              <Checkbox
+                name="assignToMe"
+                checked={formData.assignToMe}
+                onChange={handleChange}
+                disabled={saving}
+              />
+            }
+            label="Assign to me (unassigned tasks show for everyone)"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Schedule
+          </Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
+};
+
+export default ScheduleTaskDialog;
@@ -0,0 +1,133 @@
+// src/components/ScheduledTasks/ScheduledTaskList.js
+// Scheduled tasks with due status and a complete action
+
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Button,
+  IconButton,
+  Tooltip,
+  Divider,
+} from "@mui/material";
+import { CheckCircle, EventBusy } from "@mui/icons-material";
+import { usePreferences } from "../../context/PreferencesContext";
+import TaskTypeChip from "../TaskLogs/TaskTypeChip";
+import {
+  SCHEDULED_TASK_STATUSES,
+  getScheduledTaskStatus,
+  countMissedOccurrences,
+  formatRecurrence,
+  getCompletionPath,
+  sortByDue,
+} from "../../utils/scheduledTasks";
+import { formatTimeSince } from "../../utils/dateUtils";
+
+// showPatient: include the patient name (lists spanning patients)
+// onCancel: optional; shows a cancel action per task
+const ScheduledTaskList = ({
+  scheduledTasks,
+  now,
+  showPatient = false,
+  onCancel,
+  emptyMessage = "No scheduled tasks.",
+}) => {
+  const navigate = useNavigate();
+  const { formatDate, formatTime } = usePreferences();
+
+  if (scheduledTasks.length === 0) {
+    return <Typography color="text.secondary">{emptyMessage}</Typography>;
+  }
+
+  const sortedTasks = sortByDue(scheduledTasks);
+
+  const describeDue = (task, status) => {
+    const due = `${formatDate(task.next_due_at)} at ${formatTime(
+      task.next_due_at
+    )}`;
+    if (status !== "overdue") return `Due ${due}`;
+
+    const missed = countMissedOccurrences(task, now);
+    return `Due ${due} · overdue by ${formatTimeSince(task.next_due_at, now)}${
+      missed > 1 ? ` (${missed} occurrences missed)` : ""
+    }`;
+  };
+
+  return (
+    <List>
+      {sortedTasks.map((task, index) => {
+        const status = getScheduledTaskStatus(task, now);
+        const statusInfo = SCHEDULED_TASK_STATUSES[status];
+
+        return (
+          <React.Fragment key={task.id}>
+            <ListItem
+              sx={{ px: 0, gap: 1 }}
+              secondaryAction={
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                  <Button
+                    size="small"
+                    variant={status === "upcoming" ? "outlined" : "contained"}
+                    startIcon={<CheckCircle />}
+                    onClick={() => navigate(getCompletionPath(task))}
+                  >
+                    Complete
+                  </Button>
+                  {onCancel && (
+                    <Tooltip title="Cancel schedule">
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => onCancel(task)}
+                      >
+                        <EventBusy />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </Box>
+              }
+            >
+              <ListItemText
+                sx={{ pr: onCancel ? 20 : 15 }}
+                primary={
+                  <Box
+                    sx={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 1,
+                      flexWrap: "wrap",
+                    }}
+                  >
+                    <Chip
+                      label={statusInfo.label}
+                      size="small"
+                      color={statusInfo.color}
+                    />
+                    <TaskTypeChip taskType={task.task_type} />
+                    {showPatient && (
+                      <Typography variant="body2" fontWeight="medium">
+                        {task.patient_first_name} {task.patient_last_name}
+                      </Typography>
+                    )}
+                    <Typography variant="body2">{task.description}</Typography>
+                  </Box>
+                }
+                secondary={`${describeDue(task, status)} · ${formatRecurrence(
+                  task.interval_hours
+                )}`}
+              />
+            </ListItem>
+            {index < sortedTasks.length - 1 && <Divider />}
+          </React.Fragment>
+        );
+      })}
+    </List>
+  );
+};
+
+export default ScheduledTaskList;
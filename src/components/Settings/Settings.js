@@ -0,0 +1,249 @@
+// src/components/Settings/Settings.js
+// Per-user display preferences
+
+import React, { useState, useEffect } from "react";
+import {
+  Typography,
+  Box,
+  Paper,
+  FormControl,
+  FormLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Button,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { Save } from "@mui/icons-material";
+import { usePreferences } from "../../context/PreferencesContext";
+import { handleApiError } from "../../services/api";
+import { DATE_FORMATS, formatDate, formatTime } from "../../utils/dateUtils";
+import { THEME_MODES } from "../../styles/theme";
+
+const LANDING_PAGES = [
+  { path: "/dashboard", label: "Dashboard" },
+  { path: "/patients", label: "Patients" },
+  { path: "/task-logs", label: "Task Logs" },
+];
+
+const ROWS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
+
+const Settings = () => {
+  const { preferences, updatePreferences } = usePreferences();
+
+  const [formData, setFormData] = useState(preferences);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null); // { severity, message }
+
+  // Pick up preferences that finish loading after the page opened
+  useEffect(() => {
+    setFormData(preferences);
+  }, [preferences]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    setStatus(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setStatus(null);
+      await updatePreferences({
+        ...formData,
+        rowsPerPage: parseInt(formData.rowsPerPage, 10),
+      });
+      setStatus({ severity: "success", message: "Preferences saved." });
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setStatus({ severity: "error", message: errorInfo.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sampleDate = new Date();
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom>
+          Settings
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Preferences are saved to your account and apply on every device
+        </Typography>
+      </Box>
+
+      <Paper sx={{ p: 3, maxWidth: 720 }}>
+        {status && (
+          <Alert
+            severity={status.severity}
+            sx={{ mb: 2 }}
+            onClose={() => setStatus(null)}
+          >
+            {status.message}
+          </Alert>
+        )}
+
+        <Box component="form" onSubmit={handleSubmit}>
+          <Typography variant="h6" gutterBottom>
+            General
+          </Typography>
+          <FormControl fullWidth margin="normal">
+            <InputLabel id="landing-page-label">
+              Default Landing Page
+            </InputLabel>
+            <Select
+              labelId="landing-page-label"
+              name="landingPage"
+              value={formData.landingPage}
+              label="Default Landing Page"
+              onChange={handleChange}
+              disabled={saving}
+            >
+              {LANDING_PAGES.map((page) => (
+                <MenuItem key={page.path} value={page.path}>
+                  {page.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth margin="normal">
+            <InputLabel id="theme-mode-label">Theme</InputLabel>
+            <Select
+              labelId="theme-mode-label"
+              name="themeMode"
+              value={formData.themeMode}
+              label="Theme"
+              onChange={handleChange}
+              disabled={saving}
+            >
+              {THEME_MODES.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>
+            Dates & Times
+          </Typography>
+          <FormControl fullWidth margin="normal">
+            <InputLabel id="date-format-label">Date Format</InputLabel>
+            <Select
+              labelId="date-format-label"
+              name="dateFormat"
+              value={formData.dateFormat}
+              label="Date Format"
+              onChange={handleChange}
+              disabled={saving}
+            >
+              {DATE_FORMATS.map((format) => (
+                <MenuItem key={format.value} value={format.value}>
+                  {format.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl margin="normal" disabled={saving}>
+            <FormLabel id="clock-label">Clock</FormLabel>
+            <RadioGroup
+              row
+              aria-labelledby="clock-label"
+              name="clock"
+              value={formData.clock}
+              onChange={handleChange}
+            >
+              <FormControlLabel
+                value="12h"
+                control={<Radio />}
+                label="12-hour"
+              />
+              <FormControlLabel
+                value="24h"
+                control={<Radio />}
+                label="24-hour"
+              />
+            </RadioGroup>
+          </FormControl>
+
+          <Typography variant="body2" color="text.secondary">
+            Preview: {formatDate(sampleDate, formData)} at{" "}
+            {formatTime(sampleDate, formData)}
+          </Typography>
+
+          <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>
+            Tables
+          </Typography>
+          <FormControl margin="normal" disabled={saving}>
+            <FormLabel id="density-label">Density</FormLabel>
+            <RadioGroup
+              row
+              aria-labelledby="density-label"
+              name="tableDensity"
+              value={formData.tableDensity}
+              onChange={handleChange}
+            >
+              <FormControlLabel
+                value="comfortable"
+                control={<Radio />}
+                label="Comfortable"
+              />
+              <FormControlLabel
+                value="compact"
+                control={<Radio />}
+                label="Compact"
+              />
+            </RadioGroup>
+          </FormControl>
+
+          <FormControl fullWidth margin="normal">
+            <InputLabel id="rows-per-page-label">Rows per Page</InputLabel>
+            <Select
+              labelId="rows-per-page-label"
+              name="rowsPerPage"
+              value={formData.rowsPerPage}
+              label="Rows per Page"
+              onChange={handleChange}
+              disabled={saving}
+            >
+              {ROWS_PER_PAGE_OPTIONS.map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Box sx={{ mt: 3 }}>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={saving}
+              startIcon={saving ? <CircularProgress size={20} /> : <Save />}
+            >
+              {saving ? "Saving..." : "Save Preferences"}
+            </Button>
+          </Box>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default Settings;
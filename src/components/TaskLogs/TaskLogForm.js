@@ -0,0 +1,608 @@
+// src/components/TaskLogs/TaskLogForm.js
+// Form component for logging and editing completed patient care tasks
+
+import React, { useState, useEffect } from "react";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import {
+  Typography,
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Card,
+  CardContent,
+  IconButton,
+  MenuItem,
+} from "@mui/material";
+import {
+  ArrowBack,
+  Save,
+  Person,
+  Assignment,
+  AccessTime,
+  MonitorHeart,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import {
+  patientsAPI,
+  taskLogsAPI,
+  scheduledTasksAPI,
+  handleApiError,
+} from "../../services/api";
+import { canEditTaskLog } from "../../utils/taskLogPermissions";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+import { useEarlyWarning } from "../../context/EarlyWarningContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import PatientAutocomplete from "../Patients/PatientAutocomplete";
+import { toDateTimeInputValue } from "../../utils/dateUtils";
+import { formatRecurrence } from "../../utils/scheduledTasks";
+import VitalsFields from "./VitalsFields";
+import {
+  VITALS_TASK_TYPE,
+  EMPTY_VITALS,
+  validateVitals,
+  toVitalsPayload,
+  toVitalsFormValues,
+  summarizeVitals,
+} from "../../utils/vitals";
+
+const TaskLogForm = ({ mode = "create" }) => {
+  // mode: 'create' or 'edit'
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const { user } = useAuth();
+  const { activeTaskTypes, getTaskType } = useTaskTypes();
+  const { reloadScores } = useEarlyWarning();
+  const { formatDateTime } = usePreferences();
+  const [searchParams] = useSearchParams();
+  const prefillPatientId = searchParams.get("patientId");
+  // Set when completing a scheduled task from a due list
+  const scheduledTaskId = searchParams.get("scheduledTaskId");
+
+  const initialFormData = () => ({
+    patientId: prefillPatientId || "",
+    taskType: "",
+    description: "",
+    notes: "",
+    vitals: EMPTY_VITALS,
+    // Set by the MAR; kept as-is so edits don't drop it
+    medication: null,
+    completedAt: toDateTimeInputValue(new Date()),
+  });
+
+  const [formData, setFormData] = useState(initialFormData);
+  const [selectedPatient, setSelectedPatient] = useState(null);
+  const [scheduledTask, setScheduledTask] = useState(null);
+
+  const [loading, setLoading] = useState(false);
+  const [initialLoading, setInitialLoading] = useState(
+    mode === "edit" || !!prefillPatientId
+  );
+  const [readOnly, setReadOnly] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [validationErrors, setValidationErrors] = useState({});
+
+  // Load task log data for editing
+  useEffect(() => {
+    if (mode !== "edit" || !id) return;
+
+    const loadTaskLog = async () => {
+      try {
+        setInitialLoading(true);
+        const response = await taskLogsAPI.getById(id);
+        const taskLog = response.taskLog;
+
+        setFormData({
+          patientId: String(taskLog.patient_id),
+          taskType: taskLog.task_type || "",
+          description: taskLog.description || "",
+          notes: taskLog.notes || "",
+          vitals: toVitalsFormValues(taskLog.vitals),
+          medication: taskLog.medication || null,
+          completedAt: toDateTimeInputValue(new Date(taskLog.completed_at)),
+        });
+
+        const patientResponse = await patientsAPI.getById(taskLog.patient_id);
+        setSelectedPatient(patientResponse.patient);
+
+        if (!canEditTaskLog(taskLog, user)) {
+          setReadOnly(true);
+          setError(
+            "This entry can no longer be edited. Add an amendment from the task log list instead."
+          );
+        }
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        setError(errorInfo.message);
+      } finally {
+        setInitialLoading(false);
+      }
+    };
+
+    loadTaskLog();
+  }, [mode, id, user]);
+
+  // Prefill the patient when opened from a patient's page, and the task
+  // details when completing a scheduled task
+  useEffect(() => {
+    if (mode === "edit" || !prefillPatientId) return;
+
+    const loadPatient = async () => {
+      try {
+        setInitialLoading(true);
+        const [response, scheduledResponse] = await Promise.all([
+          patientsAPI.getById(prefillPatientId),
+          scheduledTaskId ? scheduledTasksAPI.getById(scheduledTaskId) : null,
+        ]);
+        setSelectedPatient(response.patient);
+
+        const scheduled = scheduledResponse?.scheduledTask;
+        if (scheduled) {
+          setScheduledTask(scheduled);
+          setFormData((prev) => ({
+            ...prev,
+            taskType: scheduled.task_type || "",
+            description: scheduled.description || "",
+          }));
+        }
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        setError(errorInfo.message);
+      } finally {
+        setInitialLoading(false);
+      }
+    };
+
+    loadPatient();
+  }, [mode, prefillPatientId, scheduledTaskId]);
+
+  // Handle form input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    // Clear validation error for this field
+    if (validationErrors[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+
+    // Clear general error/success messages
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleVitalChange = (name, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      vitals: { ...prev.vitals, [name]: value },
+    }));
+
+    if (validationErrors.vitals?.[name]) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        vitals: { ...prev.vitals, [name]: "" },
+      }));
+    }
+
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handlePatientChange = (patient) => {
+    setSelectedPatient(patient);
+    setFormData((prev) => ({
+      ...prev,
+      patientId: patient ? String(patient.id) : "",
+    }));
+
+    if (validationErrors.patientId) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        patientId: "",
+      }));
+    }
+  };
+
+  const selectedTaskType = getTaskType(formData.taskType);
+  const isRequiredField = (field) =>
+    !!formData.taskType && selectedTaskType.required_fields.includes(field);
+  const isVitals = formData.taskType === VITALS_TASK_TYPE;
+
+  // Active types, plus a retired one if this entry already uses it
+  const taskTypeOptions =
+    formData.taskType &&
+    !activeTaskTypes.some((type) => type.name === formData.taskType)
+      ? [...activeTaskTypes, selectedTaskType]
+      : activeTaskTypes;
+
+  // Form validation
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.patientId) {
+      errors.patientId = "Patient is required";
+    }
+
+    if (!formData.taskType) {
+      errors.taskType = "Task type is required";
+    }
+
+    // Vitals entries default their description to a summary of the readings
+    if (!formData.description.trim()) {
+      if (!isVitals) {
+        errors.description = "Description is required";
+      } else if (!summarizeVitals(formData.vitals)) {
+        errors.description = "Enter a description or record a vital sign";
+      }
+    }
+
+    if (isVitals) {
+      const vitalsErrors = validateVitals(formData.vitals);
+      if (Object.keys(vitalsErrors).length > 0) {
+        errors.vitals = vitalsErrors;
+      }
+    }
+
+    // Extra fields the selected task type makes mandatory
+    selectedTaskType.required_fields.forEach((field) => {
+      if (!String(formData[field] ?? "").trim()) {
+        errors[field] = `Required for ${selectedTaskType.label} tasks`;
+      }
+    });
+
+    if (!formData.completedAt) {
+      errors.completedAt = "Completion time is required";
+    } else {
+      const completedAt = new Date(formData.completedAt);
+
+      if (isNaN(completedAt.getTime())) {
+        errors.completedAt = "Please enter a valid date and time";
+      } else if (completedAt > new Date()) {
+        errors.completedAt = "Completion time cannot be in the future";
+      }
+    }
+
+    return errors;
+  };
+
+  // Navigate back to where the form was opened from
+  const getReturnPath = () =>
+    prefillPatientId ? `/patients/${prefillPatientId}` : "/task-logs";
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Validate form
+    const errors = validateForm();
+    if (Object.keys(errors).length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const vitals = isVitals ? toVitalsPayload(formData.vitals) : null;
+      const taskLogData = {
+        ...formData,
+        description: formData.description.trim() || summarizeVitals(vitals),
+        notes: formData.notes.trim(),
+        vitals,
+        completedAt: new Date(formData.completedAt).toISOString(),
+      };
+
+      // The server advances the schedule to its next occurrence
+      if (scheduledTask) {
+        taskLogData.scheduledTaskId = scheduledTask.id;
+        taskLogData.scheduledFor = scheduledTask.next_due_at;
+      }
+
+      // Shown in lists while the entry waits to sync
+      const preview = {
+        patient_id: selectedPatient?.id,
+        patient_first_name: selectedPatient?.first_name,
+        patient_last_name: selectedPatient?.last_name,
+        clinician_id: user?.id,
+        clinician_first_name: user?.firstName,
+        clinician_last_name: user?.lastName,
+      };
+
+      const response =
+        mode === "create"
+          ? await taskLogsAPI.create(taskLogData, preview)
+          : await taskLogsAPI.update(id, taskLogData, preview);
+
+      if (response.queued) {
+        setSuccess(
+          "You are offline. The entry was saved on this device and will sync when the connection returns."
+        );
+      } else {
+        if (isVitals) {
+          reloadScores();
+        }
+        setSuccess(
+          mode === "create"
+            ? "Task logged successfully!"
+            : "Task log updated successfully!"
+        );
+      }
+
+      // Navigate back after brief delay
+      setTimeout(() => {
+        navigate(getReturnPath());
+      }, 2000);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+
+      // Handle specific validation errors from server
+      if (err.response?.data?.errors) {
+        const serverErrors = {};
+        err.response.data.errors.forEach((error) => {
+          serverErrors[error.param] = error.msg;
+        });
+        setValidationErrors(serverErrors);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (initialLoading) {
+    return (
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          minHeight: 400,
+        }}
+      >
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>
+          Loading patient data...
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 3, display: "flex", alignItems: "center" }}>
+        <IconButton onClick={() => navigate(getReturnPath())} sx={{ mr: 2 }}>
+          <ArrowBack />
+        </IconButton>
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            {mode === "create" ? "Log New Task" : "Edit Task Log"}
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            {mode === "create"
+              ? "Record a completed patient care activity"
+              : "Correct the details of a logged activity"}
+          </Typography>
+        </Box>
+      </Box>
+
+      {/* Alerts */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }}>
+          {success}
+        </Alert>
+      )}
+
+      {scheduledTask && !success && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Completing scheduled task "{scheduledTask.description}" due{" "}
+          {formatDateTime(scheduledTask.next_due_at)} (
+          {formatRecurrence(scheduledTask.interval_hours).toLowerCase()})
+        </Alert>
+      )}
+
+      {/* Form */}
+      <Paper sx={{ p: 4 }}>
+        <Box component="form" onSubmit={handleSubmit}>
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 3 }}>
+            {/* Patient */}
+            <Card variant="outlined">
+              <CardContent>
+                <Typography
+                  variant="h6"
+                  gutterBottom
+                  sx={{ display: "flex", alignItems: "center" }}
+                >
+                  <Person sx={{ mr: 1 }} />
+                  Patient
+                </Typography>
+
+                <PatientAutocomplete
+                  value={selectedPatient}
+                  onChange={handlePatientChange}
+                  onError={setError}
+                  disabled={loading || readOnly || mode === "edit"}
+                  required
+                  error={!!validationErrors.patientId}
+                  helperText={validationErrors.patientId}
+                />
+              </CardContent>
+            </Card>
+
+            {/* Task Details */}
+            <Card variant="outlined">
+              <CardContent>
+                <Typography
+                  variant="h6"
+                  gutterBottom
+                  sx={{ display: "flex", alignItems: "center" }}
+                >
+                  <Assignment sx={{ mr: 1 }} />
+                  Task Details
+                </Typography>
+
+                <Box
+                  sx={{
+                    display: "grid",
+                    gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" },
+                    gap: 2,
+                  }}
+                >
+                  <TextField
+                    select
+                    required
+                    fullWidth
+                    label="Task Type"
+                    name="taskType"
+                    value={formData.taskType}
+                    onChange={handleChange}
+                    error={!!validationErrors.taskType}
+                    helperText={validationErrors.taskType}
+                    disabled={loading || readOnly}
+                  >
+                    {taskTypeOptions.map((type) => (
+                      <MenuItem
+                        key={type.name}
+                        value={type.name}
+                        disabled={!type.is_active}
+                      >
+                        {type.label}
+                        {!type.is_active && " (retired)"}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+
+                  <TextField
+                    required
+                    fullWidth
+                    label="Completed At"
+                    name="completedAt"
+                    type="datetime-local"
+                    value={formData.completedAt}
+                    onChange={handleChange}
+                    error={!!validationErrors.completedAt}
+                    helperText={validationErrors.completedAt}
+                    InputLabelProps={{
+                      shrink: true,
+                    }}
+                    InputProps={{
+                      startAdornment: (
+                        <AccessTime sx={{ mr: 1, color: "action.active" }} />
+                      ),
+                    }}
+                    disabled={loading || readOnly}
+                  />
+
+                  <TextField
+                    required={!isVitals}
+                    fullWidth
+                    multiline
+                    minRows={2}
+                    label="Description"
+                    name="description"
+                    value={formData.description}
+                    onChange={handleChange}
+                    error={!!validationErrors.description}
+                    helperText={
+                      validationErrors.description ||
+                      (isVitals
+                        ? "Optional; defaults to a summary of the readings"
+                        : null)
+                    }
+                    disabled={loading || readOnly}
+                    sx={{ gridColumn: "1 / -1" }}
+                  />
+
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={3}
+                    required={isRequiredField("notes")}
+                    label="Notes"
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    error={!!validationErrors.notes}
+                    helperText={
+                      validationErrors.notes ||
+                      (isRequiredField("notes") ? null : "Optional")
+                    }
+                    disabled={loading || readOnly}
+                    sx={{ gridColumn: "1 / -1" }}
+                  />
+                </Box>
+              </CardContent>
+            </Card>
+
+            {/* Vital Signs */}
+            {isVitals && (
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography
+                    variant="h6"
+                    gutterBottom
+                    sx={{ display: "flex", alignItems: "center" }}
+                  >
+                    <MonitorHeart sx={{ mr: 1 }} />
+                    Vital Signs
+                  </Typography>
+
+                  <VitalsFields
+                    vitals={formData.vitals}
+                    errors={validationErrors.vitals}
+                    onChange={handleVitalChange}
+                    disabled={loading || readOnly}
+                  />
+                </CardContent>
+              </Card>
+            )}
+          </Box>
+
+          {/* Form Actions */}
+          <Box
+            sx={{ mt: 4, display: "flex", gap: 2, justifyContent: "flex-end" }}
+          >
+            <Button
+              variant="outlined"
+              onClick={() => navigate(getReturnPath())}
+              disabled={loading}
+            >
+              Cancel
+            </Button>
+
+            <Button
+              type="submit"
+              variant="contained"
+              startIcon={loading ? <CircularProgress size={20} /> : <Save />}
+              disabled={loading || readOnly || !!success}
+            >
+              {loading
+                ? "Saving..."
+                : mode === "create"
+                  ? "Log Task"
+                  : "Update Task Log"}
+            </Button>
+          </Box>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default TaskLogForm;
@@ -1,5 +1,8 @@
 // src/components/TaskLogs/TaskLogList.js
-import React, { useState, useEffect } from "react";
+// Task log history with URL-synced filters, sorting, and pagination
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import {
   Typography,
   Box,
@@ -13,53 +16,408 @@ import {
   Chip,
   CircularProgress,
   Alert,
+  IconButton,
+  Tooltip,
+  Button,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  DialogContentText,
+  TableSortLabel,
+  TablePagination,
+  LinearProgress,
+  MenuItem,
 } from "@mui/material";
-import { Assignment } from "@mui/icons-material";
-import { taskLogsAPI, handleApiError } from "../../services/api";
+import {
+  Assignment,
+  Edit,
+  Delete,
+  Warning,
+  PostAdd,
+  FilterAltOff,
+  CloudUpload,
+  FileDownload,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { usePreferences } from "../../context/PreferencesContext";
+import { patientsAPI, taskLogsAPI, handleApiError } from "../../services/api";
+import {
+  canEditTaskLog,
+  canDeleteTaskLog,
+  canAmendTaskLog,
+  TASK_LOG_EDIT_WINDOW_MINUTES,
+} from "../../utils/taskLogPermissions";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+import TaskTypeChip from "./TaskTypeChip";
+import VitalsSummary from "./VitalsSummary";
+import PatientAutocomplete from "../Patients/PatientAutocomplete";
+import useOutbox, {
+  toPendingTaskLog,
+  applyPendingEdit,
+} from "../../hooks/useOutbox";
+import { OUTBOX_STATUS } from "../../services/outbox";
+import { toDayBoundaryISO, getLocalDateKey } from "../../utils/dateUtils";
+import { summarizeVitals } from "../../utils/vitals";
+import { toExportDateTime } from "../../utils/exportData";
+import { fetchAllPages } from "../../utils/pagination";
+import ExportDialog from "../Common/ExportDialog";
+
+const DEFAULT_SORT = "completed_at";
+const DEFAULT_ORDER = "desc";
+const FILTER_KEYS = ["patientId", "taskType", "clinicianId", "from", "to"];
+
+// Table columns; those with an id can be sorted server-side
+const TABLE_COLUMNS = [
+  { id: "patient", label: "Patient" },
+  { id: "task_type", label: "Task Type" },
+  { id: null, label: "Description" },
+  { id: "clinician", label: "Completed By" },
+  { id: "completed_at", label: "Completed At" },
+];
+
+// Columns offered for export; unticked by default where default is false
+const EXPORT_COLUMNS = [
+  { key: "id", label: "Entry ID", value: (t) => t.id, width: 10 },
+  {
+    key: "completed_at",
+    label: "Completed At",
+    value: (t) => toExportDateTime(t.completed_at),
+  },
+  {
+    key: "patient",
+    label: "Patient",
+    value: (t) =>
+      `${t.patient_first_name || ""} ${t.patient_last_name || ""}`.trim(),
+    width: 24,
+  },
+  {
+    key: "patient_id",
+    label: "Patient ID",
+    value: (t) => t.patient_id,
+    width: 10,
+    default: false,
+  },
+  { key: "task_type", label: "Task Type", value: (t) => t.task_type },
+  {
+    key: "description",
+    label: "Description",
+    value: (t) => t.description,
+    width: 40,
+  },
+  {
+    key: "vitals",
+    label: "Vitals",
+    value: (t) => (t.vitals ? summarizeVitals(t.vitals) : ""),
+    width: 40,
+  },
+  { key: "notes", label: "Notes", value: (t) => t.notes, width: 40 },
+  {
+    key: "clinician",
+    label: "Completed By",
+    value: (t) =>
+      `${t.clinician_first_name || ""} ${t.clinician_last_name || ""}`.trim(),
+    width: 24,
+  },
+  {
+    key: "logged_at",
+    label: "Logged At",
+    value: (t) => toExportDateTime(t.created_at),
+    default: false,
+  },
+  {
+    key: "amendments",
+    label: "Amendments",
+    value: (t) =>
+      (t.amendments || [])
+        .map(
+          (a) =>
+            `${toExportDateTime(a.created_at)} ${a.clinician_first_name} ${
+              a.clinician_last_name
+            }: ${a.text}`
+        )
+        .join("\n"),
+    width: 40,
+    default: false,
+  },
+];
+
+// Read filters, sorting, and paging from the URL query string.
+// Without a limit in the URL, the user's rows-per-page preference applies.
+const parseQuery = (searchParams, defaultLimit) => ({
+  filters: Object.fromEntries(
+    FILTER_KEYS.map((key) => [key, searchParams.get(key) || ""])
+  ),
+  sort: searchParams.get("sort") || DEFAULT_SORT,
+  order: searchParams.get("order") === "asc" ? "asc" : DEFAULT_ORDER,
+  page: Math.max(parseInt(searchParams.get("page"), 10) || 1, 1),
+  limit: parseInt(searchParams.get("limit"), 10) || defaultLimit,
+});
+
+// API params for the URL filters (dates become whole local days)
+const toFilterParams = (filters) => ({
+  patientId: filters.patientId || undefined,
+  taskType: filters.taskType || undefined,
+  clinicianId: filters.clinicianId || undefined,
+  from: filters.from ? toDayBoundaryISO(filters.from) : undefined,
+  to: filters.to ? toDayBoundaryISO(filters.to, true) : undefined,
+});
 
 const TaskLogList = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { preferences, formatDateTime, tableSize } = usePreferences();
+  const { taskTypes } = useTaskTypes();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // The URL query string is the source of truth for the current view
+  const { filters, sort, order, page, limit } = parseQuery(
+    searchParams,
+    preferences.rowsPerPage
+  );
+  const hasFilters = FILTER_KEYS.some((key) => filters[key]);
+
   const [taskLogs, setTaskLogs] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [initialLoading, setInitialLoading] = useState(true);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [selectedPatient, setSelectedPatient] = useState(null);
+  const [clinicianOptions, setClinicianOptions] = useState({});
 
-  useEffect(() => {
-    const loadTaskLogs = async () => {
-      try {
-        setLoading(true);
-        const response = await taskLogsAPI.getAll();
-        setTaskLogs(response.taskLogs || []);
-      } catch (err) {
-        const errorInfo = handleApiError(err);
-        setError(errorInfo.message);
-      } finally {
-        setLoading(false);
-      }
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [taskLogToDelete, setTaskLogToDelete] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [amendDialogOpen, setAmendDialogOpen] = useState(false);
+  const [taskLogToAmend, setTaskLogToAmend] = useState(null);
+  const [amendmentText, setAmendmentText] = useState("");
+  const [amendmentError, setAmendmentError] = useState("");
+  const [amendLoading, setAmendLoading] = useState(false);
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
+
+  const queryString = searchParams.toString();
+
+  const loadTaskLogs = useCallback(async () => {
+    const query = parseQuery(
+      new URLSearchParams(queryString),
+      preferences.rowsPerPage
+    );
+    const params = {
+      page: query.page,
+      limit: query.limit,
+      sort: query.sort,
+      order: query.order,
+      ...toFilterParams(query.filters),
     };
 
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await taskLogsAPI.getAll(params);
+      const logs = response.taskLogs || [];
+      setTaskLogs(logs);
+      setTotalCount(response.count ?? logs.length);
+
+      // Remember clinicians we have seen so the filter can offer them
+      setClinicianOptions((prev) => {
+        const next = { ...prev };
+        logs.forEach((task) => {
+          if (task.clinician_id) {
+            next[task.clinician_id] =
+              `${task.clinician_first_name} ${task.clinician_last_name}`;
+          }
+        });
+        return next;
+      });
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+      setInitialLoading(false);
+    }
+  }, [queryString, preferences.rowsPerPage]);
+
+  useEffect(() => {
     loadTaskLogs();
-  }, []);
-
-  const formatDateTime = (dateString) => {
-    return new Date(dateString).toLocaleString("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
+  }, [loadTaskLogs]);
+
+  // Refresh once queued offline writes have synced
+  const { pendingEntries, problemEntries, retry, discard } = useOutbox({
+    onSynced: loadTaskLogs,
+  });
+
+  // Offline creates are listed first on page one; offline edits show their
+  // queued values on the row they change (the latest edit wins)
+  const pendingRows = pendingEntries.map(toPendingTaskLog);
+  const pendingEdits = new Map(
+    pendingRows
+      .filter((row) => row.outboxEntry.action === "update")
+      .map((row) => [row.id, row])
+  );
+  const displayedTaskLogs = [
+    ...(page === 1
+      ? pendingRows.filter((row) => row.outboxEntry.action === "create")
+      : []),
+    ...taskLogs.map((task) =>
+      pendingEdits.has(String(task.id))
+        ? applyPendingEdit(task, pendingEdits.get(String(task.id)))
+        : task
+    ),
+  ];
+
+  // Resolve the patient filter from the URL so the picker shows a name
+  useEffect(() => {
+    if (!filters.patientId) {
+      setSelectedPatient(null);
+      return;
+    }
+    if (String(selectedPatient?.id) === filters.patientId) return;
+
+    patientsAPI
+      .getById(filters.patientId)
+      .then((response) => setSelectedPatient(response.patient))
+      .catch((err) => setError(handleApiError(err).message));
+  }, [filters.patientId, selectedPatient]);
+
+  // Update query params; any filter or sort change returns to the first page
+  const updateQuery = (updates, resetPage = true) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === "") {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      if (resetPage) {
+        next.delete("page");
+      }
+      return next;
     });
   };
 
-  const getTaskTypeColor = (taskType) => {
-    const colors = {
-      Medication: "error",
-      Vitals: "info",
-      Assessment: "warning",
-      Treatment: "success",
-    };
-    return colors[taskType] || "default";
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    updateQuery({ [name]: value });
+  };
+
+  const handlePatientFilterChange = (patient) => {
+    setSelectedPatient(patient);
+    updateQuery({ patientId: patient ? String(patient.id) : "" });
+  };
+
+  const handleClearFilters = () => {
+    updateQuery(Object.fromEntries(FILTER_KEYS.map((key) => [key, ""])));
+  };
+
+  const handleSort = (column) => {
+    const isCurrent = sort === column;
+    updateQuery({
+      sort: column,
+      order: isCurrent && order === "asc" ? "desc" : "asc",
+    });
+  };
+
+  const handlePageChange = (event, newPage) => {
+    updateQuery({ page: newPage > 0 ? String(newPage + 1) : "" }, false);
+  };
+
+  const handleRowsPerPageChange = (event) => {
+    updateQuery({ limit: event.target.value });
+  };
+
+  // Navigate to edit task log
+  const handleEditTaskLog = (taskLogId) => {
+    navigate(`/task-logs/${taskLogId}/edit`);
+  };
+
+  // Handle delete task log
+  const handleDeleteClick = (taskLog) => {
+    setTaskLogToDelete(taskLog);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteConfirm = async () => {
+    if (!taskLogToDelete) return;
+
+    try {
+      setDeleteLoading(true);
+      await taskLogsAPI.delete(taskLogToDelete.id);
+
+      // Remove task log from local state
+      setTaskLogs((prevTaskLogs) =>
+        prevTaskLogs.filter((t) => t.id !== taskLogToDelete.id)
+      );
+      setTotalCount((prevCount) => Math.max(prevCount - 1, 0));
+
+      setDeleteDialogOpen(false);
+      setTaskLogToDelete(null);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const handleDeleteCancel = () => {
+    setDeleteDialogOpen(false);
+    setTaskLogToDelete(null);
+  };
+
+  // Handle amendments (original entry stays visible)
+  const handleAmendClick = (taskLog) => {
+    setTaskLogToAmend(taskLog);
+    setAmendmentText("");
+    setAmendmentError("");
+    setAmendDialogOpen(true);
+  };
+
+  const handleAmendConfirm = async () => {
+    if (!taskLogToAmend) return;
+
+    if (!amendmentText.trim()) {
+      setAmendmentError("Amendment text is required");
+      return;
+    }
+
+    try {
+      setAmendLoading(true);
+      const response = await taskLogsAPI.addAmendment(taskLogToAmend.id, {
+        text: amendmentText.trim(),
+      });
+
+      // Append amendment to local state
+      setTaskLogs((prevTaskLogs) =>
+        prevTaskLogs.map((t) =>
+          t.id === taskLogToAmend.id
+            ? {
+                ...t,
+                amendments: [...(t.amendments || []), response.amendment],
+              }
+            : t
+        )
+      );
+
+      setAmendDialogOpen(false);
+      setTaskLogToAmend(null);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setAmendmentError(errorInfo.message);
+    } finally {
+      setAmendLoading(false);
+    }
+  };
+
+  const handleAmendCancel = () => {
+    setAmendDialogOpen(false);
+    setTaskLogToAmend(null);
   };
 
-  if (loading) {
+  if (initialLoading) {
     return (
       <Box
         sx={{
@@ -77,36 +435,224 @@ const TaskLogList = () => {
     );
   }
 
+  // Every entry matching the current filters and sort, for export
+  const fetchExportRows = () =>
+    fetchAllPages(async (exportPage, exportLimit) => {
+      const response = await taskLogsAPI.getAll({
+        page: exportPage,
+        limit: exportLimit,
+        sort,
+        order,
+        ...toFilterParams(filters),
+      });
+      return { rows: response.taskLogs || [], count: response.count };
+    });
+
   return (
     <Box>
-      <Typography variant="h4" gutterBottom>
-        Task Logs
-      </Typography>
-      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-        View all patient care activities and documentation
-      </Typography>
+      <Box
+        sx={{
+          mb: 3,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Task Logs
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            View all patient care activities and documentation
+          </Typography>
+        </Box>
+
+        <Button
+          variant="outlined"
+          startIcon={<FileDownload />}
+          onClick={() => setExportDialogOpen(true)}
+          disabled={totalCount === 0}
+          sx={{ ml: 2 }}
+        >
+          Export
+        </Button>
+      </Box>
 
       {error && (
         <Alert severity="error" sx={{ mb: 3 }}>
           {error}
+          <Button onClick={loadTaskLogs} sx={{ ml: 2 }}>
+            Retry
+          </Button>
         </Alert>
       )}
 
+      {/* Offline writes the server rejected */}
+      {problemEntries.map((entry) => {
+        const pending = toPendingTaskLog(entry);
+        return (
+          <Alert
+            key={entry.seq}
+            severity={
+              entry.status === OUTBOX_STATUS.CONFLICT ? "warning" : "error"
+            }
+            sx={{ mb: 2 }}
+            action={
+              <>
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => retry(entry)}
+                >
+                  Retry
+                </Button>
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => discard(entry)}
+                >
+                  Discard
+                </Button>
+              </>
+            }
+          >
+            {entry.status === OUTBOX_STATUS.CONFLICT
+              ? "Sync conflict"
+              : "Sync failed"}{" "}
+            for {pending.task_type} ({pending.patient_first_name}{" "}
+            {pending.patient_last_name}, "{pending.description}"): {entry.error}
+          </Alert>
+        );
+      })}
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box
+          sx={{
+            display: "grid",
+            gridTemplateColumns: {
+              xs: "1fr",
+              sm: "1fr 1fr",
+              md: "2fr 1fr 1fr 1fr 1fr auto",
+            },
+            gap: 2,
+            alignItems: "center",
+          }}
+        >
+          <PatientAutocomplete
+            value={selectedPatient}
+            onChange={handlePatientFilterChange}
+            onError={setError}
+            size="small"
+          />
+
+          <TextField
+            select
+            size="small"
+            label="Task Type"
+            name="taskType"
+            value={filters.taskType}
+            onChange={handleFilterChange}
+          >
+            <MenuItem value="">All types</MenuItem>
+            {taskTypes.map((type) => (
+              <MenuItem key={type.name} value={type.name}>
+                {type.label}
+                {!type.is_active && " (retired)"}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <TextField
+            select
+            size="small"
+            label="Clinician"
+            name="clinicianId"
+            value={filters.clinicianId}
+            onChange={handleFilterChange}
+          >
+            <MenuItem value="">All clinicians</MenuItem>
+            {user?.id && !clinicianOptions[user.id] && (
+              <MenuItem value={String(user.id)}>
+                {user.firstName} {user.lastName}
+              </MenuItem>
+            )}
+            {filters.clinicianId &&
+              !clinicianOptions[filters.clinicianId] &&
+              String(user?.id) !== filters.clinicianId && (
+                <MenuItem value={filters.clinicianId}>
+                  Clinician #{filters.clinicianId}
+                </MenuItem>
+              )}
+            {Object.entries(clinicianOptions).map(([clinicianId, name]) => (
+              <MenuItem key={clinicianId} value={clinicianId}>
+                {name}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <TextField
+            size="small"
+            label="From"
+            name="from"
+            type="date"
+            value={filters.from}
+            onChange={handleFilterChange}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: filters.to || undefined }}
+          />
+
+          <TextField
+            size="small"
+            label="To"
+            name="to"
+            type="date"
+            value={filters.to}
+            onChange={handleFilterChange}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: filters.from || undefined }}
+          />
+
+          <Button
+            startIcon={<FilterAltOff />}
+            onClick={handleClearFilters}
+            disabled={!hasFilters}
+          >
+            Clear
+          </Button>
+        </Box>
+      </Paper>
+
       <TableContainer component={Paper}>
-        <Table>
+        {loading && <LinearProgress />}
+        <Table size={tableSize}>
           <TableHead>
             <TableRow>
-              <TableCell>Patient</TableCell>
-              <TableCell>Task Type</TableCell>
-              <TableCell>Description</TableCell>
-              <TableCell>Completed By</TableCell>
-              <TableCell>Completed At</TableCell>
+              {TABLE_COLUMNS.map((column) => (
+                <TableCell
+                  key={column.label}
+                  sortDirection={sort === column.id ? order : false}
+                >
+                  {column.id ? (
+                    <TableSortLabel
+                      active={sort === column.id}
+                      direction={sort === column.id ? order : "asc"}
+                      onClick={() => handleSort(column.id)}
+                    >
+                      {column.label}
+                    </TableSortLabel>
+                  ) : (
+                    column.label
+                  )}
+                </TableCell>
+              ))}
+              <TableCell align="center">Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
-            {taskLogs.length === 0 ? (
+            {displayedTaskLogs.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={5} align="center">
+                <TableCell colSpan={6} align="center">
                   <Box sx={{ py: 4 }}>
                     <Assignment
                       sx={{ fontSize: 60, color: "text.secondary", mb: 2 }}
@@ -115,13 +661,15 @@ const TaskLogList = () => {
                       No task logs found
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                      Task logs will appear here as they are created
+                      {hasFilters
+                        ? "Try adjusting or clearing the filters"
+                        : "Task logs will appear here as they are created"}
                     </Typography>
                   </Box>
                 </TableCell>
               </TableRow>
             ) : (
-              taskLogs.map((task) => (
+              displayedTaskLogs.map((task) => (
                 <TableRow key={task.id}>
                   <TableCell>
                     <Typography variant="body2" fontWeight="medium">
@@ -129,19 +677,36 @@ const TaskLogList = () => {
                     </Typography>
                   </TableCell>
                   <TableCell>
-                    <Chip
-                      label={task.task_type}
-                      size="small"
-                      color={getTaskTypeColor(task.task_type)}
-                    />
+                    <TaskTypeChip taskType={task.task_type} />
                   </TableCell>
                   <TableCell>
                     <Typography variant="body2">{task.description}</Typography>
+                    <VitalsSummary vitals={task.vitals} />
                     {task.notes && (
                       <Typography variant="caption" color="text.secondary">
                         Notes: {task.notes}
                       </Typography>
                     )}
+                    {task.amendments?.map((amendment) => (
+                      <Box
+                        key={amendment.id}
+                        sx={{
+                          mt: 1,
+                          pl: 1,
+                          borderLeft: 2,
+                          borderColor: "warning.main",
+                        }}
+                      >
+                        <Typography variant="caption" color="text.secondary">
+                          Amended {formatDateTime(amendment.created_at)} by{" "}
+                          {amendment.clinician_first_name}{" "}
+                          {amendment.clinician_last_name}
+                        </Typography>
+                        <Typography variant="body2">
+                          {amendment.text}
+                        </Typography>
+                      </Box>
+                    ))}
                   </TableCell>
                   <TableCell>
                     <Typography variant="body2">
@@ -153,20 +718,192 @@ const TaskLogList = () => {
                       {formatDateTime(task.completed_at)}
                     </Typography>
                   </TableCell>
+                  <TableCell align="center">
+                    {task.outboxEntry ? (
+                      <Chip
+                        icon={<CloudUpload />}
+                        label="Pending sync"
+                        size="small"
+                        color="warning"
+                        variant="outlined"
+                      />
+                    ) : (
+                      <>
+                        {canEditTaskLog(task, user) && (
+                          <Tooltip title="Edit">
+                            <IconButton
+                              size="small"
+                              onClick={() => handleEditTaskLog(task.id)}
+                              sx={{ mr: 1 }}
+                            >
+                              <Edit />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canDeleteTaskLog(task, user) && (
+                          <Tooltip title="Delete">
+                            <IconButton
+                              size="small"
+                              onClick={() => handleDeleteClick(task)}
+                              color="error"
+                            >
+                              <Delete />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canAmendTaskLog(task, user) && (
+                          <Tooltip
+                            title={`Edit window (${TASK_LOG_EDIT_WINDOW_MINUTES} min) has passed - add an amendment`}
+                          >
+                            <IconButton
+                              size="small"
+                              onClick={() => handleAmendClick(task)}
+                            >
+                              <PostAdd />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </>
+                    )}
+                  </TableCell>
                 </TableRow>
               ))
             )}
           </TableBody>
         </Table>
+        <TablePagination
+          component="div"
+          count={totalCount}
+          page={Math.min(
+            page - 1,
+            Math.max(Math.ceil(totalCount / limit) - 1, 0)
+          )}
+          onPageChange={handlePageChange}
+          rowsPerPage={limit}
+          onRowsPerPageChange={handleRowsPerPageChange}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
       </TableContainer>
 
-      {taskLogs.length > 0 && (
-        <Box sx={{ mt: 2 }}>
-          <Typography variant="body2" color="text.secondary">
-            Showing {taskLogs.length} task logs
-          </Typography>
-        </Box>
-      )}
+      {/* Delete Confirmation Dialog */}
+      <Dialog
+        open={deleteDialogOpen}
+        onClose={handleDeleteCancel}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <Warning sx={{ mr: 1, color: "error.main" }} />
+          Delete Task Log
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Are you sure you want to delete this{" "}
+            <strong>{taskLogToDelete?.task_type}</strong> entry for{" "}
+            <strong>
+              {taskLogToDelete?.patient_first_name}{" "}
+              {taskLogToDelete?.patient_last_name}
+            </strong>
+            ?
+          </DialogContentText>
+          <DialogContentText sx={{ mt: 2 }}>
+            "{taskLogToDelete?.description}"
+          </DialogContentText>
+          <DialogContentText sx={{ mt: 2, color: "error.main" }}>
+            ⚠️ This action cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleDeleteCancel} disabled={deleteLoading}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDeleteConfirm}
+            color="error"
+            variant="contained"
+            disabled={deleteLoading}
+            startIcon={
+              deleteLoading ? <CircularProgress size={16} /> : <Delete />
+            }
+          >
+            {deleteLoading ? "Deleting..." : "Delete Task Log"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Amendment Dialog */}
+      <Dialog
+        open={amendDialogOpen}
+        onClose={handleAmendCancel}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ display: "flex", alignItems: "center" }}>
+          <PostAdd sx={{ mr: 1, color: "primary.main" }} />
+          Add Amendment
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The original entry will remain visible in the record. Describe the
+            correction below.
+          </DialogContentText>
+          <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+            <Typography variant="caption" color="text.secondary">
+              Original entry
+            </Typography>
+            <Typography variant="body2">
+              {taskLogToAmend?.description}
+            </Typography>
+            {taskLogToAmend?.notes && (
+              <Typography variant="caption" color="text.secondary">
+                Notes: {taskLogToAmend.notes}
+              </Typography>
+            )}
+          </Paper>
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            label="Amendment"
+            value={amendmentText}
+            onChange={(e) => {
+              setAmendmentText(e.target.value);
+              setAmendmentError("");
+            }}
+            error={!!amendmentError}
+            helperText={amendmentError}
+            disabled={amendLoading}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleAmendCancel} disabled={amendLoading}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleAmendConfirm}
+            variant="contained"
+            disabled={amendLoading}
+            startIcon={
+              amendLoading ? <CircularProgress size={16} /> : <PostAdd />
+            }
+          >
+            {amendLoading ? "Saving..." : "Add Amendment"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ExportDialog
+        open={exportDialogOpen}
+        onClose={() => setExportDialogOpen(false)}
+        title="Export Task Logs"
+        resource="task_logs"
+        columns={EXPORT_COLUMNS}
+        filters={{ ...toFilterParams(filters), sort, order }}
+        fetchRows={fetchExportRows}
+        filename={`task-logs-${getLocalDateKey(new Date())}`}
+        sheetName="Task Logs"
+      />
     </Box>
   );
 };
@@ -0,0 +1,25 @@
+// src/components/TaskLogs/TaskTypeChip.js
+// Task type chip styled from the task type registry
+
+import React from "react";
+import { Chip } from "@mui/material";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+
+// count is appended to the registry label (e.g. "Vitals: 4" on the dashboard)
+const TaskTypeChip = ({ taskType, count, size = "small", ...chipProps }) => {
+  const { getTaskType, getTaskTypeIcon } = useTaskTypes();
+  const type = getTaskType(taskType);
+  const Icon = getTaskTypeIcon(taskType);
+
+  return (
+    <Chip
+      label={count === undefined ? type.label : `${type.label}: ${count}`}
+      size={size}
+      color={type.color || "default"}
+      icon={Icon ? <Icon /> : undefined}
+      {...chipProps}
+    />
+  );
+};
+
+export default TaskTypeChip;
@@ -0,0 +1,22 @@
+// src/components/TaskLogs/TaskTypeIcon.js
+// Task type icon colored from the task type registry
+
+import React from "react";
+import { CheckCircle } from "@mui/icons-material";
+import { useTaskTypes } from "../../context/TaskTypesContext";
+
+const TaskTypeIcon = ({ taskType, ...iconProps }) => {
+  const { getTaskType, getTaskTypeIcon } = useTaskTypes();
+  const Icon = getTaskTypeIcon(taskType) || CheckCircle;
+  const { color } = getTaskType(taskType);
+
+  // SvgIcon has no "default" color; use the neutral action color instead
+  return (
+    <Icon
+      color={!color || color === "default" ? "action" : color}
+      {...iconProps}
+    />
+  );
+};
+
+export default TaskTypeIcon;
@@ -0,0 +1,115 @@
+// src/components/TaskLogs/VitalsFields.js
+// Structured vital sign inputs, flagged in red when outside the normal range
+
+import React from "react";
+import { Box, TextField, MenuItem, InputAdornment } from "@mui/material";
+import {
+  VITALS,
+  OBSERVATIONS,
+  TEMPERATURE_UNITS,
+  getVitalStatus,
+  getObservationStatus,
+  formatNormalRange,
+} from "../../utils/vitals";
+
+const STATUS_LABELS = { low: "Low", high: "High" };
+
+// vitals: form values keyed by vital (strings); errors: { [key]: message }
+const VitalsFields = ({ vitals, errors = {}, onChange, disabled }) => {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange(name, value);
+  };
+
+  return (
+    <Box
+      sx={{
+        display: "grid",
+        gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr", md: "1fr 1fr 1fr" },
+        gap: 2,
+      }}
+    >
+      {VITALS.map((vital) => {
+        const status = getVitalStatus(vital.key, vitals);
+        const isAbnormal = status === "low" || status === "high";
+        const range = formatNormalRange(vital.key, vitals.temperatureUnit);
+
+        return (
+          <TextField
+            key={vital.key}
+            fullWidth
+            type="number"
+            label={vital.label}
+            name={vital.key}
+            value={vitals[vital.key]}
+            onChange={handleChange}
+            error={!!errors[vital.key] || isAbnormal}
+            helperText={
+              errors[vital.key] ||
+              (isAbnormal
+                ? `${STATUS_LABELS[status]} (normal ${range})`
+                : `Normal ${range}`)
+            }
+            inputProps={{ step: vital.step, min: vital.limits.min }}
+            InputProps={{
+              endAdornment:
+                vital.key === "temperature" ? (
+                  <InputAdornment position="end">
+                    <TextField
+                      select
+                      variant="standard"
+                      name="temperatureUnit"
+                      value={vitals.temperatureUnit}
+                      onChange={handleChange}
+                      disabled={disabled}
+                      inputProps={{ "aria-label": "Temperature unit" }}
+                    >
+                      {TEMPERATURE_UNITS.map((unit) => (
+                        <MenuItem key={unit} value={unit}>
+                          °{unit}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </InputAdornment>
+                ) : (
+                  <InputAdornment position="end">{vital.unit}</InputAdornment>
+                ),
+            }}
+            disabled={disabled}
+          />
+        );
+      })}
+
+      {OBSERVATIONS.map((observation) => {
+        const isAbnormal =
+          getObservationStatus(observation.key, vitals) === "abnormal";
+
+        return (
+          <TextField
+            key={observation.key}
+            select
+            fullWidth
+            label={observation.label}
+            name={observation.key}
+            value={vitals[observation.key]}
+            onChange={handleChange}
+            error={!!errors[observation.key] || isAbnormal}
+            helperText={errors[observation.key] || "Used for the NEWS2 score"}
+            disabled={disabled}
+          >
+            <MenuItem value="">
+              <em>Not recorded</em>
+            </MenuItem>
+            {observation.options.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default VitalsFields;
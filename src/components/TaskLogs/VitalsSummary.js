@@ -0,0 +1,71 @@
+// src/components/TaskLogs/VitalsSummary.js
+// Compact vitals readout for task log rows; abnormal values in red
+
+import React from "react";
+import { Box, Typography } from "@mui/material";
+import {
+  VITALS,
+  OBSERVATIONS,
+  getVitalStatus,
+  getObservationStatus,
+  formatVitalValue,
+  formatObservationValue,
+  formatNormalRange,
+} from "../../utils/vitals";
+
+const VitalsSummary = ({ vitals }) => {
+  if (!vitals) return null;
+
+  const isRecorded = (item) =>
+    vitals[item.key] !== undefined &&
+    vitals[item.key] !== null &&
+    vitals[item.key] !== "";
+  const recorded = VITALS.filter(isRecorded);
+  const observations = OBSERVATIONS.filter(isRecorded);
+  if (recorded.length === 0 && observations.length === 0) return null;
+
+  return (
+    <Box sx={{ display: "flex", flexWrap: "wrap", columnGap: 2, mt: 0.5 }}>
+      {recorded.map((vital) => {
+        const status = getVitalStatus(vital.key, vitals);
+        const isAbnormal = status === "low" || status === "high";
+
+        return (
+          <Typography
+            key={vital.key}
+            variant="body2"
+            title={`Normal ${formatNormalRange(vital.key, vitals.temperatureUnit)}`}
+            sx={
+              isAbnormal
+                ? { color: "error.main", fontWeight: "bold" }
+                : { color: "text.secondary" }
+            }
+          >
+            {vital.shortLabel} {formatVitalValue(vital.key, vitals)}
+            {isAbnormal && (status === "high" ? " ↑" : " ↓")}
+          </Typography>
+        );
+      })}
+      {observations.map((observation) => {
+        const isAbnormal =
+          getObservationStatus(observation.key, vitals) === "abnormal";
+
+        return (
+          <Typography
+            key={observation.key}
+            variant="body2"
+            sx={
+              isAbnormal
+                ? { color: "error.main", fontWeight: "bold" }
+                : { color: "text.secondary" }
+            }
+          >
+            {formatObservationValue(observation.key, vitals)}
+          </Typography>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default VitalsSummary;
@@ -1,14 +1,46 @@
 // src/context/AuthContext.js
 // Global authentication state management
 
-import React, { createContext, useContext, useReducer, useEffect } from "react";
-import { authAPI } from "../services/api";
+import React, {
+  createContext,
+  useContext,
+  useReducer,
+  useEffect,
+  useRef,
+  useState,
+  useCallback,
+} from "react";
+import { authAPI, outboxAPI } from "../services/api";
 
 // System Design Concept: Context Pattern
 // - Global state management for authentication
 // - Centralized user session handling
 // - Automatic token persistence
 // - Role-based access control
+// - Inactivity lock for shared workstations
+// - Cross-tab session sync via storage events
+
+// Idle timeout settings (shared ward computers)
+const IDLE_TIMEOUT_MS =
+  (parseInt(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES, 10) || 15) * 60 * 1000;
+const IDLE_WARNING_MS =
+  (parseInt(process.env.REACT_APP_IDLE_WARNING_SECONDS, 10) || 60) * 1000;
+const ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "touchstart",
+  "scroll",
+];
+
+// Activity and the lock are shared by every tab, so a background tab
+// doesn't lock the session while the user works in another one
+const LAST_ACTIVITY_KEY = "lastActivityAt";
+// Share activity at most this often rather than on every mousemove
+const ACTIVITY_SHARE_INTERVAL_MS = 5000;
+
+const readSharedActivity = () =>
+  parseInt(localStorage.getItem(LAST_ACTIVITY_KEY), 10) || 0;
 
 // Auth state shape
 const initialState = {
@@ -16,6 +48,7 @@ const initialState = {
   token: null,
   isAuthenticated: false,
   isLoading: true,
+  isLocked: false,
   error: null,
 };
 
@@ -26,6 +59,10 @@ const authActions = {
   LOGIN_FAILURE: "LOGIN_FAILURE",
   LOGOUT: "LOGOUT",
   LOAD_USER_FROM_STORAGE: "LOAD_USER_FROM_STORAGE",
+  TOKEN_REFRESHED: "TOKEN_REFRESHED",
+  USER_UPDATED: "USER_UPDATED",
+  LOCK_SESSION: "LOCK_SESSION",
+  UNLOCK_SESSION: "UNLOCK_SESSION",
   CLEAR_ERROR: "CLEAR_ERROR",
 };
 
@@ -46,6 +83,7 @@ const authReducer = (state, action) => {
         token: action.payload.token,
         isAuthenticated: true,
         isLoading: false,
+        isLocked: false,
         error: null,
       };
 
@@ -66,6 +104,7 @@ const authReducer = (state, action) => {
         token: null,
         isAuthenticated: false,
         isLoading: false,
+        isLocked: false,
         error: null,
       };
 
@@ -76,6 +115,32 @@ const authReducer = (state, action) => {
         token: action.payload.token,
         isAuthenticated: action.payload.token ? true : false,
         isLoading: false,
+        isLocked: action.payload.token ? !!action.payload.isLocked : false,
+      };
+
+    case authActions.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload.token,
+      };
+
+    case authActions.USER_UPDATED:
+      return {
+        ...state,
+        user: action.payload.user,
+      };
+
+    case authActions.LOCK_SESSION:
+      return {
+        ...state,
+        isLocked: true,
+      };
+
+    case authActions.UNLOCK_SESSION:
+      return {
+        ...state,
+        token: action.payload.token || state.token,
+        isLocked: false,
       };
 
     case authActions.CLEAR_ERROR:
@@ -106,12 +171,16 @@ export const AuthProvider = ({ children }) => {
         const parsedUser = JSON.parse(user);
         dispatch({
           type: authActions.LOAD_USER_FROM_STORAGE,
-          payload: { user: parsedUser, token },
+          payload: {
+            user: parsedUser,
+            token,
+            // A reload must not bypass the lock screen
+            isLocked: localStorage.getItem("sessionLocked") === "true",
+          },
         });
       } catch (error) {
         // Invalid stored data, clear it
-        localStorage.removeItem("authToken");
-        localStorage.removeItem("user");
+        authAPI.logout();
         dispatch({
           type: authActions.LOAD_USER_FROM_STORAGE,
           payload: { user: null, token: null },
@@ -125,6 +194,203 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Keep state in sync when the API layer silently refreshes the token
+  useEffect(() => {
+    const handleTokenRefreshed = (event) => {
+      dispatch({
+        type: authActions.TOKEN_REFRESHED,
+        payload: { token: event.detail.token },
+      });
+    };
+
+    window.addEventListener("auth:token-refreshed", handleTokenRefreshed);
+    return () =>
+      window.removeEventListener("auth:token-refreshed", handleTokenRefreshed);
+  }, []);
+
+  // Cross-tab sync: other tabs write the same localStorage keys, so
+  // follow their logins and logouts instead of waiting for a 401
+  const userRef = useRef(state.user);
+  userRef.current = state.user;
+  const [sessionNotice, setSessionNotice] = useState(null);
+
+  useEffect(() => {
+    const handleStorage = (event) => {
+      // key is null when another tab cleared all storage
+      if (event.key !== null && !["authToken", "user"].includes(event.key)) {
+        return;
+      }
+
+      const token = localStorage.getItem("authToken");
+      const storedUser = localStorage.getItem("user");
+      const currentUser = userRef.current;
+
+      if (!token || !storedUser) {
+        if (currentUser) {
+          dispatch({ type: authActions.LOGOUT });
+          setSessionNotice({ type: "signed-out", previousUser: currentUser });
+        }
+        return;
+      }
+
+      let nextUser;
+      try {
+        nextUser = JSON.parse(storedUser);
+      } catch (error) {
+        return;
+      }
+
+      if (currentUser && String(currentUser.id) === String(nextUser.id)) {
+        // Same person, e.g. a token refresh or profile edit in another tab
+        dispatch({ type: authActions.TOKEN_REFRESHED, payload: { token } });
+        dispatch({
+          type: authActions.USER_UPDATED,
+          payload: { user: nextUser },
+        });
+        return;
+      }
+
+      dispatch({
+        type: authActions.LOGIN_SUCCESS,
+        payload: { user: nextUser, token },
+      });
+
+      if (currentUser) {
+        setSessionNotice({
+          type: "identity-changed",
+          previousUser: currentUser,
+          user: nextUser,
+        });
+      }
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  const dismissSessionNotice = useCallback(() => {
+    setSessionNotice(null);
+  }, []);
+
+  // Replay any offline task log writes once we know who is signed in
+  useEffect(() => {
+    if (state.isAuthenticated && state.user?.id) {
+      outboxAPI.sync();
+    }
+  }, [state.isAuthenticated, state.user?.id]);
+
+  // Inactivity tracking: warn, then lock the session
+  const lastActivityRef = useRef(Date.now());
+  const lastSharedActivityRef = useRef(0);
+  const [idleSecondsRemaining, setIdleSecondsRemaining] = useState(null);
+
+  // force shares it right away, e.g. on unlock
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now();
+    lastActivityRef.current = now;
+    if (
+      force ||
+      now - lastSharedActivityRef.current >= ACTIVITY_SHARE_INTERVAL_MS
+    ) {
+      lastSharedActivityRef.current = now;
+      localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+    }
+  }, []);
+
+  const lockSession = useCallback(() => {
+    localStorage.setItem("sessionLocked", "true");
+    setIdleSecondsRemaining(null);
+    dispatch({ type: authActions.LOCK_SESSION });
+  }, []);
+
+  const stayActive = useCallback(() => {
+    recordActivity(true);
+    setIdleSecondsRemaining(null);
+  }, [recordActivity]);
+
+  // Follow locks and unlocks made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== "sessionLocked") return;
+
+      if (event.newValue === "true") {
+        setIdleSecondsRemaining(null);
+        dispatch({ type: authActions.LOCK_SESSION });
+      } else if (localStorage.getItem("authToken")) {
+        dispatch({
+          type: authActions.UNLOCK_SESSION,
+          payload: { token: localStorage.getItem("authToken") },
+        });
+      }
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  useEffect(() => {
+    if (!state.isAuthenticated || state.isLocked) {
+      setIdleSecondsRemaining(null);
+      return;
+    }
+
+    recordActivity(true);
+
+    const handleActivity = () => recordActivity();
+
+    ACTIVITY_EVENTS.forEach((eventName) =>
+      window.addEventListener(eventName, handleActivity, { passive: true })
+    );
+
+    const intervalId = setInterval(() => {
+      const idleFor =
+        Date.now() - Math.max(lastActivityRef.current, readSharedActivity());
+
+      if (idleFor >= IDLE_TIMEOUT_MS) {
+        lockSession();
+      } else if (idleFor >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS) {
+        setIdleSecondsRemaining(Math.ceil((IDLE_TIMEOUT_MS - idleFor) / 1000));
+      } else {
+        setIdleSecondsRemaining(null);
+      }
+    }, 1000);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((eventName) =>
+        window.removeEventListener(eventName, handleActivity)
+      );
+      clearInterval(intervalId);
+    };
+  }, [state.isAuthenticated, state.isLocked, lockSession, recordActivity]);
+
+  // Unlock with the current user's password or PIN
+  const unlock = async (credentials) => {
+    const response = await authAPI.unlock(credentials);
+
+    if (response.token) {
+      localStorage.setItem("authToken", response.token);
+    }
+    if (response.refreshToken) {
+      localStorage.setItem("refreshToken", response.refreshToken);
+    }
+    localStorage.removeItem("sessionLocked");
+
+    recordActivity(true);
+    dispatch({
+      type: authActions.UNLOCK_SESSION,
+      payload: { token: response.token },
+    });
+
+    return response;
+  };
+
+  // Log in as someone else from the lock screen; the previous
+  // session is fully discarded first
+  const switchUser = async (credentials) => {
+    authAPI.logout();
+    return login(credentials);
+  };
+
   // Login function
   const login = async (credentials) => {
     dispatch({ type: authActions.LOGIN_START });
@@ -135,6 +401,9 @@ export const AuthProvider = ({ children }) => {
       // Store in localStorage
       localStorage.setItem("authToken", response.token);
       localStorage.setItem("user", JSON.stringify(response.user));
+      if (response.refreshToken) {
+        localStorage.setItem("refreshToken", response.refreshToken);
+      }
 
       dispatch({
         type: authActions.LOGIN_SUCCESS,
@@ -165,6 +434,9 @@ export const AuthProvider = ({ children }) => {
       // Store in localStorage
       localStorage.setItem("authToken", response.token);
       localStorage.setItem("user", JSON.stringify(response.user));
+      if (response.refreshToken) {
+        localStorage.setItem("refreshToken", response.refreshToken);
+      }
 
       dispatch({
         type: authActions.LOGIN_SUCCESS,
@@ -191,6 +463,38 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: authActions.LOGOUT });
   };
 
+  // Update the signed-in user's own profile
+  const updateProfile = async (profileData) => {
+    const response = await authAPI.updateProfile(profileData);
+    const updatedUser = { ...state.user, ...response.user };
+
+    localStorage.setItem("user", JSON.stringify(updatedUser));
+    dispatch({
+      type: authActions.USER_UPDATED,
+      payload: { user: updatedUser },
+    });
+
+    return updatedUser;
+  };
+
+  // Change password; the server may rotate tokens to end other sessions
+  const changePassword = async (passwords) => {
+    const response = await authAPI.changePassword(passwords);
+
+    if (response?.token) {
+      localStorage.setItem("authToken", response.token);
+      if (response.refreshToken) {
+        localStorage.setItem("refreshToken", response.refreshToken);
+      }
+      dispatch({
+        type: authActions.TOKEN_REFRESHED,
+        payload: { token: response.token },
+      });
+    }
+
+    return response;
+  };
+
   // Clear error function
   const clearError = () => {
     dispatch({ type: authActions.CLEAR_ERROR });
@@ -219,13 +523,24 @@ export const AuthProvider = ({ children }) => {
     token: state.token,
     isAuthenticated: state.isAuthenticated,
     isLoading: state.isLoading,
+    isLocked: state.isLocked,
+    idleSecondsRemaining,
+    idleWarningSeconds: IDLE_WARNING_MS / 1000,
+    sessionNotice,
     error: state.error,
 
     // Actions
     login,
     register,
     logout,
+    updateProfile,
+    changePassword,
     clearError,
+    lockSession,
+    stayActive,
+    unlock,
+    switchUser,
+    dismissSessionNotice,
 
     // Helpers
     isAdmin,
@@ -0,0 +1,108 @@
+// src/context/EarlyWarningContext.js
+// Latest NEWS2 early warning score per patient, shared across views
+
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useState,
+  useCallback,
+  useMemo,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { taskLogsAPI } from "../services/api";
+import { VITALS_TASK_TYPE } from "../utils/vitals";
+import { fetchAllPages } from "../utils/pagination";
+import {
+  latestNews2ByPatient,
+  needsEscalation,
+  NEWS2_LOOKBACK_HOURS,
+} from "../utils/news2";
+
+// System Design Concepts:
+// - One polled query feeds the banner, dashboard card and patient list
+// - Scores are derived client-side from structured vitals (utils/news2)
+// - Only recent vitals count; older readings no longer reflect the patient
+// - Every page of the lookback is read, so no patient drops off a busy unit
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const EarlyWarningContext = createContext();
+
+export const EarlyWarningProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+
+  const [scores, setScores] = useState({});
+  const [lastUpdated, setLastUpdated] = useState(() => new Date());
+  const [error, setError] = useState(null);
+
+  const loadScores = useCallback(async () => {
+    try {
+      const from = new Date(Date.now() - NEWS2_LOOKBACK_HOURS * 60 * 60 * 1000);
+      const taskLogs = await fetchAllPages(async (page, limit) => {
+        const response = await taskLogsAPI.getAll({
+          taskType: VITALS_TASK_TYPE,
+          from: from.toISOString(),
+          sort: "completed_at",
+          order: "desc",
+          page,
+          limit,
+        });
+        return { rows: response.taskLogs || [], count: response.count };
+      });
+      setScores(latestNews2ByPatient(taskLogs));
+      setError(null);
+    } catch (err) {
+      console.error("Failed to load early warning scores:", err);
+      setError("Early warning scores could not be refreshed.");
+    } finally {
+      // Also ticks "time since last vitals" while the query is failing
+      setLastUpdated(new Date());
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setScores({});
+      return;
+    }
+
+    loadScores();
+    const intervalId = setInterval(loadScores, REFRESH_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [isAuthenticated, loadScores]);
+
+  const value = useMemo(
+    () => ({
+      scores,
+      // Highest score first
+      escalations: Object.values(scores)
+        .filter(needsEscalation)
+        .sort((a, b) => b.score - a.score),
+      lastUpdated,
+      error,
+      getPatientScore: (patientId) => scores[patientId] || null,
+      reloadScores: loadScores,
+    }),
+    [scores, lastUpdated, error, loadScores]
+  );
+
+  return (
+    <EarlyWarningContext.Provider value={value}>
+      {children}
+    </EarlyWarningContext.Provider>
+  );
+};
+
+// Custom hook to use early warning scores
+export const useEarlyWarning = () => {
+  const context = useContext(EarlyWarningContext);
+  if (!context) {
+    throw new Error(
+      "useEarlyWarning must be used within an EarlyWarningProvider"
+    );
+  }
+  return context;
+};
+
+export default EarlyWarningContext;
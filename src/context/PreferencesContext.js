@@ -0,0 +1,157 @@
+// src/context/PreferencesContext.js
+// Per-user display preferences synced to the backend
+
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useState,
+  useCallback,
+  useMemo,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { preferencesAPI } from "../services/api";
+import { formatDate, formatTime, formatDateTime } from "../utils/dateUtils";
+
+// System Design Concepts:
+// - Server is the source of truth so preferences follow the user across devices
+// - A per-user localStorage copy applies them instantly on the next visit
+
+export const DEFAULT_PREFERENCES = {
+  landingPage: "/dashboard",
+  dateFormat: "medium", // see DATE_FORMATS in utils/dateUtils
+  clock: "12h", // '12h' | '24h'
+  tableDensity: "comfortable", // 'comfortable' | 'compact'
+  rowsPerPage: 25,
+  themeMode: "system", // see THEME_MODES in styles/theme
+};
+
+const storageKey = (userId) => `preferences:${userId}`;
+
+// Returns null when this device has no copy for the user yet
+const readCachedPreferences = (userId) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(storageKey(userId)));
+    return cached ? { ...DEFAULT_PREFERENCES, ...cached } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cachePreferences = (userId, preferences) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(preferences));
+};
+
+// Preferences state for a user, taken from the cache when there is one.
+// Without a cached copy they aren't loaded until the server answers.
+const initialStateFor = (userId) => {
+  if (!userId) {
+    return { userId, preferences: DEFAULT_PREFERENCES, loaded: true };
+  }
+  const cached = readCachedPreferences(userId);
+  return {
+    userId,
+    preferences: cached || DEFAULT_PREFERENCES,
+    loaded: cached !== null,
+  };
+};
+
+const PreferencesContext = createContext();
+
+export const PreferencesProvider = ({ children }) => {
+  const { user, isAuthenticated } = useAuth();
+  const userId = isAuthenticated ? user?.id : null;
+
+  const [state, setState] = useState(() => initialStateFor(userId));
+
+  // Switch to the new user's cached copy during render rather than in an
+  // effect, so redirects made on the same render (e.g. right after login)
+  // already see their landing page
+  let current = state;
+  if (state.userId !== userId) {
+    current = initialStateFor(userId);
+    setState(current);
+  }
+  const { preferences, loaded: preferencesLoaded } = current;
+
+  // Then replace the cached copy with the server's
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    const applyForUser = (next) => {
+      if (cancelled) return;
+      setState((prev) =>
+        prev.userId === userId ? { ...prev, ...next, loaded: true } : prev
+      );
+    };
+
+    preferencesAPI
+      .get()
+      .then((response) => {
+        const loaded = { ...DEFAULT_PREFERENCES, ...response.preferences };
+        cachePreferences(userId, loaded);
+        applyForUser({ preferences: loaded });
+      })
+      .catch((error) => {
+        console.error("Failed to load preferences:", error);
+        // Fall back to what we have rather than holding the app
+        applyForUser({});
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Save changes to the server; the UI only switches over once they're stored
+  const updatePreferences = useCallback(
+    async (changes) => {
+      const next = { ...preferences, ...changes };
+      const response = await preferencesAPI.update(next);
+      const saved = {
+        ...DEFAULT_PREFERENCES,
+        ...(response.preferences || next),
+      };
+
+      if (userId) {
+        cachePreferences(userId, saved);
+      }
+      setState({ userId, preferences: saved, loaded: true });
+      return saved;
+    },
+    [preferences, userId]
+  );
+
+  const value = useMemo(
+    () => ({
+      preferences,
+      preferencesLoaded,
+      updatePreferences,
+
+      // Formatters bound to the current preferences
+      formatDate: (dateString) => formatDate(dateString, preferences),
+      formatTime: (dateString) => formatTime(dateString, preferences),
+      formatDateTime: (dateString) => formatDateTime(dateString, preferences),
+      tableSize: preferences.tableDensity === "compact" ? "small" : "medium",
+    }),
+    [preferences, preferencesLoaded, updatePreferences]
+  );
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
+
+// Custom hook to use preferences context
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error("usePreferences must be used within a PreferencesProvider");
+  }
+  return context;
+};
+
+export default PreferencesContext;
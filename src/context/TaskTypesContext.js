@@ -0,0 +1,117 @@
+// src/context/TaskTypesContext.js
+// Task type registry shared by every chip, filter and form
+
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useState,
+  useCallback,
+  useMemo,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { taskTypesAPI } from "../services/api";
+import { DEFAULT_TASK_TYPES, TASK_TYPE_ICONS } from "../utils/taskTypes";
+
+// System Design Concepts:
+// - Single source of truth for task type label, color, icon and rules
+// - Bundled defaults keep the app usable when /task-types is unreachable
+// - Retired types stay in the registry so historical logs still render
+
+const TaskTypesContext = createContext();
+
+// Fill in optional fields the server may omit or send as null
+const normalizeTaskType = (type) => ({
+  ...type,
+  label: type.label || type.name,
+  color: type.color || "default",
+  icon: type.icon || null,
+  required_fields: type.required_fields || [],
+  is_active: type.is_active ?? true,
+});
+
+// Stand-in for names the registry doesn't know (e.g. deleted server-side)
+const unknownTaskType = (name) => ({
+  name,
+  label: name,
+  color: "default",
+  icon: null,
+  required_fields: [],
+  is_active: false,
+});
+
+export const TaskTypesProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+
+  const [taskTypes, setTaskTypes] = useState(DEFAULT_TASK_TYPES);
+  const [isFallback, setIsFallback] = useState(true);
+
+  const loadTaskTypes = useCallback(async () => {
+    try {
+      const response = await taskTypesAPI.getAll();
+      setTaskTypes((response.taskTypes || []).map(normalizeTaskType));
+      setIsFallback(false);
+    } catch (error) {
+      console.error("Failed to load task types, using defaults:", error);
+      setTaskTypes(DEFAULT_TASK_TYPES);
+      setIsFallback(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadTaskTypes();
+    }
+  }, [isAuthenticated, loadTaskTypes]);
+
+  // Create or update a type, keyed by its name
+  const saveTaskType = useCallback(async (taskTypeData, isNew) => {
+    const response = isNew
+      ? await taskTypesAPI.create(taskTypeData)
+      : await taskTypesAPI.update(taskTypeData.name, taskTypeData);
+    const saved = normalizeTaskType(response.taskType);
+
+    setTaskTypes((prev) =>
+      isNew
+        ? [...prev, saved]
+        : prev.map((type) => (type.name === saved.name ? saved : type))
+    );
+    return saved;
+  }, []);
+
+  const value = useMemo(() => {
+    const byName = Object.fromEntries(
+      taskTypes.map((type) => [type.name, type])
+    );
+    const getTaskType = (name) => byName[name] || unknownTaskType(name);
+
+    return {
+      taskTypes,
+      activeTaskTypes: taskTypes.filter((type) => type.is_active),
+      isFallback,
+      getTaskType,
+      getTaskTypeColor: (name) => getTaskType(name).color || "default",
+      getTaskTypeIcon: (name) =>
+        TASK_TYPE_ICONS[getTaskType(name).icon] || null,
+      reloadTaskTypes: loadTaskTypes,
+      saveTaskType,
+    };
+  }, [taskTypes, isFallback, loadTaskTypes, saveTaskType]);
+
+  return (
+    <TaskTypesContext.Provider value={value}>
+      {children}
+    </TaskTypesContext.Provider>
+  );
+};
+
+// Custom hook to use the task type registry
+export const useTaskTypes = () => {
+  const context = useContext(TaskTypesContext);
+  if (!context) {
+    throw new Error("useTaskTypes must be used within a TaskTypesProvider");
+  }
+  return context;
+};
+
+export default TaskTypesContext;
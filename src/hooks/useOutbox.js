@@ -0,0 +1,108 @@
+// src/hooks/useOutbox.js
+// Live view of task log writes waiting to sync
+
+import { useState, useEffect, useRef } from "react";
+import { useAuth } from "../context/AuthContext";
+import { outboxAPI } from "../services/api";
+import { OUTBOX_STATUS } from "../services/outbox";
+
+// Shape a queued write like a task log row so lists can render it.
+// Edits keep the route's string id, so compare ids with String().
+export const toPendingTaskLog = (entry) => ({
+  id: entry.taskLogId ? String(entry.taskLogId) : `pending-${entry.seq}`,
+  task_type: entry.data.taskType,
+  description: entry.data.description,
+  notes: entry.data.notes,
+  vitals: entry.data.vitals,
+  medication: entry.data.medication,
+  completed_at: entry.data.completedAt,
+  ...entry.preview,
+  outboxEntry: entry,
+});
+
+// Fields a queued edit changes; the rest of the row stays as the server has it
+const EDITABLE_FIELDS = [
+  "task_type",
+  "description",
+  "notes",
+  "vitals",
+  "medication",
+  "completed_at",
+];
+
+// Show a queued edit on the row it changes
+export const applyPendingEdit = (taskLog, pendingRow) => ({
+  ...taskLog,
+  ...Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => pendingRow[field] !== undefined).map(
+      (field) => [field, pendingRow[field]]
+    )
+  ),
+  outboxEntry: pendingRow.outboxEntry,
+});
+
+// onSynced is called whenever queued writes reach the server, so lists
+// can reload and show the saved records
+const useOutbox = ({ onSynced } = {}) => {
+  const { user } = useAuth();
+  const [allEntries, setAllEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    let active = true;
+
+    outboxAPI.getEntries().then((initialEntries) => {
+      if (active) setAllEntries(initialEntries);
+    });
+    const unsubscribe = outboxAPI.subscribe((nextEntries) => {
+      if (active) setAllEntries(nextEntries);
+    });
+
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+
+    return () => {
+      active = false;
+      unsubscribe();
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  // Only the signed-in user's writes; others wait for their owner
+  const entries = allEntries.filter(
+    (entry) => String(entry.userId) === String(user?.id)
+  );
+
+  const pendingEntries = entries.filter(
+    (e) => e.status === OUTBOX_STATUS.PENDING
+  );
+
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+  const pendingCountRef = useRef(pendingEntries.length);
+
+  useEffect(() => {
+    if (
+      pendingEntries.length < pendingCountRef.current &&
+      onSyncedRef.current
+    ) {
+      onSyncedRef.current();
+    }
+    pendingCountRef.current = pendingEntries.length;
+  }, [pendingEntries.length]);
+
+  return {
+    entries,
+    isOnline,
+    pendingEntries,
+    problemEntries: entries.filter((e) => e.status !== OUTBOX_STATUS.PENDING),
+    retry: outboxAPI.retry,
+    discard: outboxAPI.discard,
+    sync: outboxAPI.sync,
+  };
+};
+
+export default useOutbox;
@@ -0,0 +1,60 @@
+// src/hooks/useOverdueDoses.js
+// Scheduled medication doses that are past due with nothing recorded
+
+import { useState, useEffect, useCallback } from "react";
+import { medicationOrdersAPI, taskLogsAPI } from "../services/api";
+import { MEDICATION_TASK_TYPE, findOverdueDoses } from "../utils/mar";
+import { fetchAllPages } from "../utils/pagination";
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const LOOKBACK_HOURS = 24;
+
+const useOverdueDoses = () => {
+  const [overdueDoses, setOverdueDoses] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadOverdueDoses = useCallback(async () => {
+    try {
+      const now = new Date();
+      const from = new Date(now.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000);
+      // Doses can be recorded a little before their slot
+      const logsFrom = new Date(from.getTime() - 2 * 60 * 60 * 1000);
+      // Every page, so a dose that was given is never reported as overdue
+      const [ordersResponse, taskLogs] = await Promise.all([
+        medicationOrdersAPI.getAll({ active: true }),
+        fetchAllPages(async (page, limit) => {
+          const response = await taskLogsAPI.getAll({
+            taskType: MEDICATION_TASK_TYPE,
+            from: logsFrom.toISOString(),
+            sort: "completed_at",
+            order: "desc",
+            page,
+            limit,
+          });
+          return { rows: response.taskLogs || [], count: response.count };
+        }),
+      ]);
+
+      setOverdueDoses(
+        findOverdueDoses(ordersResponse.medicationOrders || [], taskLogs, {
+          now,
+          hours: LOOKBACK_HOURS,
+        })
+      );
+      setError(null);
+    } catch (err) {
+      console.error("Failed to load overdue doses:", err);
+      setError("Overdue medications could not be loaded.");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOverdueDoses();
+    const intervalId = setInterval(loadOverdueDoses, REFRESH_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [loadOverdueDoses]);
+
+  return { overdueDoses, error, reload: loadOverdueDoses };
+};
+
+export default useOverdueDoses;
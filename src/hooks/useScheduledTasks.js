@@ -0,0 +1,51 @@
+// src/hooks/useScheduledTasks.js
+// Active scheduled tasks, polled so due and overdue status stays current
+
+import { useState, useEffect, useCallback } from "react";
+import { scheduledTasksAPI, handleApiError } from "../services/api";
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// params: filters for GET /scheduled-tasks (e.g. { patientId })
+const useScheduledTasks = (params = {}) => {
+  const [scheduledTasks, setScheduledTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  // Stable dependency for the params object
+  const paramsKey = JSON.stringify(params);
+
+  const loadScheduledTasks = useCallback(async () => {
+    try {
+      const response = await scheduledTasksAPI.getAll({
+        ...JSON.parse(paramsKey),
+        active: true,
+      });
+      setScheduledTasks(response.scheduledTasks || []);
+      setError(null);
+    } catch (err) {
+      const errorInfo = handleApiError(err);
+      setError(errorInfo.message);
+    } finally {
+      setLoading(false);
+      setNow(new Date());
+    }
+  }, [paramsKey]);
+
+  useEffect(() => {
+    loadScheduledTasks();
+    const intervalId = setInterval(loadScheduledTasks, REFRESH_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [loadScheduledTasks]);
+
+  return {
+    scheduledTasks,
+    loading,
+    error,
+    now,
+    reload: loadScheduledTasks,
+  };
+};
+
+export default useScheduledTasks;
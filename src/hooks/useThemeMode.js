@@ -0,0 +1,18 @@
+// src/hooks/useThemeMode.js
+// Resolve the theme preference ('system' | 'light' | 'dark' | 'high-contrast')
+// to a concrete theme, following the OS settings when set to 'system'
+
+import { useMediaQuery } from "@mui/material";
+
+const useThemeMode = (preference = "system") => {
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const prefersMoreContrast = useMediaQuery(
+    "(prefers-contrast: more), (forced-colors: active)"
+  );
+
+  if (preference !== "system") return preference;
+  if (prefersMoreContrast) return "high-contrast";
+  return prefersDark ? "dark" : "light";
+};
+
+export default useThemeMode;
@@ -2,6 +2,7 @@
 // Centralized API service for the Patient Tracker frontend
 
 import axios from "axios";
+import * as outbox from "./outbox";
 
 // System Design Concept: API Client Layer
 // - Centralized HTTP client configuration
@@ -35,17 +36,127 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints whose 401s mean bad credentials, not an expired session
+const AUTH_ENDPOINTS = [
+  "/auth/login",
+  "/auth/register",
+  "/auth/refresh",
+  "/auth/unlock",
+  "/auth/invitations",
+  "/auth/change-password",
+];
+
+// Token refresh state shared by all in-flight requests
+let isRefreshing = false;
+let refreshQueue = [];
+
+// Settle requests that were waiting on the refresh
+const processRefreshQueue = (error, token = null) => {
+  refreshQueue.forEach(({ resolve, reject }) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(token);
+    }
+  });
+  refreshQueue = [];
+};
+
+const clearSession = () => {
+  localStorage.removeItem("authToken");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+  localStorage.removeItem("sessionLocked");
+  localStorage.removeItem("lastActivityAt");
+};
+
+// Exchange the refresh token for a new access token.
+// Uses bare axios so the call does not pass through our interceptors.
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) {
+    throw new Error("No refresh token available");
+  }
+
+  const response = await axios.post(
+    `${API_BASE_URL}/auth/refresh`,
+    { refreshToken },
+    { timeout: 10000 }
+  );
+  const { token, refreshToken: nextRefreshToken } = response.data;
+
+  localStorage.setItem("authToken", token);
+  if (nextRefreshToken) {
+    localStorage.setItem("refreshToken", nextRefreshToken);
+  }
+
+  // Let AuthContext pick up the new token without a reload
+  window.dispatchEvent(
+    new CustomEvent("auth:token-refreshed", { detail: { token } })
+  );
+
+  return token;
+};
+
+// Replay a request with a fresh token
+const retryWithToken = (config, token) => {
+  config.headers.Authorization = `Bearer ${token}`;
+  return api(config);
+};
+
 // Response interceptor: Handle common errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    // Handle 401 Unauthorized - redirect to login
-    if (error.response?.status === 401) {
-      localStorage.removeItem("authToken");
-      localStorage.removeItem("user");
-      window.location.href = "/login";
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = AUTH_ENDPOINTS.some((endpoint) =>
+      originalRequest?.url?.startsWith(endpoint)
+    );
+
+    // Handle 401 Unauthorized - refresh the token once, then replay
+    if (error.response?.status === 401 && originalRequest && !isAuthRequest) {
+      if (originalRequest._retry) {
+        // Still unauthorized with a fresh token: give up
+        clearSession();
+        window.location.href = "/login";
+        return Promise.reject(error);
+      }
+      originalRequest._retry = true;
+
+      // The token was refreshed after this request went out (earlier in this
+      // tab, or in another one): replay with it rather than refreshing again,
+      // which a rotated refresh token would reject
+      const storedToken = localStorage.getItem("authToken");
+      if (
+        storedToken &&
+        originalRequest.headers?.Authorization !== `Bearer ${storedToken}`
+      ) {
+        return retryWithToken(originalRequest, storedToken);
+      }
+
+      // A refresh is already in flight: wait for it
+      if (isRefreshing) {
+        return new Promise((resolve, reject) => {
+          refreshQueue.push({ resolve, reject });
+        }).then((token) => retryWithToken(originalRequest, token));
+      }
+
+      isRefreshing = true;
+      try {
+        const token = await refreshAccessToken();
+        processRefreshQueue(null, token);
+        return retryWithToken(originalRequest, token);
+      } catch (refreshError) {
+        // Refresh failed - fall back to logging out
+        processRefreshQueue(refreshError);
+        clearSession();
+        window.location.href = "/login";
+        return Promise.reject(error);
+      } finally {
+        isRefreshing = false;
+      }
     }
 
     // Handle network errors
@@ -57,6 +168,98 @@ api.interceptors.response.use(
   }
 );
 
+// Offline outbox: task log writes that fail for lack of a connection are
+// queued with an idempotency key and replayed in order once back online
+const isOfflineError = (error) => !error.response && !axios.isCancel(error);
+
+const getCurrentUserId = () => {
+  try {
+    return JSON.parse(localStorage.getItem("user"))?.id ?? null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendTaskLogWrite = ({ action, taskLogId, data, idempotencyKey }) => {
+  const config = { headers: { "Idempotency-Key": idempotencyKey } };
+  return action === "create"
+    ? api.post("/task-logs", data, config)
+    : api.put(`/task-logs/${taskLogId}`, data, config);
+};
+
+// Send a task log write now, or queue it if we are offline
+const sendOrQueueTaskLogWrite = async (write) => {
+  const entry = {
+    ...write,
+    idempotencyKey: outbox.generateIdempotencyKey(),
+    userId: getCurrentUserId(),
+  };
+
+  if (navigator.onLine) {
+    try {
+      const response = await sendTaskLogWrite(entry);
+      return response.data;
+    } catch (error) {
+      if (!isOfflineError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  const outboxEntry = await outbox.addEntry(entry);
+  return { queued: true, outboxEntry };
+};
+
+let isSyncing = false;
+
+// Replay queued writes for the signed-in user, oldest first
+const syncOutbox = async () => {
+  if (isSyncing || !navigator.onLine || !localStorage.getItem("authToken")) {
+    return;
+  }
+
+  isSyncing = true;
+  try {
+    const userId = getCurrentUserId();
+    const entries = await outbox.getEntries();
+
+    for (const entry of entries) {
+      if (
+        entry.status !== outbox.OUTBOX_STATUS.PENDING ||
+        String(entry.userId) !== String(userId)
+      ) {
+        continue;
+      }
+
+      try {
+        await sendTaskLogWrite(entry);
+        await outbox.removeEntry(entry.seq);
+      } catch (error) {
+        // Still unreachable: keep order and try again later
+        if (isOfflineError(error) || error.response.status >= 500) {
+          break;
+        }
+
+        // The server rejected it: keep it for the user to resolve
+        await outbox.updateEntry({
+          ...entry,
+          status:
+            error.response.status === 409
+              ? outbox.OUTBOX_STATUS.CONFLICT
+              : outbox.OUTBOX_STATUS.FAILED,
+          error: handleApiError(error).message,
+        });
+      }
+    }
+  } finally {
+    isSyncing = false;
+  }
+};
+
+window.addEventListener("online", () => {
+  syncOutbox();
+});
+
 // Authentication API calls
 export const authAPI = {
   login: async (credentials) => {
@@ -69,9 +272,34 @@ export const authAPI = {
     return response.data;
   },
 
+  // Look up an invitation before registering (public; no session needed)
+  getInvitation: async (token) => {
+    const response = await api.get(
+      `/auth/invitations/${encodeURIComponent(token)}`
+    );
+    return response.data;
+  },
+
+  // Own profile: { firstName, lastName, email, contactNumber } -> { user }
+  updateProfile: async (profileData) => {
+    const response = await api.put("/auth/profile", profileData);
+    return response.data;
+  },
+
+  // { currentPassword, newPassword }; a 401 means the current password was wrong
+  changePassword: async (passwords) => {
+    const response = await api.post("/auth/change-password", passwords);
+    return response.data;
+  },
+
+  // Re-authenticate a locked session with a password or PIN
+  unlock: async (credentials) => {
+    const response = await api.post("/auth/unlock", credentials);
+    return response.data;
+  },
+
   logout: () => {
-    localStorage.removeItem("authToken");
-    localStorage.removeItem("user");
+    clearSession();
   },
 };
 
@@ -120,20 +348,259 @@ export const taskLogsAPI = {
     return response.data;
   },
 
-  create: async (taskLogData) => {
-    const response = await api.post("/task-logs", taskLogData);
-    return response.data;
+  // preview: display fields (patient name etc.) shown while the write is pending
+  create: async (taskLogData, preview = {}) => {
+    return sendOrQueueTaskLogWrite({
+      action: "create",
+      data: taskLogData,
+      preview,
+    });
   },
 
-  update: async (id, taskLogData) => {
-    const response = await api.put(`/task-logs/${id}`, taskLogData);
-    return response.data;
+  update: async (id, taskLogData, preview = {}) => {
+    return sendOrQueueTaskLogWrite({
+      action: "update",
+      taskLogId: id,
+      data: taskLogData,
+      preview,
+    });
   },
 
   delete: async (id) => {
     const response = await api.delete(`/task-logs/${id}`);
     return response.data;
   },
+
+  addAmendment: async (id, amendmentData) => {
+    const response = await api.post(
+      `/task-logs/${id}/amendments`,
+      amendmentData
+    );
+    return response.data;
+  },
+};
+
+// Task type registry API calls (writes are admin only)
+export const taskTypesAPI = {
+  getAll: async () => {
+    const response = await api.get("/task-types");
+    return response.data;
+  },
+
+  // { name, label, color, icon, requiredFields, isActive } -> { taskType }
+  create: async (taskTypeData) => {
+    const response = await api.post("/task-types", taskTypeData);
+    return response.data;
+  },
+
+  // Task types are keyed by name; retiring one sets isActive to false
+  update: async (name, taskTypeData) => {
+    const response = await api.put(
+      `/task-types/${encodeURIComponent(name)}`,
+      taskTypeData
+    );
+    return response.data;
+  },
+};
+
+// Medication orders API calls (writes are admin only).
+// Administrations are Medication task logs carrying a `medication` object.
+export const medicationOrdersAPI = {
+  // params: { patientId, active } -> { medicationOrders }
+  getAll: async (params = {}) => {
+    const response = await api.get("/medication-orders", { params });
+    return response.data;
+  },
+
+  // { patientId, drug, dose, route, frequency, startAt, instructions } -> { medicationOrder }
+  create: async (orderData) => {
+    const response = await api.post("/medication-orders", orderData);
+    return response.data;
+  },
+
+  // Discontinuing an order sets isActive to false
+  update: async (id, orderData) => {
+    const response = await api.put(`/medication-orders/${id}`, orderData);
+    return response.data;
+  },
+};
+
+// Scheduled task API calls. The server keeps next_due_at current: a task log
+// posted with { scheduledTaskId, scheduledFor } completes that occurrence,
+// advancing recurring tasks by their interval and closing one-off tasks.
+export const scheduledTasksAPI = {
+  // params: { patientId, assignedTo, active } -> { scheduledTasks }
+  getAll: async (params = {}) => {
+    const response = await api.get("/scheduled-tasks", { params });
+    return response.data;
+  },
+
+  getById: async (id) => {
+    const response = await api.get(`/scheduled-tasks/${id}`);
+    return response.data;
+  },
+
+  // { patientId, taskType, description, startAt, intervalHours, endAt, assignedTo }
+  create: async (scheduledTaskData) => {
+    const response = await api.post("/scheduled-tasks", scheduledTaskData);
+    return response.data;
+  },
+
+  // Cancelling a scheduled task sets isActive to false
+  update: async (id, scheduledTaskData) => {
+    const response = await api.put(`/scheduled-tasks/${id}`, scheduledTaskData);
+    return response.data;
+  },
+};
+
+// Shift handoff (SBAR) API calls. Handoffs are their own record type, one
+// per patient per shift: the outgoing clinician saves drafts and signs, and
+// the incoming clinician acknowledges. Signed handoffs can't be edited.
+export const handoffsAPI = {
+  // params: { patientId, shiftStart } -> { handoffs }
+  getAll: async (params = {}) => {
+    const response = await api.get("/handoffs", { params });
+    return response.data;
+  },
+
+  // { patientId, shiftStart, situation, background, assessment, recommendation } -> { handoff }
+  create: async (handoffData) => {
+    const response = await api.post("/handoffs", handoffData);
+    return response.data;
+  },
+
+  update: async (id, handoffData) => {
+    const response = await api.put(`/handoffs/${id}`, handoffData);
+    return response.data;
+  },
+
+  sign: async (id) => {
+    const response = await api.post(`/handoffs/${id}/sign`);
+    return response.data;
+  },
+
+  acknowledge: async (id) => {
+    const response = await api.post(`/handoffs/${id}/acknowledge`);
+    return response.data;
+  },
+};
+
+// Audit log API calls. Exports containing PHI are recorded before the file
+// is generated, so a failed audit write blocks the export.
+export const auditAPI = {
+  // { resource, format, columns, filters, rowCount }
+  logExport: async (exportData) => {
+    const response = await api.post("/audit-log/exports", exportData);
+    return response.data;
+  },
+};
+
+// Users API calls (admin only)
+export const usersAPI = {
+  getAll: async (params = {}) => {
+    const response = await api.get("/users", { params });
+    return response.data;
+  },
+
+  getById: async (id) => {
+    const response = await api.get(`/users/${id}`);
+    return response.data;
+  },
+
+  // Account activity overview: summary counts, recent logins, dormant accounts
+  getActivity: async () => {
+    const response = await api.get("/users/activity");
+    return response.data;
+  },
+
+  updateRole: async (id, role) => {
+    const response = await api.put(`/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  deactivate: async (id) => {
+    const response = await api.post(`/users/${id}/deactivate`);
+    return response.data;
+  },
+
+  reactivate: async (id) => {
+    const response = await api.post(`/users/${id}/reactivate`);
+    return response.data;
+  },
+
+  resetPassword: async (id) => {
+    const response = await api.post(`/users/${id}/reset-password`);
+    return response.data;
+  },
+};
+
+// Preferences API calls (the signed-in user's own settings)
+export const preferencesAPI = {
+  get: async () => {
+    const response = await api.get("/auth/preferences");
+    return response.data;
+  },
+
+  update: async (preferences) => {
+    const response = await api.put("/auth/preferences", { preferences });
+    return response.data;
+  },
+};
+
+// Invitations API calls (admin only)
+export const invitationsAPI = {
+  getAll: async (params = {}) => {
+    const response = await api.get("/invitations", { params });
+    return response.data;
+  },
+
+  // { email, role, expiresInDays } -> { invitation } including its token
+  create: async (invitationData) => {
+    const response = await api.post("/invitations", invitationData);
+    return response.data;
+  },
+
+  revoke: async (id) => {
+    const response = await api.delete(`/invitations/${id}`);
+    return response.data;
+  },
+};
+
+// Offline outbox access for pending-sync indicators
+export const outboxAPI = {
+  getEntries: outbox.getEntries,
+  subscribe: outbox.subscribe,
+  sync: syncOutbox,
+
+  // Send a conflicted or failed entry again, e.g. after the server-side
+  // record was fixed
+  retry: async (entry) => {
+    await outbox.updateEntry({
+      ...entry,
+      status: outbox.OUTBOX_STATUS.PENDING,
+      error: null,
+    });
+    await syncOutbox();
+  },
+
+  discard: async (entry) => {
+    await outbox.removeEntry(entry.seq);
+  },
+};
+
+// Statistics API calls
+export const statsAPI = {
+  // Aggregate task log counts per local day and per task type.
+  // Counts are bucketed in the given IANA time zone (defaults to the browser's).
+  getTaskLogStats: async (params = {}) => {
+    const response = await api.get("/stats/task-logs", {
+      params: {
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...params,
+      },
+    });
+    return response.data;
+  },
 };
 
 // Utility function for handling API errors
@@ -0,0 +1,136 @@
+// src/services/outbox.js
+// Persistent outbox for task log writes made while offline
+
+// System Design Concept: Store-and-Forward
+// - Writes that cannot reach the server are kept in IndexedDB
+// - Each entry carries an idempotency key so a replay never double-charts
+// - Entries keep their insertion order (auto-increment "seq") for replay
+// - Falls back to memory when IndexedDB is unavailable (e.g. private mode)
+
+const DB_NAME = "patient-tracker";
+const DB_VERSION = 1;
+const STORE_NAME = "outbox";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  CONFLICT: "conflict",
+  FAILED: "failed",
+};
+
+let dbPromise = null;
+let memoryEntries = [];
+let memorySeq = 0;
+const listeners = new Set();
+
+const openDatabase = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {
+          keyPath: "seq",
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error("Outbox unavailable, using memory:", request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run a single request against the outbox store
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const notify = async () => {
+  const entries = await getEntries();
+  listeners.forEach((listener) => listener(entries));
+};
+
+export const generateIdempotencyKey = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+};
+
+// All entries in replay order
+export const getEntries = async () => {
+  const db = await openDatabase();
+  if (!db) {
+    return [...memoryEntries];
+  }
+
+  const entries = await runTransaction("readonly", (store) => store.getAll());
+  return (entries || []).sort((a, b) => a.seq - b.seq);
+};
+
+export const addEntry = async (entry) => {
+  const record = {
+    ...entry,
+    status: OUTBOX_STATUS.PENDING,
+    error: null,
+    queuedAt: new Date().toISOString(),
+  };
+
+  const db = await openDatabase();
+  if (db) {
+    record.seq = await runTransaction("readwrite", (store) =>
+      store.add(record)
+    );
+  } else {
+    memorySeq += 1;
+    record.seq = memorySeq;
+    memoryEntries.push(record);
+  }
+
+  await notify();
+  return record;
+};
+
+export const updateEntry = async (entry) => {
+  const db = await openDatabase();
+  if (db) {
+    await runTransaction("readwrite", (store) => store.put(entry));
+  } else {
+    memoryEntries = memoryEntries.map((e) => (e.seq === entry.seq ? entry : e));
+  }
+
+  await notify();
+};
+
+export const removeEntry = async (seq) => {
+  const db = await openDatabase();
+  if (db) {
+    await runTransaction("readwrite", (store) => store.delete(seq));
+  } else {
+    memoryEntries = memoryEntries.filter((e) => e.seq !== seq);
+  }
+
+  await notify();
+};
+
+// Subscribe to outbox changes; returns an unsubscribe function
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,148 @@
+// src/styles/theme.js
+// Material-UI themes: light (day shift), dark (night shift), high contrast
+
+import { createTheme } from "@mui/material/styles";
+
+// System Design Concepts:
+// - One shared base; each mode only swaps the palette
+// - Task type chips use the error/info/warning/success palette slots,
+//   so every mode keeps those four clearly apart from each other and
+//   readable against its background
+
+export const THEME_MODES = [
+  { value: "system", label: "Match system" },
+  { value: "light", label: "Light" },
+  { value: "dark", label: "Dark" },
+  { value: "high-contrast", label: "High contrast" },
+];
+
+const PALETTES = {
+  light: {
+    mode: "light",
+    primary: {
+      main: "#1976d2", // Medical blue
+      light: "#42a5f5",
+      dark: "#1565c0",
+    },
+    secondary: {
+      main: "#dc004e", // Medical red for alerts
+    },
+    background: {
+      default: "#f5f5f5",
+      paper: "#ffffff",
+    },
+  },
+
+  // Dimmed for night wards: no pure white surfaces
+  dark: {
+    mode: "dark",
+    primary: {
+      main: "#90caf9",
+    },
+    secondary: {
+      main: "#f48fb1",
+    },
+    error: { main: "#ef9a9a" },
+    info: { main: "#81d4fa" },
+    warning: { main: "#ffcc80" },
+    success: { main: "#a5d6a7" },
+    background: {
+      default: "#121212",
+      paper: "#1e1e1e",
+    },
+  },
+
+  // Pure black and white with saturated accents (WCAG AAA text contrast)
+  "high-contrast": {
+    mode: "dark",
+    contrastThreshold: 4.5,
+    primary: {
+      main: "#ffff00",
+      contrastText: "#000000",
+    },
+    secondary: {
+      main: "#00ffff",
+      contrastText: "#000000",
+    },
+    error: { main: "#ff6e6e", contrastText: "#000000" },
+    info: { main: "#66d9ff", contrastText: "#000000" },
+    warning: { main: "#ffb300", contrastText: "#000000" },
+    success: { main: "#5cff8a", contrastText: "#000000" },
+    text: {
+      primary: "#ffffff",
+      secondary: "#ffffff",
+      disabled: "#bdbdbd",
+    },
+    divider: "#ffffff",
+    background: {
+      default: "#000000",
+      paper: "#000000",
+    },
+  },
+};
+
+const BASE_COMPONENTS = {
+  MuiButton: {
+    styleOverrides: {
+      root: {
+        textTransform: "none", // Don't uppercase button text
+        borderRadius: 8,
+      },
+    },
+  },
+  MuiPaper: {
+    styleOverrides: {
+      root: {
+        borderRadius: 12,
+      },
+    },
+  },
+};
+
+// Surfaces lose their shadows on black, so outline them instead
+const HIGH_CONTRAST_COMPONENTS = {
+  MuiPaper: {
+    styleOverrides: {
+      root: {
+        borderRadius: 12,
+        border: "1px solid #ffffff",
+      },
+    },
+  },
+  MuiChip: {
+    styleOverrides: {
+      root: {
+        border: "1px solid #ffffff",
+        fontWeight: 600,
+      },
+    },
+  },
+  MuiButtonBase: {
+    styleOverrides: {
+      root: {
+        "&.Mui-focusVisible": {
+          outline: "3px solid #ffff00",
+          outlineOffset: 2,
+        },
+      },
+    },
+  },
+};
+
+export const buildTheme = (mode = "light") =>
+  createTheme({
+    palette: PALETTES[mode] || PALETTES.light,
+    typography: {
+      fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
+      h4: {
+        fontWeight: 600,
+      },
+      h5: {
+        fontWeight: 500,
+      },
+    },
+    components:
+      mode === "high-contrast"
+        ? { ...BASE_COMPONENTS, ...HIGH_CONTRAST_COMPONENTS }
+        : BASE_COMPONENTS,
+  });
@@ -0,0 +1,110 @@
+// src/utils/commonPasswords.js
+// Frequently breached passwords, bundled so the check works offline.
+// Compared case-insensitively against the whole password.
+
+const COMMON_PASSWORDS = [
+  "123456",
+  "123456789",
+  "12345678",
+  "1234567890",
+  "12345",
+  "1234567",
+  "111111",
+  "000000",
+  "123123",
+  "654321",
+  "666666",
+  "121212",
+  "112233",
+  "123321",
+  "987654321",
+  "password",
+  "password1",
+  "password12",
+  "password123",
+  "password1234",
+  "passw0rd",
+  "p@ssw0rd",
+  "p@ssword",
+  "qwerty",
+  "qwerty123",
+  "qwertyuiop",
+  "1q2w3e4r",
+  "1q2w3e4r5t",
+  "1qaz2wsx",
+  "zaq12wsx",
+  "asdfghjkl",
+  "asdf1234",
+  "zxcvbnm",
+  "abc123",
+  "abcd1234",
+  "abcdef",
+  "aa123456",
+  "iloveyou",
+  "letmein",
+  "letmein123",
+  "welcome",
+  "welcome1",
+  "welcome123",
+  "admin",
+  "admin123",
+  "administrator",
+  "root",
+  "changeme",
+  "default",
+  "guest",
+  "login",
+  "master",
+  "secret",
+  "trustno1",
+  "monkey",
+  "dragon",
+  "football",
+  "baseball",
+  "superman",
+  "batman",
+  "princess",
+  "sunshine",
+  "shadow",
+  "michael",
+  "jennifer",
+  "starwars",
+  "whatever",
+  "freedom",
+  "hello123",
+  "summer2024",
+  "winter2024",
+  "spring2024",
+  "autumn2024",
+  "summer2025",
+  "winter2025",
+  "spring2025",
+  "autumn2025",
+  "hospital",
+  "hospital1",
+  "hospital123",
+  "healthcare",
+  "health123",
+  "medical",
+  "medical123",
+  "nurse",
+  "nurse123",
+  "nursing",
+  "doctor",
+  "doctor123",
+  "clinician",
+  "clinic123",
+  "patient",
+  "patient123",
+  "pharmacy",
+  "emergency",
+  "physician",
+  "stethoscope",
+  "medicine",
+  "temp1234",
+  "temporary",
+];
+
+const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
+
+export default COMMON_PASSWORD_SET;
@@ -0,0 +1,105 @@
+// src/utils/dateUtils.js
+// Shared date helpers for patient and task log views
+
+// Calculate age in whole years from date of birth
+export const calculateAge = (dateOfBirth) => {
+  if (!dateOfBirth) return "N/A";
+  const today = new Date();
+  const birthDate = new Date(dateOfBirth);
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+
+  if (
+    monthDiff < 0 ||
+    (monthDiff === 0 && today.getDate() < birthDate.getDate())
+  ) {
+    age--;
+  }
+
+  return age;
+};
+
+// Local calendar day key ("YYYY-MM-DD") used to group entries by day
+export const getLocalDateKey = (dateString) => {
+  const date = new Date(dateString);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
+
+// Convert a local "YYYY-MM-DD" date to an ISO timestamp at the start or end of that day
+export const toDayBoundaryISO = (dateValue, endOfDay = false) => {
+  const time = endOfDay ? "T23:59:59.999" : "T00:00:00";
+  return new Date(`${dateValue}${time}`).toISOString();
+};
+
+// Format a Date as the local "YYYY-MM-DDTHH:mm" value a datetime-local input expects
+export const toDateTimeInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+};
+
+// Display formats offered in Settings; labels show how Jan 5, 2025 renders
+export const DATE_FORMATS = [
+  { value: "medium", label: "Jan 5, 2025" },
+  { value: "mdy", label: "01/05/2025" },
+  { value: "dmy", label: "05/01/2025" },
+  { value: "iso", label: "2025-01-05" },
+];
+
+// Format a date per the user's preferences ({ dateFormat })
+export const formatDate = (dateString, { dateFormat = "medium" } = {}) => {
+  if (!dateString) return "N/A";
+  const date = new Date(dateString);
+
+  switch (dateFormat) {
+    case "iso":
+      return getLocalDateKey(dateString);
+    case "mdy":
+    case "dmy":
+      return date.toLocaleDateString(dateFormat === "mdy" ? "en-US" : "en-GB", {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      });
+    default:
+      return date.toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      });
+  }
+};
+
+// Format a time of day per the user's preferences ({ clock: '12h' | '24h' })
+export const formatTime = (dateString, { clock = "12h" } = {}) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: clock === "24h" ? "h23" : "h12",
+  });
+};
+
+export const formatDateTime = (dateString, preferences) => {
+  if (!dateString) return "N/A";
+  return `${formatDate(dateString, preferences)}, ${formatTime(
+    dateString,
+    preferences
+  )}`;
+};
+
+// Elapsed time as "45 min", "3 h 10 min" or "2 d 4 h"
+export const formatTimeSince = (dateString, now = new Date()) => {
+  if (!dateString) return "N/A";
+  const minutes = Math.max(Math.floor((now - new Date(dateString)) / 60000), 0);
+
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+};
@@ -0,0 +1,52 @@
+// src/utils/exportChart.js
+// Save a rendered SVG chart as a PNG download, entirely client-side
+
+import { downloadBlob } from "./download";
+
+// Draw the SVG onto a canvas (at 2x for legibility) and download it.
+// background fills the canvas, since SVG charts are usually transparent.
+export const exportSvgAsPng = (svg, filename, { background = "#fff" } = {}) =>
+  new Promise((resolve, reject) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const scale = 2;
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+
+    const svgBlob = new Blob([new XMLSerializer().serializeToString(clone)], {
+      type: "image/svg+xml;charset=utf-8",
+    });
+    const svgUrl = URL.createObjectURL(svgBlob);
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+
+      const context = canvas.getContext("2d");
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(svgUrl);
+
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Could not create the PNG image"));
+          return;
+        }
+        downloadBlob(blob, filename);
+        resolve();
+      }, "image/png");
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(svgUrl);
+      reject(new Error("Could not render the chart for export"));
+    };
+
+    image.src = svgUrl;
+  });
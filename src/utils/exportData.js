@@ -0,0 +1,91 @@
+// src/utils/exportData.js
+// Spreadsheet exports (CSV and XLSX) of list views, generated client-side
+
+import { downloadBlob } from "./download";
+import { toDateTimeInputValue } from "./dateUtils";
+
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV", extension: "csv" },
+  { value: "xlsx", label: "Excel (XLSX)", extension: "xlsx" },
+];
+
+// Excel needs the byte order mark to read a CSV as UTF-8 (accents, °C, etc.)
+const UTF8_BOM = "\uFEFF";
+
+// Text starting with these is evaluated as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Export cell values: "YYYY-MM-DD HH:mm" in local time, so both formats
+// show the times clinicians saw in the app
+export const toExportDateTime = (value) =>
+  value ? toDateTimeInputValue(new Date(value)).replace("T", " ") : "";
+
+// Date-only fields (e.g. date of birth) are stored at midnight UTC
+export const toExportDate = (value) => (value ? value.split("T")[0] : "");
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label, value: (row) => string | number }]
+export const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => column.label),
+    ...rows.map((row) => columns.map((column) => column.value(row))),
+  ]
+    .map((cells) => cells.map(escapeCsvValue).join(","))
+    .join("\r\n");
+
+const toXlsxCell = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return { type: Number, value };
+  // Typed as text, so nothing in the cell is evaluated as a formula
+  return { type: String, value: String(value) };
+};
+
+const buildXlsxBlob = async (columns, rows, sheetName) => {
+  // Only loaded when an Excel export is requested
+  const { default: writeXlsxFile } = await import("write-excel-file/browser");
+
+  const sheetData = [
+    columns.map((column) => ({
+      type: String,
+      value: column.label,
+      fontWeight: "bold",
+    })),
+    ...rows.map((row) =>
+      columns.map((column) => toXlsxCell(column.value(row)))
+    ),
+  ];
+
+  return writeXlsxFile(sheetData, {
+    sheet: sheetName,
+    columns: columns.map((column) => ({ width: column.width || 18 })),
+    stickyRowsCount: 1,
+  }).toBlob();
+};
+
+// Build the file for the chosen format and download it
+export const downloadExport = async ({
+  format,
+  columns,
+  rows,
+  filename,
+  sheetName,
+}) => {
+  const { extension } = EXPORT_FORMATS.find((f) => f.value === format);
+  const blob =
+    format === "xlsx"
+      ? await buildXlsxBlob(columns, rows, sheetName)
+      : new Blob([UTF8_BOM + toCsv(columns, rows)], {
+          type: "text/csv;charset=utf-8",
+        });
+
+  downloadBlob(blob, `${filename}.${extension}`);
+};
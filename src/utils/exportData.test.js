@@ -0,0 +1,71 @@
+import { toCsv, downloadExport } from "./exportData";
+import { downloadBlob } from "./download";
+
+jest.mock("./download", () => ({ downloadBlob: jest.fn() }));
+
+const COLUMNS = [
+  { key: "name", label: "Name", value: (row) => row.name },
+  { key: "count", label: "Count", value: (row) => row.count },
+];
+
+const readBytes = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+
+describe("toCsv", () => {
+  test("writes a header row and CRLF line endings", () => {
+    expect(toCsv(COLUMNS, [{ name: "Ada", count: 2 }])).toBe(
+      "Name,Count\r\nAda,2"
+    );
+  });
+
+  test("quotes commas and doubles embedded quotes", () => {
+    expect(toCsv(COLUMNS, [{ name: 'Smith, "Jo"', count: 1 }])).toBe(
+      'Name,Count\r\n"Smith, ""Jo""",1'
+    );
+  });
+
+  test("quotes embedded newlines", () => {
+    expect(toCsv(COLUMNS, [{ name: "line 1\nline 2", count: 1 }])).toBe(
+      'Name,Count\r\n"line 1\nline 2",1'
+    );
+  });
+
+  test.each(["=SUM(A1:A2)", "+1", "-1", "@cmd"])(
+    "prefixes text starting like a formula: %s",
+    (value) => {
+      expect(toCsv(COLUMNS, [{ name: value, count: 1 }])).toBe(
+        `Name,Count\r\n'${value},1`
+      );
+    }
+  );
+
+  test("leaves negative numbers as numbers", () => {
+    expect(toCsv(COLUMNS, [{ name: "Ada", count: -3 }])).toBe(
+      "Name,Count\r\nAda,-3"
+    );
+  });
+
+  test("writes empty cells for missing values", () => {
+    expect(toCsv(COLUMNS, [{ name: null }])).toBe("Name,Count\r\n,");
+  });
+});
+
+describe("downloadExport", () => {
+  test("starts a CSV with the UTF-8 byte order mark", async () => {
+    await downloadExport({
+      format: "csv",
+      columns: COLUMNS,
+      rows: [{ name: "Température", count: 1 }],
+      filename: "export",
+    });
+
+    const [blob, filename] = downloadBlob.mock.calls[0];
+    const bytes = await readBytes(blob);
+    expect(filename).toBe("export.csv");
+    expect(Array.from(bytes.slice(0, 3))).toEqual([0xef, 0xbb, 0xbf]);
+  });
+});
@@ -0,0 +1,189 @@
+// src/utils/handoff.js
+// Shift handoff (SBAR): shift boundaries and draft text built from the record
+
+import { SHIFTS, getShiftBounds, formatOrder } from "./mar";
+import { calculateNews2, needsEscalation } from "./news2";
+import {
+  VITALS_TASK_TYPE,
+  VITALS,
+  OBSERVATIONS,
+  getAbnormalVitals,
+  formatVitalValue,
+  formatObservationValue,
+} from "./vitals";
+import { getScheduledTaskStatus, sortByDue } from "./scheduledTasks";
+import { calculateAge } from "./dateUtils";
+
+export const SBAR_SECTIONS = [
+  {
+    key: "situation",
+    label: "Situation",
+    helperText: "Who the patient is and what is happening now",
+  },
+  {
+    key: "background",
+    label: "Background",
+    helperText: "Admission, relevant history and current treatment",
+  },
+  {
+    key: "assessment",
+    label: "Assessment",
+    helperText: "What happened this shift and how the patient is doing",
+  },
+  {
+    key: "recommendation",
+    label: "Recommendation",
+    helperText: "What the incoming clinician needs to do or watch for",
+  },
+];
+
+export const HANDOFF_STATUSES = {
+  draft: { label: "Draft", color: "default" },
+  signed: { label: "Awaiting acknowledgement", color: "warning" },
+  acknowledged: { label: "Acknowledged", color: "success" },
+};
+
+export const EMPTY_SBAR = {
+  situation: "",
+  background: "",
+  assessment: "",
+  recommendation: "",
+};
+
+// The shift (from the MAR's day/evening/night rota) containing `date`.
+// Returns { shift, start, end }.
+export const getShiftAt = (date = new Date()) => {
+  const marDay = new Date(date);
+  // Before the day shift starts, it is still the previous day's night shift
+  if (marDay.getHours() < SHIFTS[0].startHour) {
+    marDay.setDate(marDay.getDate() - 1);
+  }
+  marDay.setHours(0, 0, 0, 0);
+
+  for (const shift of SHIFTS) {
+    const { start, end } = getShiftBounds(marDay, shift);
+    if (date >= start && date < end) {
+      return { shift, start, end };
+    }
+  }
+  return null;
+};
+
+// Shift named by a ?shiftStart= link; the current shift when the link has
+// none or it doesn't parse
+export const getShiftFromParam = (shiftStart) =>
+  (shiftStart && getShiftAt(new Date(shiftStart))) || getShiftAt(new Date());
+
+export const getPreviousShift = ({ start }) =>
+  getShiftAt(new Date(start.getTime() - 1));
+
+export const getNextShift = ({ end }) => getShiftAt(end);
+
+const bulletList = (lines) => lines.map((line) => `- ${line}`).join("\n");
+
+// "HR 124 bpm", "ACVPU Responds to voice"
+const describeReading = (key, vitals) => {
+  const vital = VITALS.find((v) => v.key === key);
+  if (vital) return `${vital.shortLabel} ${formatVitalValue(key, vitals)}`;
+
+  const observation = OBSERVATIONS.find((obs) => obs.key === key);
+  return `${observation.shortLabel} ${formatObservationValue(key, vitals)}`;
+};
+
+/**
+ * Pre-filled SBAR text for one patient, for the clinician to edit.
+ * taskLogs: the patient's entries (any order); only those completed since
+ * shiftStart go into the assessment. formatTime/formatDate are the user's
+ * preference-aware formatters.
+ */
+export const buildSbarDraft = ({
+  patient,
+  taskLogs = [],
+  medicationOrders = [],
+  scheduledTasks = [],
+  shiftStart,
+  now = new Date(),
+  formatDate,
+  formatTime,
+}) => {
+  const latestVitalsLog = taskLogs
+    .filter((task) => task.task_type === VITALS_TASK_TYPE && task.vitals)
+    .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at))[0];
+  const news2 = latestVitalsLog ? calculateNews2(latestVitalsLog.vitals) : null;
+
+  // Situation
+  const situation = [
+    `${patient.first_name} ${patient.last_name}, ${calculateAge(
+      patient.date_of_birth
+    )} years, room ${patient.room_number || "not assigned"} (MRN ${
+      patient.medical_record_number
+    }).`,
+  ];
+  if (news2) {
+    situation.push(
+      `NEWS2 ${news2.score}${news2.complete ? "" : " (partial)"} – ${
+        news2.risk.label
+      } risk, from vitals at ${formatTime(latestVitalsLog.completed_at)}.`
+    );
+    const abnormal = getAbnormalVitals(latestVitalsLog.vitals);
+    if (abnormal.length > 0) {
+      situation.push(
+        `Outside normal range: ${abnormal
+          .map((key) => describeReading(key, latestVitalsLog.vitals))
+          .join(", ")}.`
+      );
+    }
+  } else {
+    situation.push("No vitals on record.");
+  }
+
+  // Background
+  const background = [`Admitted ${formatDate(patient.created_at)}.`];
+  if (medicationOrders.length > 0) {
+    background.push(
+      `Current medications: ${medicationOrders.map(formatOrder).join("; ")}.`
+    );
+  }
+
+  // Assessment: this shift's activity, oldest first
+  const shiftLogs = taskLogs
+    .filter((task) => new Date(task.completed_at) >= shiftStart)
+    .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+  const assessment =
+    shiftLogs.length > 0
+      ? `Since ${formatTime(shiftStart)}:\n${bulletList(
+          shiftLogs.map(
+            (task) =>
+              `${formatTime(task.completed_at)} ${task.task_type}: ${
+                task.description
+              }`
+          )
+        )}`
+      : `No tasks logged since ${formatTime(shiftStart)}.`;
+
+  // Recommendation: escalation and what is due next
+  const recommendation = [];
+  if (needsEscalation(news2)) {
+    recommendation.push(
+      `NEWS2 ${news2.score}: escalate per the NEWS2 protocol and monitor closely.`
+    );
+  }
+  sortByDue(scheduledTasks).forEach((task) => {
+    const status = getScheduledTaskStatus(task, now);
+    recommendation.push(
+      `${status === "overdue" ? "Overdue" : "Due"} ${formatTime(
+        task.next_due_at
+      )}: ${task.description}`
+    );
+  });
+  if (recommendation.length === 0) {
+    recommendation.push("Continue current plan of care.");
+  }
+
+  return {
+    situation: situation.join(" "),
+    background: background.join(" "),
+    assessment,
+    recommendation: bulletList(recommendation),
+  };
+};
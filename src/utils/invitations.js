@@ -0,0 +1,27 @@
+// src/utils/invitations.js
+// Invitation links and status for admin-issued onboarding
+
+// When set, /register only works with a valid invitation token
+export const INVITE_ONLY = process.env.REACT_APP_INVITE_ONLY === "true";
+
+export const INVITE_EXPIRY_OPTIONS = [
+  { days: 1, label: "1 day" },
+  { days: 3, label: "3 days" },
+  { days: 7, label: "7 days" },
+  { days: 14, label: "14 days" },
+];
+
+export const DEFAULT_INVITE_EXPIRY_DAYS = 7;
+
+export const buildInviteLink = (token) =>
+  `${window.location.origin}/register?invite=${encodeURIComponent(token)}`;
+
+// 'accepted' | 'revoked' | 'expired' | 'pending'
+export const getInvitationStatus = (invitation) => {
+  if (invitation.accepted_at) return "accepted";
+  if (invitation.revoked_at) return "revoked";
+  if (new Date(invitation.expires_at).getTime() <= Date.now()) {
+    return "expired";
+  }
+  return "pending";
+};
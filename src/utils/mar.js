@@ -0,0 +1,206 @@
+// src/utils/mar.js
+// Medication administration record (MAR): dose schedules, shifts and slot status
+
+// Task type that records each administration
+export const MEDICATION_TASK_TYPE = "Medication";
+
+// Minutes after its scheduled time before an unrecorded dose counts as overdue
+export const MAR_OVERDUE_MINUTES =
+  parseInt(process.env.REACT_APP_MAR_OVERDUE_MINUTES, 10) || 60;
+
+// Doses become "due" this long before their scheduled time
+const DUE_WINDOW_MINUTES = 60;
+
+export const MEDICATION_ROUTES = [
+  { value: "PO", label: "PO (oral)" },
+  { value: "SL", label: "SL (sublingual)" },
+  { value: "IV", label: "IV (intravenous)" },
+  { value: "IM", label: "IM (intramuscular)" },
+  { value: "SC", label: "SC (subcutaneous)" },
+  { value: "PR", label: "PR (rectal)" },
+  { value: "NG", label: "NG (nasogastric)" },
+  { value: "INH", label: "Inhaled" },
+  { value: "TOP", label: "Topical" },
+];
+
+// Standard administration times for each frequency ("HH:mm", local time).
+// PRN orders have no schedule and are given on request.
+export const MEDICATION_FREQUENCIES = [
+  { value: "QD", label: "Once daily", times: ["09:00"] },
+  { value: "BID", label: "Twice daily", times: ["09:00", "21:00"] },
+  {
+    value: "TID",
+    label: "Three times daily",
+    times: ["08:00", "14:00", "20:00"],
+  },
+  {
+    value: "QID",
+    label: "Four times daily",
+    times: ["06:00", "12:00", "18:00", "22:00"],
+  },
+  {
+    value: "Q4H",
+    label: "Every 4 hours",
+    times: ["02:00", "06:00", "10:00", "14:00", "18:00", "22:00"],
+  },
+  {
+    value: "Q6H",
+    label: "Every 6 hours",
+    times: ["00:00", "06:00", "12:00", "18:00"],
+  },
+  { value: "Q8H", label: "Every 8 hours", times: ["06:00", "14:00", "22:00"] },
+  { value: "QHS", label: "At bedtime", times: ["21:00"] },
+  { value: "PRN", label: "As needed (PRN)", times: [] },
+];
+
+// A MAR day runs from the start of the day shift to the next morning
+export const SHIFTS = [
+  { key: "day", label: "Day", startHour: 7, endHour: 15 },
+  { key: "evening", label: "Evening", startHour: 15, endHour: 23 },
+  { key: "night", label: "Night", startHour: 23, endHour: 31 },
+];
+
+export const ADMINISTRATION_STATUSES = [
+  { value: "given", label: "Given", color: "success" },
+  { value: "held", label: "Held", color: "warning" },
+  { value: "refused", label: "Refused", color: "error" },
+];
+
+// Display for slots without an administration record
+export const PENDING_SLOT_STATUSES = {
+  overdue: { label: "Overdue", color: "error" },
+  due: { label: "Due", color: "info" },
+  scheduled: { label: "Scheduled", color: "default" },
+};
+
+export const getFrequency = (value) =>
+  MEDICATION_FREQUENCIES.find((f) => f.value === value) || {
+    value,
+    label: value,
+    times: [],
+  };
+
+export const getRouteLabel = (value) =>
+  MEDICATION_ROUTES.find((r) => r.value === value)?.label || value;
+
+export const getAdministrationStatus = (value) =>
+  ADMINISTRATION_STATUSES.find((s) => s.value === value);
+
+// "Metoprolol 25 mg PO"
+export const formatOrder = (order) =>
+  [order.drug, order.dose, order.route].filter(Boolean).join(" ");
+
+const atHour = (date, hour) => {
+  const result = new Date(date);
+  result.setHours(hour, 0, 0, 0);
+  return result;
+};
+
+// [start, end) of a shift on the MAR day that begins on `date`
+export const getShiftBounds = (date, shift) => ({
+  start: atHour(date, shift.startHour),
+  end: atHour(date, shift.endHour),
+});
+
+// Scheduled dose times for an order within [from, to)
+export const getScheduledSlots = (order, from, to) => {
+  const { times } = getFrequency(order.frequency);
+  const startAt = order.start_at ? new Date(order.start_at) : null;
+  // Discontinued orders stop at the time they were stopped
+  const endAt = order.end_at ? new Date(order.end_at) : null;
+  const slots = [];
+
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  for (; day < to; day.setDate(day.getDate() + 1)) {
+    times.forEach((time) => {
+      const [hours, minutes] = time.split(":").map(Number);
+      const slot = new Date(day);
+      slot.setHours(hours, minutes, 0, 0);
+
+      if (
+        slot >= from &&
+        slot < to &&
+        (!startAt || slot >= startAt) &&
+        (!endAt || slot < endAt)
+      ) {
+        slots.push(slot);
+      }
+    });
+  }
+
+  return slots;
+};
+
+const slotKey = (orderId, scheduledFor) =>
+  `${orderId}|${new Date(scheduledFor).getTime()}`;
+
+// Index MAR task logs by order and scheduled time
+export const indexAdministrations = (taskLogs = []) => {
+  const index = {};
+  taskLogs.forEach((task) => {
+    const medication = task.medication;
+    if (
+      task.task_type !== MEDICATION_TASK_TYPE ||
+      !medication?.orderId ||
+      !medication.scheduledFor
+    ) {
+      return;
+    }
+    index[slotKey(medication.orderId, medication.scheduledFor)] = task;
+  });
+  return index;
+};
+
+export const findAdministration = (index, orderId, scheduledFor) =>
+  index[slotKey(orderId, scheduledFor)] || null;
+
+// given | held | refused from the record, otherwise overdue | due | scheduled
+export const getSlotStatus = (
+  scheduledFor,
+  administration,
+  now = new Date()
+) => {
+  if (administration) return administration.medication.status;
+
+  const minutesUntil = (new Date(scheduledFor) - now) / 60000;
+  if (minutesUntil < -MAR_OVERDUE_MINUTES) return "overdue";
+  if (minutesUntil <= DUE_WINDOW_MINUTES) return "due";
+  return "scheduled";
+};
+
+// Unrecorded doses whose scheduled time passed within the last `hours`
+export const findOverdueDoses = (
+  orders,
+  taskLogs,
+  { now = new Date(), hours = 24 } = {}
+) => {
+  const index = indexAdministrations(taskLogs);
+  const from = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  return orders
+    .flatMap((order) =>
+      getScheduledSlots(order, from, now)
+        .filter(
+          (slot) =>
+            getSlotStatus(
+              slot,
+              findAdministration(index, order.id, slot),
+              now
+            ) === "overdue"
+        )
+        .map((slot) => ({ order, scheduledFor: slot }))
+    )
+    .sort((a, b) => a.scheduledFor - b.scheduledFor);
+};
+
+// One-line description stored on the Medication task log
+export const describeAdministration = (order, medication) => {
+  const status = getAdministrationStatus(medication.status);
+  const given = [order.drug, medication.dose, medication.route]
+    .filter(Boolean)
+    .join(" ");
+  const reason = medication.status === "given" ? "" : `: ${medication.reason}`;
+  return `${status.label} ${given}${reason}`;
+};
@@ -0,0 +1,160 @@
+import {
+  SHIFTS,
+  MAR_OVERDUE_MINUTES,
+  MEDICATION_TASK_TYPE,
+  getShiftBounds,
+  getScheduledSlots,
+  getSlotStatus,
+  findOverdueDoses,
+} from "./mar";
+
+// Local times, so the tests read the same in any timezone
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+const shift = (key) => SHIFTS.find((s) => s.key === key);
+
+const administration = (orderId, scheduledFor, status = "given") => ({
+  task_type: MEDICATION_TASK_TYPE,
+  medication: { orderId, scheduledFor: scheduledFor.toISOString(), status },
+});
+
+describe("getShiftBounds", () => {
+  test("day shift is 07:00 to 15:00 on the same day", () => {
+    expect(getShiftBounds(at(5, 0), shift("day"))).toEqual({
+      start: at(5, 7),
+      end: at(5, 15),
+    });
+  });
+
+  test("night shift ends at 07:00 the next morning", () => {
+    expect(getShiftBounds(at(5, 0), shift("night"))).toEqual({
+      start: at(5, 23),
+      end: at(6, 7),
+    });
+  });
+});
+
+describe("getScheduledSlots", () => {
+  test("lists each standard time in the range", () => {
+    expect(getScheduledSlots({ frequency: "TID" }, at(5, 0), at(6, 0))).toEqual(
+      [at(5, 8), at(5, 14), at(5, 20)]
+    );
+  });
+
+  test("rolls over midnight within the night shift", () => {
+    const { start, end } = getShiftBounds(at(5, 0), shift("night"));
+    expect(getScheduledSlots({ frequency: "Q6H" }, start, end)).toEqual([
+      at(6, 0),
+      at(6, 6),
+    ]);
+  });
+
+  test("covers every day of a multi-day range", () => {
+    expect(getScheduledSlots({ frequency: "QD" }, at(5, 0), at(8, 0))).toEqual([
+      at(5, 9),
+      at(6, 9),
+      at(7, 9),
+    ]);
+  });
+
+  test("excludes the end of the range", () => {
+    expect(getScheduledSlots({ frequency: "QD" }, at(5, 0), at(5, 9))).toEqual(
+      []
+    );
+  });
+
+  test("skips doses before an order started mid-day", () => {
+    const order = { frequency: "QID", start_at: at(5, 10).toISOString() };
+    expect(getScheduledSlots(order, at(5, 0), at(6, 0))).toEqual([
+      at(5, 12),
+      at(5, 18),
+      at(5, 22),
+    ]);
+  });
+
+  test("stops at the time an order was discontinued", () => {
+    const order = { frequency: "QID", end_at: at(5, 12).toISOString() };
+    expect(getScheduledSlots(order, at(5, 0), at(6, 0))).toEqual([at(5, 6)]);
+  });
+
+  test("PRN orders have no scheduled doses", () => {
+    expect(getScheduledSlots({ frequency: "PRN" }, at(5, 0), at(6, 0))).toEqual(
+      []
+    );
+  });
+});
+
+describe("getSlotStatus", () => {
+  const now = at(5, 10);
+  const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60000);
+
+  test("uses the recorded status when the dose was charted", () => {
+    const slot = at(5, 6);
+    expect(getSlotStatus(slot, administration(1, slot, "held"), now)).toBe(
+      "held"
+    );
+  });
+
+  test("is overdue once the overdue window has passed", () => {
+    expect(
+      getSlotStatus(minutesFromNow(-MAR_OVERDUE_MINUTES - 1), null, now)
+    ).toBe("overdue");
+  });
+
+  test("is still due at the edge of the overdue window", () => {
+    expect(getSlotStatus(minutesFromNow(-MAR_OVERDUE_MINUTES), null, now)).toBe(
+      "due"
+    );
+  });
+
+  test("is due within an hour before the scheduled time", () => {
+    expect(getSlotStatus(minutesFromNow(60), null, now)).toBe("due");
+  });
+
+  test("is scheduled further ahead", () => {
+    expect(getSlotStatus(minutesFromNow(61), null, now)).toBe("scheduled");
+  });
+});
+
+describe("findOverdueDoses", () => {
+  const now = at(6, 10, 30);
+
+  test("lists unrecorded past doses from the last 24 hours, oldest first", () => {
+    const bid = { id: 1, frequency: "BID" };
+    const startedToday = {
+      id: 2,
+      frequency: "QD",
+      start_at: at(6, 8).toISOString(),
+    };
+    const discontinued = {
+      id: 3,
+      frequency: "QD",
+      end_at: at(6, 8).toISOString(),
+    };
+    const q6h = { id: 4, frequency: "Q6H" };
+    const taskLogs = [administration(1, at(5, 21))];
+
+    const overdue = findOverdueDoses(
+      [bid, startedToday, discontinued, q6h],
+      taskLogs,
+      { now }
+    );
+
+    expect(
+      overdue.map(({ order, scheduledFor }) => [order.id, scheduledFor])
+    ).toEqual([
+      [4, at(5, 12)],
+      [4, at(5, 18)],
+      [4, at(6, 0)],
+      [4, at(6, 6)],
+      [1, at(6, 9)],
+      [2, at(6, 9)],
+    ]);
+  });
+
+  test("ignores doses recorded as held or refused", () => {
+    const order = { id: 1, frequency: "QD" };
+    const taskLogs = [administration(1, at(6, 9), "refused")];
+    expect(findOverdueDoses([order], taskLogs, { now })).toEqual([]);
+  });
+});
@@ -0,0 +1,150 @@
+// src/utils/news2.js
+// NEWS2 (National Early Warning Score 2) from structured vitals.
+// Thresholds follow the Royal College of Physicians NEWS2 chart, using
+// SpO2 scale 1 (scale 2 is for prescribed hypercapnic targets only).
+
+import { VITALS_TASK_TYPE, toCelsius } from "./vitals";
+
+// Scores at or above this raise the escalation banner (NEWS2 key threshold: 5)
+export const NEWS2_ESCALATION_THRESHOLD =
+  parseInt(process.env.REACT_APP_NEWS2_ESCALATION_THRESHOLD, 10) || 5;
+
+// Vitals older than this no longer count as a patient's current score
+export const NEWS2_LOOKBACK_HOURS = 24;
+
+// Aggregate score bands from the NEWS2 clinical response chart
+export const NEWS2_RISK = {
+  low: { label: "Low", color: "success" },
+  lowMedium: { label: "Low-medium", color: "warning" },
+  medium: { label: "Medium", color: "warning" },
+  high: { label: "High", color: "error" },
+};
+
+// [upper bound, points] pairs checked in order; the last band has no bound
+const band = (value, bands) =>
+  bands.find(([max]) => max === undefined || value <= max)[1];
+
+const PARAMETER_SCORERS = {
+  respiratoryRate: (v) =>
+    band(v.respiratoryRate, [
+      [8, 3],
+      [11, 1],
+      [20, 0],
+      [24, 2],
+      [undefined, 3],
+    ]),
+  spo2: (v) =>
+    band(v.spo2, [
+      [91, 3],
+      [93, 2],
+      [95, 1],
+      [undefined, 0],
+    ]),
+  oxygen: (v) => (v.oxygen === "supplemental" ? 2 : 0),
+  systolicBp: (v) =>
+    band(v.systolicBp, [
+      [90, 3],
+      [100, 2],
+      [110, 1],
+      [219, 0],
+      [undefined, 3],
+    ]),
+  heartRate: (v) =>
+    band(v.heartRate, [
+      [40, 3],
+      [50, 1],
+      [90, 0],
+      [110, 1],
+      [130, 2],
+      [undefined, 3],
+    ]),
+  consciousness: (v) => (v.consciousness === "A" ? 0 : 3),
+  temperature: (v) =>
+    band(Math.round(toCelsius(v.temperature, v.temperatureUnit) * 10) / 10, [
+      [35.0, 3],
+      [36.0, 1],
+      [38.0, 0],
+      [39.0, 1],
+      [undefined, 2],
+    ]),
+};
+
+export const NEWS2_PARAMETERS = Object.keys(PARAMETER_SCORERS);
+
+const isRecorded = (value) =>
+  value !== undefined && value !== null && value !== "";
+
+/**
+ * Score a set of vitals. Parameters that weren't recorded are skipped and
+ * listed in `missing`, so a partial set yields a lower-bound score.
+ * Returns { score, risk, parameterScores, missing, complete, hasRedScore }.
+ */
+export const calculateNews2 = (vitals = {}) => {
+  const parameterScores = {};
+  const missing = [];
+
+  NEWS2_PARAMETERS.forEach((key) => {
+    if (isRecorded(vitals[key])) {
+      parameterScores[key] = PARAMETER_SCORERS[key](vitals);
+    } else {
+      missing.push(key);
+    }
+  });
+
+  const score = Object.values(parameterScores).reduce((a, b) => a + b, 0);
+  // A single parameter scoring 3 warrants an urgent review on its own
+  const hasRedScore = Object.values(parameterScores).includes(3);
+
+  let risk = NEWS2_RISK.low;
+  if (score >= 7) {
+    risk = NEWS2_RISK.high;
+  } else if (score >= 5) {
+    risk = NEWS2_RISK.medium;
+  } else if (hasRedScore) {
+    risk = NEWS2_RISK.lowMedium;
+  }
+
+  return {
+    score,
+    risk,
+    parameterScores,
+    missing,
+    complete: missing.length === 0,
+    hasRedScore,
+  };
+};
+
+export const needsEscalation = (result) =>
+  !!result && result.score >= NEWS2_ESCALATION_THRESHOLD;
+
+/**
+ * Latest scored Vitals entry per patient, from task log rows in any order.
+ * Returns { [patientId]: { patientId, patientName, taskLogId, completedAt, ...score } }.
+ */
+export const latestNews2ByPatient = (taskLogs = []) => {
+  const latest = {};
+
+  taskLogs.forEach((task) => {
+    if (task.task_type !== VITALS_TASK_TYPE || !task.vitals) return;
+
+    const current = latest[task.patient_id];
+    if (
+      current &&
+      new Date(current.completedAt) >= new Date(task.completed_at)
+    ) {
+      return;
+    }
+
+    latest[task.patient_id] = {
+      patientId: task.patient_id,
+      patientName: `${task.patient_first_name || ""} ${
+        task.patient_last_name || ""
+      }`.trim(),
+      taskLogId: task.id,
+      completedAt: task.completed_at,
+      ...calculateNews2(task.vitals),
+    };
+  });
+
+  return latest;
+};
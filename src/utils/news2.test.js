@@ -0,0 +1,193 @@
+import { calculateNews2, latestNews2ByPatient, NEWS2_RISK } from "./news2";
+
+// A complete set of observations that scores 0 on every parameter
+const NORMAL = {
+  respiratoryRate: 16,
+  spo2: 97,
+  oxygen: "air",
+  systolicBp: 120,
+  heartRate: 70,
+  consciousness: "A",
+  temperature: 37.0,
+  temperatureUnit: "C",
+};
+
+const scoreFor = (key, value) =>
+  calculateNews2({ ...NORMAL, [key]: value }).parameterScores[key];
+
+describe("calculateNews2 parameter bands (RCP NEWS2 chart)", () => {
+  test.each([
+    [8, 3],
+    [9, 1],
+    [11, 1],
+    [12, 0],
+    [20, 0],
+    [21, 2],
+    [24, 2],
+    [25, 3],
+  ])("respiration rate %i scores %i", (value, expected) => {
+    expect(scoreFor("respiratoryRate", value)).toBe(expected);
+  });
+
+  test.each([
+    [91, 3],
+    [92, 2],
+    [93, 2],
+    [94, 1],
+    [95, 1],
+    [96, 0],
+  ])("SpO2 (scale 1) %i%% scores %i", (value, expected) => {
+    expect(scoreFor("spo2", value)).toBe(expected);
+  });
+
+  test.each([
+    ["air", 0],
+    ["supplemental", 2],
+  ])("%s scores %i", (value, expected) => {
+    expect(scoreFor("oxygen", value)).toBe(expected);
+  });
+
+  test.each([
+    [90, 3],
+    [91, 2],
+    [100, 2],
+    [101, 1],
+    [110, 1],
+    [111, 0],
+    [219, 0],
+    [220, 3],
+  ])("systolic BP %i scores %i", (value, expected) => {
+    expect(scoreFor("systolicBp", value)).toBe(expected);
+  });
+
+  test.each([
+    [40, 3],
+    [41, 1],
+    [50, 1],
+    [51, 0],
+    [90, 0],
+    [91, 1],
+    [110, 1],
+    [111, 2],
+    [130, 2],
+    [131, 3],
+  ])("pulse %i scores %i", (value, expected) => {
+    expect(scoreFor("heartRate", value)).toBe(expected);
+  });
+
+  test.each([
+    ["A", 0],
+    ["C", 3],
+    ["V", 3],
+    ["P", 3],
+    ["U", 3],
+  ])("consciousness %s scores %i", (value, expected) => {
+    expect(scoreFor("consciousness", value)).toBe(expected);
+  });
+
+  test.each([
+    [35.0, 3],
+    [35.1, 1],
+    [36.0, 1],
+    [36.1, 0],
+    [38.0, 0],
+    [38.1, 1],
+    [39.0, 1],
+    [39.1, 2],
+  ])("temperature %f°C scores %i", (value, expected) => {
+    expect(scoreFor("temperature", value)).toBe(expected);
+  });
+
+  test("converts Fahrenheit before scoring", () => {
+    const result = calculateNews2({
+      ...NORMAL,
+      temperature: 102.2, // 39.0 °C
+      temperatureUnit: "F",
+    });
+    expect(result.parameterScores.temperature).toBe(1);
+  });
+});
+
+describe("calculateNews2 aggregate score and clinical risk", () => {
+  test("normal observations score 0 with low risk", () => {
+    const result = calculateNews2(NORMAL);
+    expect(result.score).toBe(0);
+    expect(result.risk).toBe(NEWS2_RISK.low);
+    expect(result.complete).toBe(true);
+    expect(result.hasRedScore).toBe(false);
+  });
+
+  test("a single red score of 3 is low-medium risk", () => {
+    const result = calculateNews2({ ...NORMAL, consciousness: "C" });
+    expect(result.score).toBe(3);
+    expect(result.hasRedScore).toBe(true);
+    expect(result.risk).toBe(NEWS2_RISK.lowMedium);
+  });
+
+  test("aggregate 5 is medium risk", () => {
+    const result = calculateNews2({
+      ...NORMAL,
+      respiratoryRate: 22, // 2
+      heartRate: 95, // 1
+      temperature: 38.3, // 1
+      systolicBp: 108, // 1
+    });
+    expect(result.score).toBe(5);
+    expect(result.risk).toBe(NEWS2_RISK.medium);
+  });
+
+  test("aggregate 7 or more is high risk", () => {
+    const result = calculateNews2({
+      respiratoryRate: 24, // 2
+      spo2: 93, // 2
+      oxygen: "supplemental", // 2
+      systolicBp: 105, // 1
+      heartRate: 115, // 2
+      consciousness: "A", // 0
+      temperature: 38.5, // 1
+      temperatureUnit: "C",
+    });
+    expect(result.score).toBe(10);
+    expect(result.risk).toBe(NEWS2_RISK.high);
+  });
+
+  test("scores a partial set and reports the missing parameters", () => {
+    const result = calculateNews2({ heartRate: 135, spo2: 97 });
+    expect(result.score).toBe(3);
+    expect(result.complete).toBe(false);
+    expect(result.missing).toEqual(
+      expect.arrayContaining(["respiratoryRate", "oxygen", "consciousness"])
+    );
+  });
+});
+
+describe("latestNews2ByPatient", () => {
+  test("keeps the most recent Vitals entry for each patient", () => {
+    const latest = latestNews2ByPatient([
+      {
+        id: 1,
+        patient_id: 7,
+        task_type: "Vitals",
+        completed_at: "2025-01-05T08:00:00Z",
+        vitals: { ...NORMAL, consciousness: "V" },
+      },
+      {
+        id: 2,
+        patient_id: 7,
+        task_type: "Vitals",
+        completed_at: "2025-01-05T12:00:00Z",
+        vitals: NORMAL,
+      },
+      {
+        id: 3,
+        patient_id: 7,
+        task_type: "Medication",
+        completed_at: "2025-01-05T13:00:00Z",
+      },
+    ]);
+
+    expect(Object.keys(latest)).toEqual(["7"]);
+    expect(latest[7].taskLogId).toBe(2);
+    expect(latest[7].score).toBe(0);
+  });
+});
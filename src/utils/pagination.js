@@ -0,0 +1,28 @@
+// src/utils/pagination.js
+// Reading whole result sets from the paginated list endpoints
+
+// Rows requested per page when walking every page of a list endpoint
+const PAGE_SIZE = 100;
+
+/**
+ * Fetch every row of a paginated list endpoint.
+ * fetchPage(page, limit) resolves to { rows, count }. Backends that don't
+ * report a count return everything in one response. A short page doesn't
+ * end the walk, since a backend may cap limit below what was asked for.
+ */
+export const fetchAllPages = async (fetchPage) => {
+  const allRows = [];
+
+  for (let page = 1; ; page++) {
+    const { rows, count } = await fetchPage(page, PAGE_SIZE);
+    allRows.push(...rows);
+
+    if (
+      typeof count !== "number" ||
+      rows.length === 0 ||
+      allRows.length >= count
+    ) {
+      return allRows;
+    }
+  }
+};
@@ -0,0 +1,45 @@
+import { fetchAllPages } from "./pagination";
+
+describe("fetchAllPages", () => {
+  // A backend with `total` rows that returns at most `cap` per page
+  const makeBackend = (total, cap = Infinity) =>
+    jest.fn(async (page, limit) => {
+      const pageSize = Math.min(limit, cap);
+      const start = (page - 1) * pageSize;
+      const rows = Array.from(
+        { length: Math.max(0, Math.min(pageSize, total - start)) },
+        (_, i) => start + i
+      );
+      return { rows, count: total };
+    });
+
+  test("walks every page until the count is reached", async () => {
+    const fetchPage = makeBackend(250);
+    const rows = await fetchAllPages(fetchPage);
+    expect(rows).toHaveLength(250);
+    expect(rows[249]).toBe(249);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  test("keeps going when the backend caps the page size", async () => {
+    const fetchPage = makeBackend(120, 50);
+    const rows = await fetchAllPages(fetchPage);
+    expect(rows).toHaveLength(120);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  test("stops on an empty page", async () => {
+    const fetchPage = jest.fn(async (page) => ({
+      rows: page === 1 ? [1, 2] : [],
+      count: 10,
+    }));
+    expect(await fetchAllPages(fetchPage)).toEqual([1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  test("takes one response as everything when there is no count", async () => {
+    const fetchPage = jest.fn(async () => ({ rows: [1, 2, 3] }));
+    expect(await fetchAllPages(fetchPage)).toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+});
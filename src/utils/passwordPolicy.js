@@ -0,0 +1,132 @@
+// src/utils/passwordPolicy.js
+// Password rules shared by registration and password changes
+
+import COMMON_PASSWORDS from "./commonPasswords";
+
+// Character-class rules are on unless explicitly set to "false"
+const isEnabled = (value) => value !== "false";
+
+export const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.REACT_APP_PASSWORD_MIN_LENGTH, 10) || 12,
+  requireUppercase: isEnabled(process.env.REACT_APP_PASSWORD_REQUIRE_UPPERCASE),
+  requireLowercase: isEnabled(process.env.REACT_APP_PASSWORD_REQUIRE_LOWERCASE),
+  requireNumber: isEnabled(process.env.REACT_APP_PASSWORD_REQUIRE_NUMBER),
+  requireSymbol: isEnabled(process.env.REACT_APP_PASSWORD_REQUIRE_SYMBOL),
+};
+
+const HAS_UPPERCASE = /[A-Z]/;
+const HAS_LOWERCASE = /[a-z]/;
+const HAS_NUMBER = /[0-9]/;
+const HAS_SYMBOL = /[^A-Za-z0-9]/;
+
+// Name parts and the email's local part, ignoring fragments too short to matter
+const getPersonalTerms = ({ firstName, lastName, email } = {}) =>
+  [firstName, lastName, email?.split("@")[0]]
+    .map((term) => (term || "").trim().toLowerCase())
+    .filter((term) => term.length >= 3);
+
+const buildRules = (policy) => {
+  const rules = [
+    {
+      id: "length",
+      label: `At least ${policy.minLength} characters`,
+      test: (password) => password.length >= policy.minLength,
+    },
+  ];
+
+  if (policy.requireUppercase) {
+    rules.push({
+      id: "uppercase",
+      label: "An uppercase letter",
+      test: (password) => HAS_UPPERCASE.test(password),
+    });
+  }
+  if (policy.requireLowercase) {
+    rules.push({
+      id: "lowercase",
+      label: "A lowercase letter",
+      test: (password) => HAS_LOWERCASE.test(password),
+    });
+  }
+  if (policy.requireNumber) {
+    rules.push({
+      id: "number",
+      label: "A number",
+      test: (password) => HAS_NUMBER.test(password),
+    });
+  }
+  if (policy.requireSymbol) {
+    rules.push({
+      id: "symbol",
+      label: "A symbol (e.g. ! @ # $)",
+      test: (password) => HAS_SYMBOL.test(password),
+    });
+  }
+
+  rules.push(
+    {
+      id: "personal",
+      label: "Does not contain your name or email",
+      test: (password, context) => {
+        const lowered = password.toLowerCase();
+        return !getPersonalTerms(context).some((term) =>
+          lowered.includes(term)
+        );
+      },
+    },
+    {
+      id: "common",
+      label: "Is not a commonly used password",
+      test: (password) => !COMMON_PASSWORDS.has(password.toLowerCase()),
+    }
+  );
+
+  return rules;
+};
+
+const PASSWORD_RULES = buildRules(PASSWORD_POLICY);
+
+// Each rule with whether the password currently satisfies it
+export const checkPasswordRules = (password = "", context = {}) =>
+  PASSWORD_RULES.map((rule) => ({
+    id: rule.id,
+    label: rule.label,
+    passed: !!password && rule.test(password, context),
+  }));
+
+// Form-friendly validation: an error message, or null when the password is acceptable
+export const validatePassword = (password = "", context = {}) => {
+  if (!password) return "Password is required";
+
+  const failed = checkPasswordRules(password, context).find((r) => !r.passed);
+  return failed ? `Password must meet the policy: ${failed.label}` : null;
+};
+
+const STRENGTH_LEVELS = [
+  { label: "Very weak", color: "error" },
+  { label: "Weak", color: "error" },
+  { label: "Fair", color: "warning" },
+  { label: "Good", color: "info" },
+  { label: "Strong", color: "success" },
+];
+
+// 0-4 score for the meter. A password that breaks any rule never rates above "Weak".
+export const getPasswordStrength = (password = "", context = {}) => {
+  if (!password || COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return { score: 0, ...STRENGTH_LEVELS[0] };
+  }
+
+  const classCount = [HAS_UPPERCASE, HAS_LOWERCASE, HAS_NUMBER, HAS_SYMBOL]
+    .map((pattern) => pattern.test(password))
+    .filter(Boolean).length;
+  const lengthPoints =
+    (password.length >= PASSWORD_POLICY.minLength ? 1 : 0) +
+    (password.length >= PASSWORD_POLICY.minLength + 4 ? 1 : 0);
+
+  let score = Math.floor(((classCount + lengthPoints) * 4) / 6);
+  if (validatePassword(password, context)) {
+    score = Math.min(score, 1);
+  }
+
+  return { score, ...STRENGTH_LEVELS[score] };
+};
@@ -0,0 +1,114 @@
+// src/utils/patientSummaryPdf.js
+// Patient care summary as a PDF, generated in the browser with jsPDF
+
+import { jsPDF } from "jspdf";
+import autoTable from "jspdf-autotable";
+
+// Page layout in millimetres (A4 portrait)
+const MARGIN = 14;
+const HEADER_HEIGHT = 14;
+const FOOTER_HEIGHT = 10;
+
+const PRIMARY_RGB = [25, 118, 210];
+
+/**
+ * Build the PDF from the summary the print view renders, so both match.
+ * summary: { title, patientName, mrn, rangeLabel, details: [[label, value]],
+ *   taskColumns: [label], taskRows: [[...cells]], printedBy, printedAt }
+ * Returns the jsPDF document; call .save(filename) to download it.
+ */
+export const buildPatientSummaryPdf = (summary) => {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentTop = MARGIN + HEADER_HEIGHT;
+  const margin = {
+    top: contentTop,
+    bottom: MARGIN + FOOTER_HEIGHT,
+    left: MARGIN,
+    right: MARGIN,
+  };
+
+  // Patient name and MRN on every page
+  const drawHeader = () => {
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.setTextColor(0);
+    doc.text(summary.patientName, MARGIN, MARGIN);
+    doc.text(`MRN ${summary.mrn}`, pageWidth - MARGIN, MARGIN, {
+      align: "right",
+    });
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    doc.text(`${summary.title} · ${summary.rangeLabel}`, MARGIN, MARGIN + 5);
+    doc.setDrawColor(180);
+    doc.line(MARGIN, MARGIN + 8, pageWidth - MARGIN, MARGIN + 8);
+  };
+
+  drawHeader();
+
+  autoTable(doc, {
+    startY: contentTop,
+    theme: "plain",
+    body: summary.details,
+    margin,
+    styles: { fontSize: 10, cellPadding: 1.5 },
+    columnStyles: { 0: { fontStyle: "bold", cellWidth: 40 } },
+    didDrawPage: drawHeader,
+  });
+
+  let y = doc.lastAutoTable.finalY + 8;
+  // Keep the section heading with at least a few rows of its table
+  if (y > pageHeight - margin.bottom - 30) {
+    doc.addPage();
+    drawHeader();
+    y = contentTop;
+  }
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Task Log", MARGIN, y);
+
+  autoTable(doc, {
+    startY: y + 3,
+    head: [summary.taskColumns],
+    body:
+      summary.taskRows.length > 0
+        ? summary.taskRows
+        : [
+            [
+              {
+                content: "No tasks logged in this period.",
+                colSpan: summary.taskColumns.length,
+              },
+            ],
+          ],
+    margin,
+    styles: { fontSize: 9, cellPadding: 2, valign: "top" },
+    headStyles: { fillColor: PRIMARY_RGB },
+    columnStyles: { 0: { cellWidth: 32 }, 1: { cellWidth: 26 } },
+    didDrawPage: drawHeader,
+  });
+
+  // Footers go on last, once the page count is known
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor(100);
+    doc.text(
+      `Printed by ${summary.printedBy} on ${summary.printedAt}`,
+      MARGIN,
+      pageHeight - MARGIN
+    );
+    doc.text(
+      `Page ${page} of ${pageCount}`,
+      pageWidth - MARGIN,
+      pageHeight - MARGIN,
+      { align: "right" }
+    );
+  }
+
+  return doc;
+};
@@ -0,0 +1,67 @@
+// src/utils/scheduledTasks.js
+// Scheduled and recurring care tasks: recurrence options and due status
+
+// Minutes either side of the due time in which a task counts as "due";
+// after that window it is overdue
+export const SCHEDULED_TASK_DUE_WINDOW_MINUTES =
+  parseInt(process.env.REACT_APP_SCHEDULED_TASK_DUE_WINDOW_MINUTES, 10) || 30;
+
+// intervalHours: null for a one-off task
+export const RECURRENCE_OPTIONS = [
+  { value: "", label: "One-off" },
+  { value: 1, label: "Every hour" },
+  { value: 2, label: "Every 2 hours" },
+  { value: 4, label: "Every 4 hours" },
+  { value: 6, label: "Every 6 hours" },
+  { value: 8, label: "Every 8 hours" },
+  { value: 12, label: "Every 12 hours" },
+  { value: 24, label: "Daily" },
+];
+
+export const SCHEDULED_TASK_STATUSES = {
+  overdue: { label: "Overdue", color: "error" },
+  due: { label: "Due", color: "warning" },
+  upcoming: { label: "Upcoming", color: "default" },
+};
+
+export const formatRecurrence = (intervalHours) =>
+  intervalHours
+    ? RECURRENCE_OPTIONS.find((o) => o.value === intervalHours)?.label ||
+      `Every ${intervalHours} hours`
+    : "One-off";
+
+// 'overdue' | 'due' | 'upcoming' for the task's next occurrence
+export const getScheduledTaskStatus = (scheduledTask, now = new Date()) => {
+  const minutesUntil = (new Date(scheduledTask.next_due_at) - now) / 60000;
+  if (minutesUntil < -SCHEDULED_TASK_DUE_WINDOW_MINUTES) return "overdue";
+  if (minutesUntil <= SCHEDULED_TASK_DUE_WINDOW_MINUTES) return "due";
+  return "upcoming";
+};
+
+// Occurrences of a recurring task that have come and gone since next_due_at
+export const countMissedOccurrences = (scheduledTask, now = new Date()) => {
+  if (getScheduledTaskStatus(scheduledTask, now) !== "overdue") return 0;
+  if (!scheduledTask.interval_hours) return 1;
+
+  const hoursLate = (now - new Date(scheduledTask.next_due_at)) / 3600000;
+  return Math.floor(hoursLate / scheduledTask.interval_hours) + 1;
+};
+
+// Soonest first
+export const sortByDue = (scheduledTasks) =>
+  [...scheduledTasks].sort(
+    (a, b) => new Date(a.next_due_at) - new Date(b.next_due_at)
+  );
+
+// Overdue task counts keyed by patient id
+export const countOverdueByPatient = (scheduledTasks, now = new Date()) =>
+  scheduledTasks.reduce((counts, task) => {
+    if (getScheduledTaskStatus(task, now) === "overdue") {
+      counts[task.patient_id] = (counts[task.patient_id] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+// Task log form link that completes the task's current occurrence
+export const getCompletionPath = (scheduledTask) =>
+  `/task-logs/new?patientId=${scheduledTask.patient_id}&scheduledTaskId=${scheduledTask.id}`;
@@ -0,0 +1,35 @@
+// src/utils/taskLogPermissions.js
+// Who may change a task log entry, and when
+
+// Clinicians may edit their own entries for this many minutes after logging.
+// After that, corrections must be recorded as amendments (charting compliance).
+// 0 is a valid setting and turns editing off.
+const configuredEditWindow = parseInt(
+  process.env.REACT_APP_TASK_LOG_EDIT_WINDOW_MINUTES,
+  10
+);
+export const TASK_LOG_EDIT_WINDOW_MINUTES = Number.isNaN(configuredEditWindow)
+  ? 60
+  : configuredEditWindow;
+
+const isOwnEntry = (taskLog, user) =>
+  !!user && String(taskLog.clinician_id) === String(user.id);
+
+const isWithinEditWindow = (taskLog) => {
+  const loggedAt = new Date(taskLog.created_at || taskLog.completed_at);
+  const elapsedMinutes = (Date.now() - loggedAt.getTime()) / 60000;
+  return elapsedMinutes <= TASK_LOG_EDIT_WINDOW_MINUTES;
+};
+
+// Admins may correct anyone's entry, but only inside the same window;
+// past it the original stays on the chart for everyone
+export const canEditTaskLog = (taskLog, user) =>
+  (isOwnEntry(taskLog, user) || user?.role === "admin") &&
+  isWithinEditWindow(taskLog);
+
+export const canDeleteTaskLog = (taskLog, user) =>
+  canEditTaskLog(taskLog, user);
+
+// Once the edit window has passed, the author can only append an amendment
+export const canAmendTaskLog = (taskLog, user) =>
+  isOwnEntry(taskLog, user) && !isWithinEditWindow(taskLog);
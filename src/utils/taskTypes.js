@@ -0,0 +1,91 @@
+// src/utils/taskTypes.js
+// Bundled task type registry defaults and display options.
+// The live registry comes from GET /task-types (see context/TaskTypesContext);
+// these defaults apply until it loads or when it is unavailable.
+
+import {
+  Medication,
+  MonitorHeart,
+  FactCheck,
+  Healing,
+  Description,
+  Vaccines,
+  Bloodtype,
+  Restaurant,
+  DirectionsWalk,
+  Psychology,
+  Assignment,
+} from "@mui/icons-material";
+
+// Registry entries use the API's field names
+export const DEFAULT_TASK_TYPES = [
+  {
+    name: "Medication",
+    label: "Medication",
+    color: "error",
+    icon: "Medication",
+    required_fields: [],
+    is_active: true,
+  },
+  {
+    name: "Vitals",
+    label: "Vitals",
+    color: "info",
+    icon: "MonitorHeart",
+    required_fields: [],
+    is_active: true,
+  },
+  {
+    name: "Assessment",
+    label: "Assessment",
+    color: "warning",
+    icon: "FactCheck",
+    required_fields: [],
+    is_active: true,
+  },
+  {
+    name: "Treatment",
+    label: "Treatment",
+    color: "success",
+    icon: "Healing",
+    required_fields: [],
+    is_active: true,
+  },
+  {
+    name: "Documentation",
+    label: "Documentation",
+    color: "default",
+    icon: "Description",
+    required_fields: [],
+    is_active: true,
+  },
+];
+
+// Chip colors are theme palette slots that every theme mode keeps apart
+// (see styles/theme). primary and secondary aren't offered: they clash with
+// error, warning or info in some modes.
+export const TASK_TYPE_COLORS = [
+  "default",
+  "error",
+  "info",
+  "warning",
+  "success",
+];
+
+// Icons a task type may use, by registry name
+export const TASK_TYPE_ICONS = {
+  Medication,
+  MonitorHeart,
+  FactCheck,
+  Healing,
+  Description,
+  Vaccines,
+  Bloodtype,
+  Restaurant,
+  DirectionsWalk,
+  Psychology,
+  Assignment,
+};
+
+// Task log form fields a type can make mandatory (description always is)
+export const REQUIRED_FIELD_OPTIONS = [{ value: "notes", label: "Notes" }];
@@ -0,0 +1,46 @@
+import { TASK_TYPE_COLORS } from "./taskTypes";
+import { buildTheme } from "../styles/theme";
+
+// Hue in degrees (0-360) of a "#rrggbb" color
+const hueOf = (hex) => {
+  const [r, g, b] = [1, 3, 5].map(
+    (i) => parseInt(hex.slice(i, i + 2), 16) / 255
+  );
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  if (delta === 0) return 0;
+
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  return (hue * 60 + 360) % 360;
+};
+
+const hueDistance = (a, b) => {
+  const difference = Math.abs(hueOf(a) - hueOf(b));
+  return Math.min(difference, 360 - difference);
+};
+
+// Closer hues read as the same color on a chip
+const MIN_HUE_DISTANCE = 25;
+
+// "default" is the neutral grey chip, so only the colored slots are compared
+const COLORED_SLOTS = TASK_TYPE_COLORS.filter((color) => color !== "default");
+
+describe.each(["light", "dark", "high-contrast"])(
+  "task type colors in %s mode",
+  (mode) => {
+    const { palette } = buildTheme(mode);
+
+    const pairs = COLORED_SLOTS.flatMap((first, index) =>
+      COLORED_SLOTS.slice(index + 1).map((second) => [first, second])
+    );
+
+    test.each(pairs)("%s and %s are distinguishable", (first, second) => {
+      expect(
+        hueDistance(palette[first].main, palette[second].main)
+      ).toBeGreaterThanOrEqual(MIN_HUE_DISTANCE);
+    });
+  }
+);
@@ -0,0 +1,280 @@
+// src/utils/vitals.js
+// Structured vital signs: definitions, normal ranges and flagging
+
+// Task type that switches the task log form to structured vitals entry
+export const VITALS_TASK_TYPE = "Vitals";
+
+// normal: adult reference range; limits: physiologically plausible input.
+// Temperature ranges are in °C; °F readings are converted before checks.
+const VITAL_SIGNS = [
+  {
+    key: "heartRate",
+    label: "Heart Rate",
+    shortLabel: "HR",
+    unit: "bpm",
+    step: 1,
+    normal: { min: 60, max: 100 },
+    limits: { min: 20, max: 250 },
+  },
+  {
+    key: "systolicBp",
+    label: "BP Systolic",
+    shortLabel: "SBP",
+    unit: "mmHg",
+    step: 1,
+    normal: { min: 90, max: 139 },
+    limits: { min: 40, max: 300 },
+  },
+  {
+    key: "diastolicBp",
+    label: "BP Diastolic",
+    shortLabel: "DBP",
+    unit: "mmHg",
+    step: 1,
+    normal: { min: 60, max: 89 },
+    limits: { min: 20, max: 200 },
+  },
+  {
+    key: "respiratoryRate",
+    label: "Respiratory Rate",
+    shortLabel: "RR",
+    unit: "/min",
+    step: 1,
+    normal: { min: 12, max: 20 },
+    limits: { min: 2, max: 80 },
+  },
+  {
+    key: "spo2",
+    label: "SpO2",
+    shortLabel: "SpO2",
+    unit: "%",
+    step: 1,
+    normal: { min: 95, max: 100 },
+    limits: { min: 50, max: 100 },
+  },
+  {
+    key: "temperature",
+    label: "Temperature",
+    shortLabel: "Temp",
+    unit: "°C",
+    step: 0.1,
+    normal: { min: 36.1, max: 38.0 },
+    limits: { min: 25, max: 45 },
+  },
+  {
+    key: "painScore",
+    label: "Pain Score",
+    shortLabel: "Pain",
+    unit: "/10",
+    step: 1,
+    normal: { min: 0, max: 3 },
+    limits: { min: 0, max: 10 },
+  },
+];
+
+// Deployments can override normal ranges, e.g.
+// REACT_APP_VITAL_NORMAL_RANGES='{"heartRate":{"min":50,"max":110}}'
+const parseRangeOverrides = () => {
+  try {
+    return JSON.parse(process.env.REACT_APP_VITAL_NORMAL_RANGES || "{}");
+  } catch (error) {
+    console.error("Invalid REACT_APP_VITAL_NORMAL_RANGES, using defaults");
+    return {};
+  }
+};
+
+const rangeOverrides = parseRangeOverrides();
+
+export const VITALS = VITAL_SIGNS.map((vital) => ({
+  ...vital,
+  normal: { ...vital.normal, ...rangeOverrides[vital.key] },
+}));
+
+export const TEMPERATURE_UNITS = ["C", "F"];
+
+// Categorical observations recorded alongside the numeric vitals
+// (both feed the early warning score, see utils/news2)
+export const OBSERVATIONS = [
+  {
+    key: "oxygen",
+    label: "Oxygen",
+    shortLabel: "O2",
+    normal: "air",
+    options: [
+      { value: "air", label: "Room air" },
+      { value: "supplemental", label: "Supplemental O2" },
+    ],
+  },
+  {
+    key: "consciousness",
+    label: "Consciousness (ACVPU)",
+    shortLabel: "ACVPU",
+    normal: "A",
+    options: [
+      { value: "A", label: "Alert" },
+      { value: "C", label: "New confusion" },
+      { value: "V", label: "Responds to voice" },
+      { value: "P", label: "Responds to pain" },
+      { value: "U", label: "Unresponsive" },
+    ],
+  },
+];
+
+export const EMPTY_VITALS = {
+  ...Object.fromEntries(VITALS.map((vital) => [vital.key, ""])),
+  ...Object.fromEntries(OBSERVATIONS.map((obs) => [obs.key, ""])),
+  temperatureUnit: "C",
+};
+
+const getVital = (key) => VITALS.find((vital) => vital.key === key);
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Temperatures are compared in °C
+export const toCelsius = (value, unit) =>
+  unit === "F" ? ((Number(value) - 32) * 5) / 9 : Number(value);
+
+const comparableValue = (key, vitals) =>
+  key === "temperature"
+    ? toCelsius(vitals.temperature, vitals.temperatureUnit)
+    : Number(vitals[key]);
+
+// 'low' | 'high' | 'normal', or null when the value is missing or not a number
+export const getVitalStatus = (key, vitals) => {
+  const vital = getVital(key);
+  if (!vital || !vitals || isBlank(vitals[key])) return null;
+
+  const value = comparableValue(key, vitals);
+  if (Number.isNaN(value)) return null;
+  if (value < vital.normal.min) return "low";
+  if (value > vital.normal.max) return "high";
+  return "normal";
+};
+
+// 'abnormal' | 'normal', or null when the observation wasn't recorded
+export const getObservationStatus = (key, vitals) => {
+  const observation = OBSERVATIONS.find((obs) => obs.key === key);
+  if (!observation || !vitals || isBlank(vitals[key])) return null;
+  return vitals[key] === observation.normal ? "normal" : "abnormal";
+};
+
+export const formatObservationValue = (key, vitals) => {
+  const observation = OBSERVATIONS.find((obs) => obs.key === key);
+  return (
+    observation.options.find((option) => option.value === vitals[key])?.label ||
+    vitals[key]
+  );
+};
+
+// Keys of recorded vitals outside their normal range
+export const getAbnormalVitals = (vitals) => [
+  ...VITALS.map((vital) => vital.key).filter((key) => {
+    const status = getVitalStatus(key, vitals);
+    return status === "low" || status === "high";
+  }),
+  ...OBSERVATIONS.map((obs) => obs.key).filter(
+    (key) => getObservationStatus(key, vitals) === "abnormal"
+  ),
+];
+
+// Normal range in the unit the value was entered in
+export const formatNormalRange = (key, temperatureUnit = "C") => {
+  const { normal, unit } = getVital(key);
+  if (key === "temperature" && temperatureUnit === "F") {
+    const toF = (c) => ((c * 9) / 5 + 32).toFixed(1);
+    return `${toF(normal.min)}–${toF(normal.max)} °F`;
+  }
+  return `${normal.min}–${normal.max} ${unit}`;
+};
+
+export const formatVitalValue = (key, vitals) => {
+  const vital = getVital(key);
+  const unit =
+    key === "temperature" ? `°${vitals.temperatureUnit || "C"}` : vital.unit;
+  return `${vitals[key]} ${unit}`;
+};
+
+// Form-friendly validation: { [key]: message } for unusable readings
+export const validateVitals = (vitals) => {
+  const errors = {};
+
+  VITALS.forEach((vital) => {
+    const raw = vitals[vital.key];
+    if (isBlank(raw)) return;
+
+    const value = comparableValue(vital.key, vitals);
+    if (Number.isNaN(value)) {
+      errors[vital.key] = "Enter a number";
+    } else if (value < vital.limits.min || value > vital.limits.max) {
+      errors[vital.key] = "Value is outside the plausible range";
+    } else if (vital.key === "painScore" && !Number.isInteger(value)) {
+      errors[vital.key] = "Pain score is a whole number from 0 to 10";
+    }
+  });
+
+  const hasSystolic = !isBlank(vitals.systolicBp);
+  const hasDiastolic = !isBlank(vitals.diastolicBp);
+  if (hasSystolic !== hasDiastolic) {
+    errors[hasSystolic ? "diastolicBp" : "systolicBp"] =
+      "Enter both systolic and diastolic";
+  } else if (
+    hasSystolic &&
+    !errors.systolicBp &&
+    !errors.diastolicBp &&
+    Number(vitals.systolicBp) <= Number(vitals.diastolicBp)
+  ) {
+    errors.diastolicBp = "Diastolic must be lower than systolic";
+  }
+
+  return errors;
+};
+
+// Numbers for the API payload; blank readings are omitted
+export const toVitalsPayload = (vitals) => {
+  const payload = {};
+  VITALS.forEach((vital) => {
+    if (!isBlank(vitals[vital.key])) {
+      payload[vital.key] = Number(vitals[vital.key]);
+    }
+  });
+  if (payload.temperature !== undefined) {
+    payload.temperatureUnit = vitals.temperatureUnit || "C";
+  }
+  OBSERVATIONS.forEach((obs) => {
+    if (!isBlank(vitals[obs.key])) {
+      payload[obs.key] = vitals[obs.key];
+    }
+  });
+  return payload;
+};
+
+// Stored vitals back into form strings
+export const toVitalsFormValues = (vitals) => ({
+  ...EMPTY_VITALS,
+  ...Object.fromEntries(
+    Object.entries(vitals || {}).map(([key, value]) => [
+      key,
+      key === "temperatureUnit" ? value : String(value),
+    ])
+  ),
+});
+
+// One-line summary, e.g. "HR 82 bpm, BP 128/84 mmHg, SpO2 97 %"
+export const summarizeVitals = (vitals) => {
+  const parts = [];
+  VITALS.forEach((vital) => {
+    if (isBlank(vitals[vital.key])) return;
+    if (vital.key === "systolicBp") {
+      parts.push(`BP ${vitals.systolicBp}/${vitals.diastolicBp} mmHg`);
+    } else if (vital.key !== "diastolicBp") {
+      parts.push(`${vital.shortLabel} ${formatVitalValue(vital.key, vitals)}`);
+    }
+  });
+  OBSERVATIONS.forEach((obs) => {
+    if (!isBlank(vitals[obs.key])) {
+      parts.push(`${obs.shortLabel} ${vitals[obs.key]}`);
+    }
+  });
+  return parts.join(", ");
+};